@@ -1,16 +1,110 @@
+import { useEffect, useRef, useState } from 'react';
 import SearchForm from './components/SearchForm';
-import type { RestaurantSearch } from './types/Restaurant';
+import RestaurantList from './components/RestaurantList';
+import type { SearchStatus } from './components/RestaurantList';
+import RestaurantDetails from './components/RestaurantDetails';
+import BookingConfirmation from './components/BookingConfirmation';
+import { searchRestaurants } from './api/restaurants';
+import { getCurrentUser, logout } from './api/auth';
+import type { Restaurant, RestaurantSearch } from './types/Restaurant';
+import type { Reservation } from './types/Reservation';
+import type { User } from './types/User';
 import './App.css';
 
 function App() {
-  const handleSearch = (searchData: RestaurantSearch) => {
-    console.log('Search submitted:', searchData);
-    // Handle your search logic here
+  const [searchStatus, setSearchStatus] = useState<SearchStatus>('idle');
+  const [restaurants, setRestaurants] = useState<Restaurant[]>([]);
+  const [cheaperAlternatives, setCheaperAlternatives] = useState<Restaurant[]>([]);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [lastSearch, setLastSearch] = useState<RestaurantSearch | null>(null);
+  const [selectedRestaurantId, setSelectedRestaurantId] = useState<string | null>(null);
+  const [confirmedReservation, setConfirmedReservation] = useState<Reservation | null>(null);
+  const [user, setUser] = useState<User | null>(null);
+
+  // Restore the login from a previous visit (the token is kept in localStorage)
+  useEffect(() => {
+    getCurrentUser().then(setUser);
+  }, []);
+
+  const handleLogout = async () => {
+    await logout().catch(() => undefined);
+    setUser(null);
+  };
+
+  // Keeps the in-flight search so a newer search can cancel it
+  const searchController = useRef<AbortController | null>(null);
+
+  /**
+   * handleSearch Function
+   * Calls GET /api/restaurants with the search form data and updates the results.
+   * A new search cancels the previous one, so an older (slower) response can
+   * never overwrite newer results.
+   */
+  const handleSearch = async (searchData: RestaurantSearch) => {
+    searchController.current?.abort();
+    const controller = new AbortController();
+    searchController.current = controller;
+
+    setLastSearch(searchData);
+    setSelectedRestaurantId(null);
+    setConfirmedReservation(null);
+    setSearchStatus('loading');
+    setSearchError(null);
+
+    try {
+      const results = await searchRestaurants(searchData, controller.signal);
+      setRestaurants(results.restaurants);
+      setCheaperAlternatives(results.cheaperAlternatives);
+      setSearchStatus('success');
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      setSearchError(error instanceof Error ? error.message : 'אירעה שגיאה בחיפוש');
+      setSearchStatus('error');
+    }
   };
 
   return (
     <div className="app-container">
+      {user && (
+        <div className="user-bar">
+          <span>שלום, {user.name}</span>
+          <button type="button" onClick={handleLogout}>
+            התנתק
+          </button>
+        </div>
+      )}
       <SearchForm onSubmit={handleSearch} />
+      {confirmedReservation ? (
+        <BookingConfirmation
+          reservation={confirmedReservation}
+          onDone={() => {
+            setConfirmedReservation(null);
+            setSelectedRestaurantId(null);
+          }}
+        />
+      ) : selectedRestaurantId && lastSearch ? (
+        <RestaurantDetails
+          restaurantId={selectedRestaurantId}
+          onBack={() => setSelectedRestaurantId(null)}
+          bookingDefaults={{
+            date: lastSearch.date,
+            time: lastSearch.time,
+            numGuests: lastSearch.numGuests,
+          }}
+          onBooked={setConfirmedReservation}
+          user={user}
+          onAuthenticated={setUser}
+        />
+      ) : (
+        <RestaurantList
+          status={searchStatus}
+          restaurants={restaurants}
+          cheaperAlternatives={cheaperAlternatives}
+          error={searchError}
+          onSelect={setSelectedRestaurantId}
+          onRetry={() => lastSearch && handleSearch(lastSearch)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,64 @@
+import type { LoginResult, User } from '../types/User';
+import { ApiError, getAuthToken, request, setAuthToken } from './client';
+
+/**
+ * login Function
+ * Logs in through POST /api/auth/login and stores the returned token,
+ * so every following request is sent as this user.
+ */
+export async function login(email: string, password: string): Promise<User> {
+  const response = await request<LoginResult>('/api/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email, password }),
+  });
+  if (!response.data) {
+    throw new Error('The login result was not returned by the server');
+  }
+  setAuthToken(response.data.token);
+  return response.data.user;
+}
+
+/**
+ * register Function
+ * Creates a diner account through POST /api/auth/register and logs straight in with it.
+ */
+export async function register(name: string, email: string, password: string): Promise<User> {
+  await request<User>('/api/auth/register', {
+    method: 'POST',
+    body: JSON.stringify({ name, email, password }),
+  });
+  return login(email, password);
+}
+
+/**
+ * logout Function
+ * Ends the session on the server and forgets the stored token.
+ * The token is forgotten even if the server cannot be reached.
+ */
+export async function logout(): Promise<void> {
+  try {
+    await request('/api/auth/logout', { method: 'POST' });
+  } finally {
+    setAuthToken(null);
+  }
+}
+
+/**
+ * getCurrentUser Function
+ * Returns the user of the stored token, or null when there is no valid login.
+ */
+export async function getCurrentUser(): Promise<User | null> {
+  if (!getAuthToken()) {
+    return null;
+  }
+  try {
+    const response = await request<User>('/api/auth/me');
+    return response.data ?? null;
+  } catch (error) {
+    // The token expired or was revoked - drop it
+    if (error instanceof ApiError && error.status === 401) {
+      setAuthToken(null);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,173 @@
+import type { ApiResponse, ErrorCode, FieldError } from '../types/Api';
+import type { AlternativeSlot } from '../types/Reservation';
+
+/**
+ * Base URL of the Dining Match backend.
+ * Can be changed with the VITE_API_URL environment variable (e.g. in a .env.local file).
+ */
+export const API_BASE_URL = import.meta.env.VITE_API_URL ?? 'http://localhost:3001';
+
+/**
+ * Login token storage.
+ * The token returned by POST /api/auth/login is kept in localStorage so the
+ * user stays logged in across page reloads, and is sent with every request.
+ */
+const TOKEN_STORAGE_KEY = 'diningMatchToken';
+
+export function getAuthToken(): string | null {
+  return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+export function setAuthToken(token: string | null) {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+}
+
+/**
+ * ApiError
+ * Thrown when the backend answers with success: false (or the request fails).
+ * Keeps the backend's own message so the UI can show it as-is,
+ * and its error code and per-field errors so forms can point at the wrong field.
+ */
+export class ApiError extends Error {
+  status: number;
+  code: ErrorCode | null;
+  errors: FieldError[];
+  alternatives: AlternativeSlot[];
+  canJoinWaitlist: boolean;
+
+  constructor(
+    message: string,
+    status: number,
+    code: ErrorCode | null = null,
+    errors: FieldError[] = [],
+    alternatives: AlternativeSlot[] = [],
+    canJoinWaitlist = false,
+  ) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.alternatives = alternatives;
+    this.canJoinWaitlist = canJoinWaitlist;
+  }
+}
+
+/**
+ * send Function
+ * Prefixes the path with API_BASE_URL, sends JSON headers (plus the login token, if any)
+ * and turns network failures into an ApiError with a readable message.
+ */
+async function send(path: string, options: RequestInit): Promise<Response> {
+  const token = getAuthToken();
+  try {
+    return await fetch(`${API_BASE_URL}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...options.headers,
+      },
+    });
+  } catch (error) {
+    // Let aborted requests propagate unchanged so callers can ignore them
+    if (error instanceof DOMException && error.name === 'AbortError') {
+      throw error;
+    }
+    throw new ApiError('לא ניתן להתחבר לשרת. נסה שוב מאוחר יותר.', 0);
+  }
+}
+
+/**
+ * Builds the ApiError for a failed response from its (JSON) body
+ */
+function toApiError<T>(response: Response, body: ApiResponse<T> | null): ApiError {
+  return new ApiError(
+    body?.message ?? `Request failed with status ${response.status}`,
+    response.status,
+    body?.code ?? null,
+    body?.errors,
+    body?.alternatives,
+    body?.canJoinWaitlist,
+  );
+}
+
+/**
+ * splitFieldErrors Function
+ * Sorts the errors of a failed request between the fields of a form.
+ * Nested fields (e.g. 'preferences.notes' or 'accessibility[1]') belong to their top-level field.
+ *
+ * @param error - What the request threw
+ * @param fields - The fields the form shows, so their errors can be shown next to them
+ * @param fallback - Message to use when the error is not an Error at all
+ * @returns fields - The first message for each shown field
+ * @returns message - A message for the whole form, or null when every error is shown next to its field
+ */
+export function splitFieldErrors(
+  error: unknown,
+  fields: readonly string[],
+  fallback: string,
+): { fields: Partial<Record<string, string>>; message: string | null } {
+  if (!(error instanceof Error)) {
+    return { fields: {}, message: fallback };
+  }
+  const fieldErrors: Partial<Record<string, string>> = {};
+  let allShown = error instanceof ApiError && error.errors.length > 0;
+
+  for (const { field, message } of error instanceof ApiError ? error.errors : []) {
+    const name = field?.split(/[.[]/)[0];
+    if (name && fields.includes(name)) {
+      fieldErrors[name] ??= message;
+    } else {
+      allShown = false;
+    }
+  }
+
+  return { fields: fieldErrors, message: allShown ? null : error.message };
+}
+
+/**
+ * request Function
+ * Sends a request to the backend and returns the parsed response body.
+ *
+ * What it does:
+ * 1. Prefixes the path with API_BASE_URL and sends JSON headers (plus the login token, if any)
+ * 2. Turns network failures into an ApiError with a readable message
+ * 3. Throws an ApiError with the backend's message when success is false
+ *
+ * @param path - API path, e.g. '/api/restaurants'
+ * @param options - Standard fetch options (method, body, signal...)
+ */
+export async function request<T>(path: string, options: RequestInit = {}): Promise<ApiResponse<T>> {
+  const response = await send(path, options);
+  const body = (await response.json().catch(() => null)) as ApiResponse<T> | null;
+
+  if (!response.ok || !body || !body.success) {
+    throw toApiError(response, body);
+  }
+
+  return body;
+}
+
+/**
+ * requestFile Function
+ * Like request, for endpoints that answer with a file instead of JSON.
+ * Errors are still JSON, and are thrown as an ApiError with the backend's message.
+ *
+ * @param path - API path, e.g. '/api/reservations/1/calendar.ics'
+ * @param options - Standard fetch options (method, body, signal...)
+ */
+export async function requestFile(path: string, options: RequestInit = {}): Promise<Blob> {
+  const response = await send(path, options);
+
+  if (!response.ok) {
+    const body = (await response.json().catch(() => null)) as ApiResponse<unknown> | null;
+    throw toApiError(response, body);
+  }
+
+  return response.blob();
+}
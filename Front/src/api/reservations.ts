@@ -0,0 +1,32 @@
+import type { Reservation, ReservationRequest } from '../types/Reservation';
+import { request, requestFile } from './client';
+
+/**
+ * createReservation Function
+ * Books a table through POST /api/reservations.
+ * Throws an ApiError carrying the backend's message when the booking is rejected
+ * (e.g. "Not enough capacity. Available: N, Requested: M").
+ *
+ * @param reservation - Restaurant, date, time and party size to book
+ */
+export async function createReservation(reservation: ReservationRequest): Promise<Reservation> {
+  const response = await request<Reservation>('/api/reservations', {
+    method: 'POST',
+    body: JSON.stringify(reservation),
+  });
+  if (!response.data) {
+    throw new Error('The reservation was not returned by the server');
+  }
+  return response.data;
+}
+
+/**
+ * downloadReservationCalendar Function
+ * Gets the reservation as an iCalendar (.ics) file through
+ * GET /api/reservations/:id/calendar.ics, for adding it to a calendar app.
+ *
+ * @param id - ID of the reservation
+ */
+export async function downloadReservationCalendar(id: number): Promise<Blob> {
+  return requestFile(`/api/reservations/${id}/calendar.ics`);
+}
@@ -0,0 +1,59 @@
+import type { Restaurant, RestaurantSearch } from '../types/Restaurant';
+import { request } from './client';
+
+/**
+ * Converts the search form data to query string parameters for GET /api/restaurants.
+ * Only fields that have a value are sent; lists are sent comma-separated.
+ */
+function toQueryString(search: RestaurantSearch): string {
+  const params = new URLSearchParams();
+  Object.entries(search).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      if (value.length > 0) {
+        params.set(key, value.join(','));
+      }
+    } else if (value !== undefined && value !== '') {
+      params.set(key, String(value));
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * The result of a restaurant search.
+ * cheaperAlternatives is only filled in when nothing matched within the budget.
+ */
+export interface SearchResult {
+  restaurants: Restaurant[];
+  cheaperAlternatives: Restaurant[];
+}
+
+/**
+ * searchRestaurants Function
+ * Fetches the restaurants matching the search form fields.
+ *
+ * @param search - Search data from SearchForm
+ * @param signal - Optional AbortSignal to cancel an outdated search
+ */
+export async function searchRestaurants(search: RestaurantSearch, signal?: AbortSignal): Promise<SearchResult> {
+  const response = await request<Restaurant[]>(`/api/restaurants?${toQueryString(search)}`, { signal });
+  return {
+    restaurants: response.data ?? [],
+    cheaperAlternatives: response.cheaperAlternatives ?? [],
+  };
+}
+
+/**
+ * getRestaurant Function
+ * Fetches a single restaurant, including its full weekly opening hours.
+ *
+ * @param id - Restaurant ID
+ * @param signal - Optional AbortSignal to cancel the request
+ */
+export async function getRestaurant(id: string, signal?: AbortSignal): Promise<Restaurant> {
+  const response = await request<Restaurant>(`/api/restaurants/${encodeURIComponent(id)}`, { signal });
+  if (!response.data) {
+    throw new Error(`Restaurant ${id} was not returned by the server`);
+  }
+  return response.data;
+}
@@ -0,0 +1,79 @@
+import type { Review, ReviewRequest } from '../types/Review';
+import { request } from './client';
+
+/**
+ * One page of a restaurant's reviews.
+ * hasMore tells whether a following page exists.
+ */
+export interface ReviewPage {
+  reviews: Review[];
+  total: number;
+  hasMore: boolean;
+}
+
+/**
+ * getReviews Function
+ * Fetches one page of a restaurant's reviews, newest first.
+ *
+ * @param restaurantId - Restaurant ID
+ * @param page - Page number, starting at 1
+ * @param signal - Optional AbortSignal to cancel the request
+ */
+export async function getReviews(restaurantId: string, page = 1, signal?: AbortSignal): Promise<ReviewPage> {
+  const response = await request<Review[]>(
+    `/api/restaurants/${encodeURIComponent(restaurantId)}/reviews?page=${page}`,
+    { signal },
+  );
+  return {
+    reviews: response.data ?? [],
+    total: response.total ?? 0,
+    hasMore: Boolean(response.pagination?.next),
+  };
+}
+
+/**
+ * postReview Function
+ * Reviews a restaurant through POST /api/restaurants/:id/reviews.
+ * Only diners with a completed reservation there can post; otherwise the
+ * backend's message is thrown as an ApiError.
+ */
+export async function postReview(restaurantId: string, review: ReviewRequest): Promise<Review> {
+  const response = await request<Review>(`/api/restaurants/${encodeURIComponent(restaurantId)}/reviews`, {
+    method: 'POST',
+    body: JSON.stringify(review),
+  });
+  if (!response.data) {
+    throw new Error('The review was not returned by the server');
+  }
+  return response.data;
+}
+
+/**
+ * replyToReview Function
+ * Saves the restaurant's reply to a review (owners and admins).
+ */
+export async function replyToReview(restaurantId: string, reviewId: number, text: string): Promise<Review> {
+  const response = await request<Review>(
+    `/api/restaurants/${encodeURIComponent(restaurantId)}/reviews/${reviewId}/reply`,
+    { method: 'PUT', body: JSON.stringify({ text }) },
+  );
+  if (!response.data) {
+    throw new Error('The review was not returned by the server');
+  }
+  return response.data;
+}
+
+/**
+ * setReviewHidden Function
+ * Hides a review or shows it again (admins).
+ */
+export async function setReviewHidden(restaurantId: string, reviewId: number, hidden: boolean): Promise<Review> {
+  const response = await request<Review>(`/api/restaurants/${encodeURIComponent(restaurantId)}/reviews/${reviewId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ hidden }),
+  });
+  if (!response.data) {
+    throw new Error('The review was not returned by the server');
+  }
+  return response.data;
+}
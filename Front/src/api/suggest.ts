@@ -0,0 +1,16 @@
+import type { SuggestField, Suggestion } from '../types/Suggestion';
+import { request } from './client';
+
+/**
+ * getSuggestions Function
+ * Fetches autocomplete suggestions for a search field from GET /api/suggest.
+ *
+ * @param field - Which restaurant value to complete
+ * @param prefix - What the user typed so far (empty returns the most common values)
+ * @param signal - Optional AbortSignal to cancel an outdated lookup
+ */
+export async function getSuggestions(field: SuggestField, prefix: string, signal?: AbortSignal): Promise<Suggestion[]> {
+  const params = new URLSearchParams({ field, prefix });
+  const response = await request<Suggestion[]>(`/api/suggest?${params.toString()}`, { signal });
+  return response.data ?? [];
+}
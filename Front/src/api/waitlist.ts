@@ -0,0 +1,29 @@
+import type { ReservationRequest } from '../types/Reservation';
+import type { WaitlistEntry } from '../types/Waitlist';
+import { request } from './client';
+
+/**
+ * joinWaitlist Function
+ * Waits for a fully booked slot through POST /api/waitlist.
+ * The backend books the table automatically once enough seats are freed.
+ *
+ * @param slot - Restaurant, date, time and party size to wait for
+ */
+export async function joinWaitlist(slot: ReservationRequest): Promise<WaitlistEntry> {
+  const response = await request<WaitlistEntry>('/api/waitlist', {
+    method: 'POST',
+    body: JSON.stringify(slot),
+  });
+  if (!response.data) {
+    throw new Error('The waitlist entry was not returned by the server');
+  }
+  return response.data;
+}
+
+/**
+ * leaveWaitlist Function
+ * Leaves the waitlist through DELETE /api/waitlist/:id.
+ */
+export async function leaveWaitlist(id: number): Promise<void> {
+  await request(`/api/waitlist/${id}`, { method: 'DELETE' });
+}
@@ -0,0 +1,148 @@
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import { login, register } from '../api/auth';
+import { splitFieldErrors } from '../api/client';
+import type { User } from '../types/User';
+import FieldErrorMessage from './FieldErrorMessage';
+import './AuthForm.css';
+
+/**
+ * The fields whose backend errors are shown next to them
+ */
+const AUTH_FIELDS = ['name', 'email', 'password'] as const;
+type AuthField = (typeof AUTH_FIELDS)[number];
+
+/**
+ * Props interface for AuthForm component
+ * @param onAuthenticated - Callback function that receives the user once logged in
+ * @param title - Optional heading, e.g. to explain why logging in is needed
+ */
+interface AuthFormProps {
+  onAuthenticated: (user: User) => void;
+  title?: string;
+}
+
+/**
+ * AuthForm Component
+ * A combined login / sign-up form. Signing up creates a diner account
+ * and logs in with it right away.
+ * Errors about a single field (e.g. an email that is already taken) are shown below that field.
+ */
+export default function AuthForm({ onAuthenticated, title }: AuthFormProps) {
+  const [mode, setMode] = useState<'login' | 'register'>('login');
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Partial<Record<AuthField, string>>>({});
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setFieldErrors({});
+
+    try {
+      const user = mode === 'login'
+        ? await login(email.trim(), password)
+        : await register(name.trim(), email.trim(), password);
+      onAuthenticated(user);
+    } catch (err) {
+      const { fields, message } = splitFieldErrors(err, AUTH_FIELDS, 'ההתחברות נכשלה');
+      setFieldErrors(fields);
+      setError(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const clearFieldError = (field: AuthField) => {
+    setFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="auth-form">
+      <h3>{title ?? (mode === 'login' ? 'התחברות' : 'הרשמה')}</h3>
+
+      {mode === 'register' && (
+        <div className="form-group">
+          <label htmlFor="auth-name">שם</label>
+          <input
+            type="text"
+            id="auth-name"
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              clearFieldError('name');
+            }}
+            autoComplete="name"
+            required
+            aria-invalid={Boolean(fieldErrors.name)}
+            aria-describedby={fieldErrors.name ? 'auth-name-error' : undefined}
+          />
+          <FieldErrorMessage id="auth-name-error" message={fieldErrors.name} />
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="auth-email">אימייל</label>
+        <input
+          type="email"
+          id="auth-email"
+          value={email}
+          onChange={(e) => {
+            setEmail(e.target.value);
+            clearFieldError('email');
+          }}
+          autoComplete="email"
+          required
+          aria-invalid={Boolean(fieldErrors.email)}
+          aria-describedby={fieldErrors.email ? 'auth-email-error' : undefined}
+        />
+        <FieldErrorMessage id="auth-email-error" message={fieldErrors.email} />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="auth-password">סיסמה</label>
+        <input
+          type="password"
+          id="auth-password"
+          value={password}
+          onChange={(e) => {
+            setPassword(e.target.value);
+            clearFieldError('password');
+          }}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          minLength={mode === 'register' ? 8 : undefined}
+          required
+          aria-invalid={Boolean(fieldErrors.password)}
+          aria-describedby={fieldErrors.password ? 'auth-password-error' : undefined}
+        />
+        <FieldErrorMessage id="auth-password-error" message={fieldErrors.password} />
+      </div>
+
+      {error && (
+        <p className="booking-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button type="submit" className="submit-button" disabled={submitting}>
+        {mode === 'login' ? 'התחבר' : 'הירשם'}
+      </button>
+
+      <button
+        type="button"
+        className="auth-switch"
+        onClick={() => {
+          setMode(mode === 'login' ? 'register' : 'login');
+          setError(null);
+          setFieldErrors({});
+        }}
+      >
+        {mode === 'login' ? 'אין לך חשבון? הירשם' : 'כבר יש לך חשבון? התחבר'}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,123 @@
+import { useState } from 'react';
+import { downloadReservationCalendar } from '../api/reservations';
+import type { Reservation } from '../types/Reservation';
+import { ACCESSIBILITY_NEEDS, OCCASIONS, SEATING_AREAS, formatAddress, getOptionLabel } from '../utils/format';
+import './BookingForm.css';
+
+/**
+ * Props interface for BookingConfirmation component
+ * @param reservation - The reservation returned by POST /api/reservations
+ * @param onDone - Callback function that returns to the search
+ */
+interface BookingConfirmationProps {
+  reservation: Reservation;
+  onDone: () => void;
+}
+
+/**
+ * BookingConfirmation Component
+ * The last step of the booking flow: shows the details of the created reservation,
+ * and offers it as a calendar file (.ics) that calendar apps can import.
+ */
+export default function BookingConfirmation({ reservation, onDone }: BookingConfirmationProps) {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  /**
+   * handleAddToCalendar Function
+   * Downloads the reservation's .ics file; opening it adds the event to the calendar.
+   * The file is fetched with the login token, so a plain link would not do.
+   */
+  const handleAddToCalendar = async () => {
+    setDownloading(true);
+    setError(null);
+    try {
+      const file = await downloadReservationCalendar(reservation.id);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reservation-${reservation.id}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'ההורדה נכשלה');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <section className="booking-confirmation" aria-live="polite">
+      <h2>✅ ההזמנה אושרה!</h2>
+
+      <dl className="booking-summary">
+        <dt>מספר הזמנה</dt>
+        <dd>{reservation.id}</dd>
+
+        <dt>מסעדה</dt>
+        <dd>{reservation.restaurantName ?? reservation.restaurant?.name}</dd>
+
+        {reservation.restaurant && (
+          <>
+            <dt>כתובת</dt>
+            <dd>{formatAddress(reservation.restaurant.address)}</dd>
+          </>
+        )}
+
+        <dt>תאריך</dt>
+        <dd>{new Date(`${reservation.date}T00:00:00`).toLocaleDateString('he-IL')}</dd>
+
+        <dt>שעה</dt>
+        <dd>{reservation.time}</dd>
+
+        <dt>מספר אורחים</dt>
+        <dd>{reservation.numGuests}</dd>
+
+        <dt>משך הישיבה</dt>
+        <dd>{reservation.duration} דקות</dd>
+
+        {reservation.seatingArea && (
+          <>
+            <dt>אזור ישיבה</dt>
+            <dd>{getOptionLabel(SEATING_AREAS, reservation.seatingArea)}</dd>
+          </>
+        )}
+
+        {reservation.accessibility.length > 0 && (
+          <>
+            <dt>נגישות</dt>
+            <dd>{reservation.accessibility.map((need) => getOptionLabel(ACCESSIBILITY_NEEDS, need)).join(', ')}</dd>
+          </>
+        )}
+
+        {reservation.occasion && (
+          <>
+            <dt>אירוע</dt>
+            <dd>{getOptionLabel(OCCASIONS, reservation.occasion)}</dd>
+          </>
+        )}
+
+        {reservation.notes && (
+          <>
+            <dt>הערות</dt>
+            <dd>{reservation.notes}</dd>
+          </>
+        )}
+      </dl>
+
+      {error && (
+        <p className="booking-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button type="button" className="waitlist-button" onClick={handleAddToCalendar} disabled={downloading}>
+        📅 הוספה ליומן
+      </button>
+
+      <button type="button" className="submit-button" onClick={onDone}>
+        חזרה לחיפוש
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,398 @@
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import { createReservation } from '../api/reservations';
+import { ApiError, splitFieldErrors } from '../api/client';
+import { joinWaitlist, leaveWaitlist } from '../api/waitlist';
+import type { Restaurant } from '../types/Restaurant';
+import type { AlternativeSlot, Occasion, Reservation, ReservationPreferences } from '../types/Reservation';
+import type { TableArea } from '../types/Restaurant';
+import type { User } from '../types/User';
+import type { WaitlistEntry } from '../types/Waitlist';
+import AuthForm from './AuthForm';
+import FieldErrorMessage from './FieldErrorMessage';
+import { ACCESSIBILITY_NEEDS, OCCASIONS, SEATING_AREAS, getTodayIn } from '../utils/format';
+import './BookingForm.css';
+
+/**
+ * The booking fields that can be carried over from the search form
+ */
+export interface BookingDefaults {
+  date: string;
+  time: string;
+  numGuests: number;
+}
+
+/**
+ * The booking fields whose backend errors can be shown next to them
+ */
+type BookingField = keyof BookingDefaults | keyof ReservationPreferences;
+
+/**
+ * Props interface for BookingForm component
+ * @param restaurant - The restaurant being booked
+ * @param defaults - Date, time and guest count already entered in SearchForm
+ * @param onBooked - Callback function that receives the created reservation
+ * @param user - The logged-in user, or null
+ * @param onAuthenticated - Callback function that receives the user after logging in from the form
+ */
+interface BookingFormProps {
+  restaurant: Restaurant;
+  defaults: BookingDefaults;
+  onBooked: (reservation: Reservation) => void;
+  user: User | null;
+  onAuthenticated: (user: User) => void;
+}
+
+/**
+ * BookingForm Component
+ * Lets the user book the selected restaurant straight from the detail view.
+ * The fields start with the values from the search, and can still be changed.
+ * If the backend rejects the booking, its message is shown inline above the button,
+ * together with the nearest alternative slots it suggests (clicking one fills the form);
+ * an error about a single field is shown below that field instead.
+ * When the slot is only full, the user can also join its waitlist and see their place in line.
+ * Special requests (seating area, accessibility, occasion, notes) only offer what the restaurant has.
+ * Booking requires an account, so logged-out users see the login form instead.
+ */
+export default function BookingForm({ restaurant, defaults, onBooked, user, onAuthenticated }: BookingFormProps) {
+  const [values, setValues] = useState<BookingDefaults>(defaults);
+  const [preferences, setPreferences] = useState<ReservationPreferences>({
+    seatingArea: null,
+    accessibility: [],
+    occasion: null,
+    notes: '',
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Partial<Record<BookingField, string>>>({});
+  const [alternatives, setAlternatives] = useState<AlternativeSlot[]>([]);
+  const [canJoinWaitlist, setCanJoinWaitlist] = useState(false);
+  const [waitlistEntry, setWaitlistEntry] = useState<WaitlistEntry | null>(null);
+
+  /**
+   * handleSubmit Function
+   * Sends the reservation to the backend.
+   * On success the parent moves on to the confirmation screen;
+   * on failure the backend's message stays on screen so the user can adjust the booking.
+   */
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setFieldErrors({});
+    setAlternatives([]);
+    setCanJoinWaitlist(false);
+
+    try {
+      const reservation = await createReservation({
+        restaurantId: Number(restaurant.id),
+        ...values,
+        ...preferences,
+      });
+      onBooked(reservation);
+    } catch (err) {
+      const { fields, message } = splitFieldErrors(err, shownFields, 'ההזמנה נכשלה');
+      setFieldErrors(fields);
+      setError(message);
+      setAlternatives(err instanceof ApiError ? err.alternatives : []);
+      setCanJoinWaitlist(err instanceof ApiError && err.canJoinWaitlist);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  /**
+   * handleJoinWaitlist Function
+   * Waits for the full slot instead of picking another one.
+   * The backend books the table by itself once enough seats are freed.
+   */
+  const handleJoinWaitlist = async () => {
+    setSubmitting(true);
+    try {
+      const entry = await joinWaitlist({
+        restaurantId: Number(restaurant.id),
+        ...values,
+        ...preferences,
+      });
+      setWaitlistEntry(entry);
+      setError(null);
+      setAlternatives([]);
+      setCanJoinWaitlist(false);
+    } catch (err) {
+      const { fields, message } = splitFieldErrors(err, shownFields, 'ההצטרפות לרשימת ההמתנה נכשלה');
+      setFieldErrors(fields);
+      setError(message);
+      setCanJoinWaitlist(false);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleLeaveWaitlist = async () => {
+    if (!waitlistEntry) return;
+    setSubmitting(true);
+    try {
+      await leaveWaitlist(waitlistEntry.id);
+      setWaitlistEntry(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'היציאה מרשימת ההמתנה נכשלה');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleChange = (field: keyof BookingDefaults, value: string | number) => {
+    setValues((prev) => ({ ...prev, [field]: value }));
+    // The old error no longer applies once the booking details change
+    setError(null);
+    setFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+    setAlternatives([]);
+    setCanJoinWaitlist(false);
+  };
+
+  const handlePreferenceChange = (changes: ReservationPreferences) => {
+    setPreferences((prev) => ({ ...prev, ...changes }));
+    // Another seating area can change whether the slot has room
+    setError(null);
+    setFieldErrors((prev) => ({ ...prev, seatingArea: undefined, accessibility: undefined, occasion: undefined }));
+    setAlternatives([]);
+    setCanJoinWaitlist(false);
+  };
+
+  const toggleAccessibility = (need: (typeof ACCESSIBILITY_NEEDS)[number]['value']) => {
+    const current = preferences.accessibility ?? [];
+    handlePreferenceChange({
+      accessibility: current.includes(need) ? current.filter((item) => item !== need) : [...current, need],
+    });
+  };
+
+  // Only offer the areas the restaurant has tables in and the needs it caters for
+  const seatingAreas = SEATING_AREAS.filter((area) => restaurant.tables?.some((table) => table.area === area.value));
+  const accessibilityNeeds = ACCESSIBILITY_NEEDS.filter((need) => restaurant.features?.includes(need.feature));
+
+  // Errors about fields the form does not show stay in the message above the button
+  const shownFields: BookingField[] = [
+    'date',
+    'time',
+    'numGuests',
+    ...(seatingAreas.length > 1 ? (['seatingArea'] as const) : []),
+    ...(accessibilityNeeds.length > 0 ? (['accessibility'] as const) : []),
+    'occasion',
+    'notes',
+  ];
+
+  /**
+   * Fills the form with a suggested slot; the user still confirms with the submit button
+   */
+  const selectAlternative = (slot: AlternativeSlot) => {
+    setValues((prev) => ({ ...prev, date: slot.date, time: slot.time }));
+    setError(null);
+    setFieldErrors((prev) => ({ ...prev, date: undefined, time: undefined }));
+    setAlternatives([]);
+    setCanJoinWaitlist(false);
+  };
+
+  // Booking times are the restaurant's local time; say so when the user is in another timezone
+  const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const showTimezone = Boolean(restaurant.timezone) && restaurant.timezone !== browserTimezone;
+
+  if (!user) {
+    return <AuthForm title="כדי להזמין שולחן יש להתחבר" onAuthenticated={onAuthenticated} />;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="booking-form">
+      <h3>הזמנת שולחן</h3>
+
+      <div className="booking-fields">
+        <div className="form-group">
+          <label htmlFor="booking-date">תאריך</label>
+          <input
+            type="date"
+            id="booking-date"
+            value={values.date}
+            onChange={(e) => handleChange('date', e.target.value)}
+            min={getTodayIn(restaurant.timezone)}
+            required
+            aria-invalid={Boolean(fieldErrors.date)}
+            aria-describedby={fieldErrors.date ? 'booking-date-error' : undefined}
+          />
+          <FieldErrorMessage id="booking-date-error" message={fieldErrors.date} />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="booking-time">שעה</label>
+          <input
+            type="time"
+            id="booking-time"
+            value={values.time}
+            onChange={(e) => handleChange('time', e.target.value)}
+            required
+            aria-invalid={Boolean(fieldErrors.time)}
+            aria-describedby={fieldErrors.time ? 'booking-time-error' : undefined}
+          />
+          <FieldErrorMessage id="booking-time-error" message={fieldErrors.time} />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="booking-guests">מספר אורחים</label>
+          <select
+            id="booking-guests"
+            value={values.numGuests}
+            onChange={(e) => handleChange('numGuests', parseInt(e.target.value))}
+            required
+            aria-invalid={Boolean(fieldErrors.numGuests)}
+            aria-describedby={fieldErrors.numGuests ? 'booking-guests-error' : undefined}
+          >
+            {Array.from({ length: 10 }, (_, i) => i + 1).map((num) => (
+              <option key={num} value={num}>
+                {num === 1 ? 'אורח אחד' : `${num} אורחים`}
+              </option>
+            ))}
+          </select>
+          <FieldErrorMessage id="booking-guests-error" message={fieldErrors.numGuests} />
+        </div>
+      </div>
+
+      <fieldset className="booking-requests">
+        <legend>בקשות מיוחדות</legend>
+
+        <div className="booking-fields">
+          {seatingAreas.length > 1 && (
+            <div className="form-group">
+              <label htmlFor="booking-area">אזור ישיבה</label>
+              <select
+                id="booking-area"
+                value={preferences.seatingArea ?? ''}
+                onChange={(e) => handlePreferenceChange({ seatingArea: (e.target.value || null) as TableArea | null })}
+                aria-invalid={Boolean(fieldErrors.seatingArea)}
+                aria-describedby={fieldErrors.seatingArea ? 'booking-area-error' : undefined}
+              >
+                <option value="">ללא העדפה</option>
+                {seatingAreas.map((area) => (
+                  <option key={area.value} value={area.value}>
+                    {area.label}
+                  </option>
+                ))}
+              </select>
+              <FieldErrorMessage id="booking-area-error" message={fieldErrors.seatingArea} />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="booking-occasion">אירוע</label>
+            <select
+              id="booking-occasion"
+              value={preferences.occasion ?? ''}
+              onChange={(e) => handlePreferenceChange({ occasion: (e.target.value || null) as Occasion | null })}
+              aria-invalid={Boolean(fieldErrors.occasion)}
+              aria-describedby={fieldErrors.occasion ? 'booking-occasion-error' : undefined}
+            >
+              <option value="">ללא</option>
+              {OCCASIONS.map((occasion) => (
+                <option key={occasion.value} value={occasion.value}>
+                  {occasion.label}
+                </option>
+              ))}
+            </select>
+            <FieldErrorMessage id="booking-occasion-error" message={fieldErrors.occasion} />
+          </div>
+        </div>
+
+        {accessibilityNeeds.length > 0 && (
+          <div
+            className="chip-list"
+            role="group"
+            aria-label="נגישות"
+            aria-describedby={fieldErrors.accessibility ? 'booking-accessibility-error' : undefined}
+          >
+            {accessibilityNeeds.map((need) => (
+              <label
+                key={need.value}
+                className={`chip ${preferences.accessibility?.includes(need.value) ? 'active' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={preferences.accessibility?.includes(need.value) ?? false}
+                  onChange={() => toggleAccessibility(need.value)}
+                />
+                {need.label}
+              </label>
+            ))}
+          </div>
+        )}
+        <FieldErrorMessage id="booking-accessibility-error" message={fieldErrors.accessibility} />
+
+        <div className="form-group">
+          <label htmlFor="booking-notes">הערות למסעדה</label>
+          <textarea
+            id="booking-notes"
+            value={preferences.notes ?? ''}
+            onChange={(e) => {
+              setPreferences((prev) => ({ ...prev, notes: e.target.value }));
+              setFieldErrors((prev) => ({ ...prev, notes: undefined }));
+            }}
+            maxLength={500}
+            rows={2}
+            aria-invalid={Boolean(fieldErrors.notes)}
+            aria-describedby={fieldErrors.notes ? 'booking-notes-error' : undefined}
+          />
+          <FieldErrorMessage id="booking-notes-error" message={fieldErrors.notes} />
+        </div>
+      </fieldset>
+
+      {showTimezone && <p className="booking-timezone">השעות לפי שעון המסעדה ({restaurant.timezone})</p>}
+
+      {error && (
+        <p className="booking-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {alternatives.length > 0 && (
+        <div className="booking-alternatives">
+          <p>אפשר להזמין במקום זאת:</p>
+          <div className="alternatives-list">
+            {alternatives.map((slot) => (
+              <button
+                key={`${slot.date} ${slot.time}`}
+                type="button"
+                className="time-option"
+                onClick={() => selectAlternative(slot)}
+              >
+                {slot.date === values.date
+                  ? slot.time
+                  : `${new Date(`${slot.date}T00:00:00`).toLocaleDateString('he-IL')} ${slot.time}`}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {canJoinWaitlist && (
+        <div className="booking-waitlist">
+          <p>כל השולחנות בשעה זו תפוסים. אפשר להמתין לשולחן שיתפנה:</p>
+          <button type="button" className="waitlist-button" onClick={handleJoinWaitlist} disabled={submitting}>
+            הצטרפות לרשימת ההמתנה
+          </button>
+        </div>
+      )}
+
+      {waitlistEntry && (
+        <div className="booking-waitlist">
+          <p>
+            מקומך ברשימת ההמתנה ל-{new Date(`${waitlistEntry.date}T00:00:00`).toLocaleDateString('he-IL')}{' '}
+            {waitlistEntry.time}: {waitlistEntry.position}. אם יתפנה מקום, השולחן יוזמן עבורך אוטומטית.
+          </p>
+          <button type="button" className="waitlist-button" onClick={handleLeaveWaitlist} disabled={submitting}>
+            יציאה מרשימת ההמתנה
+          </button>
+        </div>
+      )}
+
+      <button type="submit" className="submit-button" disabled={submitting}>
+        {submitting ? 'שולח הזמנה...' : 'הזמן עכשיו'}
+      </button>
+    </form>
+  );
+}
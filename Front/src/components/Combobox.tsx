@@ -0,0 +1,156 @@
+import { useEffect, useState } from 'react';
+import type { KeyboardEvent } from 'react';
+import { getSuggestions } from '../api/suggest';
+import type { SuggestField, Suggestion } from '../types/Suggestion';
+import './Combobox.css';
+
+/**
+ * Props interface for Combobox component
+ * @param id - ID of the input, for the <label htmlFor> outside the component
+ * @param field - Which restaurant value GET /api/suggest completes
+ * @param value - Current text of the input
+ * @param onChange - Callback function that receives the new text (typed or picked)
+ * @param placeholder - Optional placeholder text
+ * @param type - Optional input type ('text' by default)
+ * @param maxLength - Optional maximum text length
+ */
+interface ComboboxProps {
+  id: string;
+  field: SuggestField;
+  value: string;
+  onChange: (value: string) => void;
+  placeholder?: string;
+  type?: 'text' | 'search';
+  maxLength?: number;
+}
+
+/**
+ * Wait this long after the last keystroke before asking for suggestions
+ */
+const SUGGEST_DELAY_MS = 200;
+
+/**
+ * Combobox Component
+ * A text input with a dropdown of suggestions from the restaurant data,
+ * following the ARIA combobox pattern (list autocomplete):
+ * - ArrowDown / ArrowUp open the list and move through it
+ * - Enter picks the highlighted suggestion, Escape closes the list
+ * - Clicking a suggestion picks it
+ * The text can still be anything; a suggestion only fills it in.
+ */
+export default function Combobox({ id, field, value, onChange, placeholder, type = 'text', maxLength }: ComboboxProps) {
+  const [open, setOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const listId = `${id}-suggestions`;
+  const expanded = open && suggestions.length > 0;
+
+  /**
+   * Look up suggestions for the current text while the list is open.
+   * The lookup waits for a pause in typing, and an outdated one is cancelled.
+   */
+  useEffect(() => {
+    if (!open) return;
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      getSuggestions(field, value.trim(), controller.signal)
+        .then((result) => {
+          setSuggestions(result);
+          setActiveIndex(-1);
+        })
+        .catch(() => {
+          // Suggestions are optional - typing still works without them
+          if (!controller.signal.aborted) setSuggestions([]);
+        });
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [field, value, open]);
+
+  const select = (suggestion: Suggestion) => {
+    onChange(suggestion.value);
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (!expanded) {
+          setOpen(true);
+        } else {
+          setActiveIndex((prev) => (prev + 1) % suggestions.length);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (expanded) {
+          setActiveIndex((prev) => (prev <= 0 ? suggestions.length - 1 : prev - 1));
+        }
+        break;
+      case 'Enter':
+        // Pick the highlighted suggestion instead of submitting the form
+        if (expanded && activeIndex >= 0) {
+          e.preventDefault();
+          select(suggestions[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        if (expanded) {
+          e.preventDefault();
+          setOpen(false);
+          setActiveIndex(-1);
+        }
+        break;
+    }
+  };
+
+  return (
+    <div className="combobox">
+      <input
+        type={type}
+        id={id}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-activedescendant={expanded && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        autoComplete="off"
+        placeholder={placeholder}
+        maxLength={maxLength}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+      />
+      <ul id={listId} role="listbox" className="combobox-list" hidden={!expanded}>
+        {suggestions.map((suggestion, index) => (
+          <li
+            key={suggestion.value}
+            id={`${listId}-${index}`}
+            role="option"
+            aria-selected={index === activeIndex}
+            className={`combobox-option ${index === activeIndex ? 'active' : ''}`}
+            // Keep the focus in the input, so picking does not close the list first
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => select(suggestion)}
+          >
+            <span>{suggestion.value}</span>
+            <span className="combobox-count">
+              {suggestion.count === 1 ? 'מסעדה אחת' : `${suggestion.count} מסעדות`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import './FieldErrorMessage.css';
+
+/**
+ * Props interface for FieldErrorMessage component
+ * @param id - ID of the message, for the aria-describedby of its field
+ * @param message - The backend's error for the field, if any
+ */
+interface FieldErrorMessageProps {
+  id: string;
+  message?: string;
+}
+
+/**
+ * FieldErrorMessage Component
+ * Shows the backend's error for one form field right below it.
+ * The field itself should point at it with aria-describedby and set aria-invalid.
+ */
+export default function FieldErrorMessage({ id, message }: FieldErrorMessageProps) {
+  if (!message) return null;
+
+  return (
+    <p id={id} className="field-error">
+      {message}
+    </p>
+  );
+}
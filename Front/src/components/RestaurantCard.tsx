@@ -0,0 +1,45 @@
+import type { Restaurant } from '../types/Restaurant';
+import { formatAddress, formatDistance } from '../utils/format';
+
+/**
+ * Props interface for RestaurantCard component
+ * @param restaurant - The restaurant to display
+ * @param onSelect - Callback function that receives the restaurant ID when the card is clicked
+ */
+interface RestaurantCardProps {
+  restaurant: Restaurant;
+  onSelect: (restaurantId: string) => void;
+}
+
+/**
+ * RestaurantCard Component
+ * Shows a short summary of a single search result: name, cuisine, rating,
+ * price range, address and (for "near me" searches) distance. The whole card is a button that opens the detail view.
+ */
+export default function RestaurantCard({ restaurant, onSelect }: RestaurantCardProps) {
+  return (
+    <li>
+      <button type="button" className="restaurant-card" onClick={() => onSelect(restaurant.id)}>
+        <div className="restaurant-card-header">
+          <h3>{restaurant.name}</h3>
+          {restaurant.rating !== undefined && restaurant.rating !== null && (
+            <span className="restaurant-rating" aria-label={`דירוג ${restaurant.rating}`}>
+              <span className="star-icon">★</span> {restaurant.rating.toFixed(1)}
+              {Boolean(restaurant.reviewCount) && <span className="review-count"> ({restaurant.reviewCount})</span>}
+            </span>
+          )}
+        </div>
+        <div className="restaurant-card-meta">
+          <span className="restaurant-cuisine">{restaurant.cuisine}</span>
+          {restaurant.priceRange && <span className="restaurant-price">{restaurant.priceRange}</span>}
+        </div>
+        <p className="restaurant-address">
+          {formatAddress(restaurant.address)}
+          {typeof restaurant.distance === 'number' && (
+            <span className="restaurant-distance"> · {formatDistance(restaurant.distance)}</span>
+          )}
+        </p>
+      </button>
+    </li>
+  );
+}
@@ -0,0 +1,194 @@
+import { useEffect, useState } from 'react';
+import { getRestaurant } from '../api/restaurants';
+import type { Restaurant } from '../types/Restaurant';
+import type { Reservation } from '../types/Reservation';
+import type { User } from '../types/User';
+import BookingForm from './BookingForm';
+import type { BookingDefaults } from './BookingForm';
+import Reviews from './Reviews';
+import { WEEK_DAYS, formatAddress, formatWindows, getTodayIn } from '../utils/format';
+import './RestaurantDetails.css';
+
+/**
+ * Props interface for RestaurantDetails component
+ * @param restaurantId - ID of the restaurant to show
+ * @param onBack - Callback function that returns to the results list
+ * @param bookingDefaults - Date, time and guest count from the search, used to prefill the booking form
+ * @param onBooked - Callback function that receives the reservation once the booking succeeds
+ * @param user - The logged-in user, or null (booking asks to log in first)
+ * @param onAuthenticated - Callback function that receives the user after logging in
+ */
+interface RestaurantDetailsProps {
+  restaurantId: string;
+  onBack: () => void;
+  bookingDefaults: BookingDefaults;
+  onBooked: (reservation: Reservation) => void;
+  user: User | null;
+  onAuthenticated: (user: User) => void;
+}
+
+/**
+ * RestaurantDetails Component
+ * Fetches a single restaurant from GET /api/restaurants/:id and shows all of
+ * its details, including the full weekly opening hours table and any upcoming
+ * special hours, followed by its reviews and the booking form.
+ */
+export default function RestaurantDetails({
+  restaurantId,
+  onBack,
+  bookingDefaults,
+  onBooked,
+  user,
+  onAuthenticated,
+}: RestaurantDetailsProps) {
+  const [restaurant, setRestaurant] = useState<Restaurant | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  /**
+   * Load the restaurant whenever the selected ID changes.
+   * The AbortController cancels the request if the user goes back
+   * (or picks another restaurant) before it finishes.
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    setRestaurant(null);
+    setError(null);
+
+    getRestaurant(restaurantId, controller.signal)
+      .then(setRestaurant)
+      .catch((err: unknown) => {
+        if (controller.signal.aborted) return;
+        setError(err instanceof Error ? err.message : 'אירעה שגיאה בטעינת המסעדה');
+      });
+
+    return () => controller.abort();
+  }, [restaurantId]);
+
+  /**
+   * Fetches the restaurant again after a review changed its rating.
+   * The current details stay on screen until the new ones arrive.
+   */
+  const refreshRestaurant = () => {
+    getRestaurant(restaurantId)
+      .then(setRestaurant)
+      .catch(() => {
+        // Keep showing the previous rating
+      });
+  };
+
+  // Special hours that are not over yet in the restaurant's timezone
+  // (dates compare correctly as YYYY-MM-DD strings)
+  const today = getTodayIn(restaurant?.timezone);
+  const upcomingSpecialHours = (restaurant?.specialHours ?? []).filter((entry) => entry.endDate >= today);
+
+  return (
+    <section className="restaurant-details">
+      <button type="button" className="back-button" onClick={onBack}>
+        → חזרה לתוצאות
+      </button>
+
+      {error && (
+        <p className="results-message results-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {!error && !restaurant && <p className="results-message">טוען פרטי מסעדה...</p>}
+
+      {restaurant && (
+        <>
+          <header className="restaurant-details-header">
+            <h2>{restaurant.name}</h2>
+            <div className="restaurant-card-meta">
+              <span className="restaurant-cuisine">{restaurant.cuisine}</span>
+              {restaurant.priceRange && <span className="restaurant-price">{restaurant.priceRange}</span>}
+              {restaurant.rating !== undefined && restaurant.rating !== null && (
+                <span className="restaurant-rating">
+                  <span className="star-icon">★</span> {restaurant.rating.toFixed(1)}
+                  {Boolean(restaurant.reviewCount) && (
+                    <span className="review-count"> ({restaurant.reviewCount} ביקורות)</span>
+                  )}
+                </span>
+              )}
+            </div>
+            <p className="restaurant-address">{formatAddress(restaurant.address)}</p>
+          </header>
+
+          {restaurant.description && <p className="restaurant-description">{restaurant.description}</p>}
+
+          {(restaurant.phoneNumber || restaurant.website) && (
+            <ul className="restaurant-contact">
+              {restaurant.phoneNumber && (
+                <li>
+                  טלפון: <a href={`tel:${restaurant.phoneNumber}`}>{restaurant.phoneNumber}</a>
+                </li>
+              )}
+              {restaurant.website && (
+                <li>
+                  אתר:{' '}
+                  <a href={restaurant.website} target="_blank" rel="noreferrer">
+                    {restaurant.website}
+                  </a>
+                </li>
+              )}
+            </ul>
+          )}
+
+          <h3>שעות פתיחה</h3>
+          {restaurant.openingHours ? (
+            <table className="opening-hours">
+              <tbody>
+                {WEEK_DAYS.map(({ key, label }) => {
+                  const windows = restaurant.openingHours?.[key] ?? [];
+                  return (
+                    <tr key={key}>
+                      <th scope="row">{label}</th>
+                      <td>{windows.length === 0 ? 'סגור' : formatWindows(windows)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          ) : (
+            <p>שעות הפתיחה אינן זמינות</p>
+          )}
+
+          {upcomingSpecialHours.length > 0 && (
+            <>
+              <h3>שעות מיוחדות</h3>
+              <table className="opening-hours">
+                <tbody>
+                  {upcomingSpecialHours.map((entry) => (
+                    <tr key={entry.id}>
+                      <th scope="row">
+                        {entry.startDate === entry.endDate ? entry.startDate : `${entry.startDate} – ${entry.endDate}`}
+                        {entry.note && <span className="special-hours-note"> ({entry.note})</span>}
+                      </th>
+                      <td>{entry.closed ? 'סגור' : `${entry.open}–${entry.close}`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          {/* Remounted per user, since admins also see hidden reviews */}
+          <Reviews
+            key={user?.id ?? 'guest'}
+            restaurant={restaurant}
+            user={user}
+            onChanged={refreshRestaurant}
+          />
+
+          <BookingForm
+            restaurant={restaurant}
+            defaults={bookingDefaults}
+            onBooked={onBooked}
+            user={user}
+            onAuthenticated={onAuthenticated}
+          />
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,100 @@
+import type { Restaurant } from '../types/Restaurant';
+import RestaurantCard from './RestaurantCard';
+import './RestaurantList.css';
+
+/**
+ * The state of a search request, used to decide what the results area shows
+ */
+export type SearchStatus = 'idle' | 'loading' | 'success' | 'error';
+
+/**
+ * Props interface for RestaurantList component
+ * @param status - Current state of the search request
+ * @param restaurants - Search results (used when status is 'success')
+ * @param cheaperAlternatives - Cheaper restaurants to suggest when nothing is within the budget
+ * @param error - Error message to show (used when status is 'error')
+ * @param onSelect - Callback function that receives the ID of the chosen restaurant
+ * @param onRetry - Callback function that runs the last search again
+ */
+interface RestaurantListProps {
+  status: SearchStatus;
+  restaurants: Restaurant[];
+  cheaperAlternatives: Restaurant[];
+  error: string | null;
+  onSelect: (restaurantId: string) => void;
+  onRetry: () => void;
+}
+
+/**
+ * RestaurantList Component
+ * Renders the results area below the search form.
+ * Handles the loading, error and empty states, and otherwise renders
+ * one RestaurantCard per result.
+ */
+export default function RestaurantList({
+  status,
+  restaurants,
+  cheaperAlternatives,
+  error,
+  onSelect,
+  onRetry,
+}: RestaurantListProps) {
+  // Nothing to show before the first search
+  if (status === 'idle') {
+    return null;
+  }
+
+  if (status === 'loading') {
+    return (
+      <section className="results" aria-busy="true">
+        <p className="results-message">מחפש מסעדות...</p>
+      </section>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <section className="results">
+        <div className="results-message results-error" role="alert">
+          <p>{error ?? 'אירעה שגיאה בחיפוש'}</p>
+          <button type="button" className="retry-button" onClick={onRetry}>
+            נסה שוב
+          </button>
+        </div>
+      </section>
+    );
+  }
+
+  if (restaurants.length === 0 && cheaperAlternatives.length > 0) {
+    return (
+      <section className="results">
+        <p className="results-message">לא נמצאו מסעדות בתקציב שבחרתם.</p>
+        <h2 className="results-title">חלופות זולות יותר</h2>
+        <ul className="results-list">
+          {cheaperAlternatives.map((restaurant) => (
+            <RestaurantCard key={restaurant.id} restaurant={restaurant} onSelect={onSelect} />
+          ))}
+        </ul>
+      </section>
+    );
+  }
+
+  if (restaurants.length === 0) {
+    return (
+      <section className="results">
+        <p className="results-message">לא נמצאו מסעדות שמתאימות לחיפוש. נסו לשנות את הסינון.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="results">
+      <h2 className="results-title">נמצאו {restaurants.length} מסעדות</h2>
+      <ul className="results-list">
+        {restaurants.map((restaurant) => (
+          <RestaurantCard key={restaurant.id} restaurant={restaurant} onSelect={onSelect} />
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,301 @@
+import { useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import { splitFieldErrors } from '../api/client';
+import { getReviews, postReview, replyToReview, setReviewHidden } from '../api/reviews';
+import type { Restaurant } from '../types/Restaurant';
+import type { Review } from '../types/Review';
+import type { User } from '../types/User';
+import FieldErrorMessage from './FieldErrorMessage';
+import './Reviews.css';
+
+/**
+ * Props interface for Reviews component
+ * @param restaurant - The restaurant whose reviews are shown
+ * @param user - The logged-in user, or null (only logged-in diners can write a review)
+ * @param onChanged - Callback function called when a change affects the restaurant's rating
+ */
+interface ReviewsProps {
+  restaurant: Restaurant;
+  user: User | null;
+  onChanged: () => void;
+}
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Review length limit (same as MAX_REVIEW_TEXT_LENGTH in the backend)
+ */
+const MAX_REVIEW_LENGTH = 2000;
+
+/**
+ * The review form fields whose backend errors are shown next to them
+ */
+const REVIEW_FIELDS = ['rating', 'text'] as const;
+type ReviewField = (typeof REVIEW_FIELDS)[number];
+
+/**
+ * Reviews Component
+ * Lists a restaurant's reviews, newest first, one page at a time.
+ * Diners who have eaten there can add a review; the backend decides who may
+ * (a completed reservation is required) and its message is shown otherwise.
+ * The restaurant's owner and admins can reply, and admins can hide a review or show it again.
+ */
+export default function Reviews({ restaurant, user, onChanged }: ReviewsProps) {
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<Partial<Record<ReviewField, string>>>({});
+
+  const [replyingTo, setReplyingTo] = useState<number | null>(null);
+  const [replyText, setReplyText] = useState('');
+
+  const isAdmin = user?.role === 'admin';
+  const canReply = isAdmin || (user !== null && restaurant.ownerId === user.id);
+
+  /**
+   * Load the requested page; page 1 replaces the list, later pages are appended.
+   * A review posted here shifts the pages by one, so reviews already shown are skipped.
+   */
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+
+    getReviews(restaurant.id, page, controller.signal)
+      .then((result) => {
+        setReviews((prev) => {
+          if (page === 1) return result.reviews;
+          const shown = new Set(prev.map((review) => review.id));
+          return [...prev, ...result.reviews.filter((review) => !shown.has(review.id))];
+        });
+        setTotal(result.total);
+        setHasMore(result.hasMore);
+        setError(null);
+      })
+      .catch((err: unknown) => {
+        if (controller.signal.aborted) return;
+        setError(err instanceof Error ? err.message : 'אירעה שגיאה בטעינת הביקורות');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [restaurant.id, page]);
+
+  /**
+   * Replaces a review in the list after the backend returned its updated version
+   */
+  const replaceReview = (updated: Review) => {
+    setReviews((prev) => prev.map((review) => (review.id === updated.id ? updated : review)));
+  };
+
+  const handleSubmit = async (e: FormEvent<HTMLFormElement>) => {
+    e.preventDefault();
+    if (rating === 0) {
+      setFieldErrors({ rating: 'יש לבחור דירוג' });
+      return;
+    }
+    setSubmitting(true);
+    setFormError(null);
+    setFieldErrors({});
+
+    try {
+      const review = await postReview(restaurant.id, { rating, text: text.trim() });
+      setReviews((prev) => [review, ...prev]);
+      setTotal((prev) => prev + 1);
+      setRating(0);
+      setText('');
+      onChanged();
+    } catch (err) {
+      const { fields, message } = splitFieldErrors(err, REVIEW_FIELDS, 'שליחת הביקורת נכשלה');
+      setFieldErrors(fields);
+      setFormError(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReply = async (e: FormEvent<HTMLFormElement>, review: Review) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      replaceReview(await replyToReview(restaurant.id, review.id, replyText.trim()));
+      setReplyingTo(null);
+      setReplyText('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'שליחת התגובה נכשלה');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleHidden = async (review: Review) => {
+    setSubmitting(true);
+    try {
+      replaceReview(await setReviewHidden(restaurant.id, review.id, !review.hidden));
+      // Hiding or showing a review changes the average
+      onChanged();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'עדכון הביקורת נכשל');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <section className="reviews">
+      <h3>ביקורות{total > 0 && ` (${total})`}</h3>
+
+      {error && (
+        <p className="booking-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {!loading && !error && reviews.length === 0 && <p className="reviews-empty">עדיין אין ביקורות</p>}
+
+      <ul className="reviews-list">
+        {reviews.map((review) => (
+          <li key={review.id} className={`review ${review.hidden ? 'review-hidden' : ''}`}>
+            <div className="review-header">
+              <span className="review-stars" aria-label={`דירוג ${review.rating} מתוך 5`}>
+                {'★'.repeat(review.rating)}
+                <span className="review-stars-empty">{'★'.repeat(5 - review.rating)}</span>
+              </span>
+              <span className="review-author">{review.userName ?? 'אורח'}</span>
+              <span className="review-date">{new Date(review.createdAt).toLocaleDateString('he-IL')}</span>
+              {review.hidden && <span className="review-hidden-label">מוסתרת</span>}
+            </div>
+
+            {review.text && <p className="review-text">{review.text}</p>}
+
+            {review.reply && (
+              <div className="review-reply">
+                <strong>תגובת המסעדה:</strong> {review.reply.text}
+              </div>
+            )}
+
+            {canReply && (
+              <div className="review-actions">
+                {replyingTo !== review.id && (
+                  <button
+                    type="button"
+                    className="auth-switch"
+                    onClick={() => {
+                      setReplyingTo(review.id);
+                      setReplyText(review.reply?.text ?? '');
+                    }}
+                  >
+                    {review.reply ? 'עריכת התגובה' : 'תגובה'}
+                  </button>
+                )}
+                {isAdmin && (
+                  <button
+                    type="button"
+                    className="auth-switch"
+                    onClick={() => handleToggleHidden(review)}
+                    disabled={submitting}
+                  >
+                    {review.hidden ? 'הצגת הביקורת' : 'הסתרת הביקורת'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {replyingTo === review.id && (
+              <form className="review-reply-form" onSubmit={(e) => handleReply(e, review)}>
+                <textarea
+                  aria-label="תגובת המסעדה"
+                  value={replyText}
+                  onChange={(e) => setReplyText(e.target.value)}
+                  maxLength={MAX_REVIEW_LENGTH}
+                  rows={2}
+                  required
+                />
+                <div className="review-actions">
+                  <button type="submit" className="waitlist-button" disabled={submitting}>
+                    שליחת תגובה
+                  </button>
+                  <button type="button" className="auth-switch" onClick={() => setReplyingTo(null)}>
+                    ביטול
+                  </button>
+                </div>
+              </form>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p className="reviews-empty">טוען ביקורות...</p>}
+
+      {!loading && hasMore && (
+        <button type="button" className="waitlist-button" onClick={() => setPage((prev) => prev + 1)}>
+          ביקורות נוספות
+        </button>
+      )}
+
+      {user && (
+        <form className="review-form" onSubmit={handleSubmit}>
+          <h4>כתיבת ביקורת</h4>
+          <div
+            className="review-star-picker"
+            role="radiogroup"
+            aria-label="דירוג"
+            aria-invalid={Boolean(fieldErrors.rating)}
+            aria-describedby={fieldErrors.rating ? 'review-rating-error' : undefined}
+          >
+            {STARS.map((star) => (
+              <button
+                key={star}
+                type="button"
+                role="radio"
+                aria-checked={rating === star}
+                aria-label={`${star} כוכבים`}
+                className={star <= rating ? 'active' : ''}
+                onClick={() => {
+                  setRating(star);
+                  setFieldErrors((prev) => ({ ...prev, rating: undefined }));
+                }}
+              >
+                ★
+              </button>
+            ))}
+          </div>
+          <FieldErrorMessage id="review-rating-error" message={fieldErrors.rating} />
+          <textarea
+            aria-label="הביקורת שלך"
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setFieldErrors((prev) => ({ ...prev, text: undefined }));
+            }}
+            maxLength={MAX_REVIEW_LENGTH}
+            rows={3}
+            required
+            aria-invalid={Boolean(fieldErrors.text)}
+            aria-describedby={fieldErrors.text ? 'review-text-error' : undefined}
+          />
+          <FieldErrorMessage id="review-text-error" message={fieldErrors.text} />
+
+          {formError && (
+            <p className="booking-error" role="alert">
+              {formError}
+            </p>
+          )}
+
+          <button type="submit" className="waitlist-button" disabled={submitting}>
+            פרסום הביקורת
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import type { FormEvent } from 'react';
-import type { RestaurantSearch } from '../types/Restaurant';
+import type { PriceRange, RestaurantSearch, TableArea } from '../types/Restaurant';
+import Combobox from './Combobox';
+import { ACCESSIBILITY_NEEDS, DIETARY_OPTIONS, RESTAURANT_FEATURES, SEATING_AREAS } from '../utils/format';
 import './SearchForm.css';
 
 /**
@@ -15,7 +17,8 @@ interface SearchFormProps {
  * SearchForm Component
  * A form component that allows users to search for restaurants with various filters.
  * Handles required fields (date, time, number of guests) and optional filters
- * (location, cuisine, budget, rating).
+ * (free text, location or "near me", cuisine, budget, rating, dietary options, features,
+ * seating area and accessibility).
  * 
  * @param onSubmit - Function that will be called with the search data when form is submitted
  */
@@ -25,18 +28,31 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
    * useState hook stores all form field values in a single object.
    * Initializes with empty/default values:
    * - Required fields: date, time, numGuests (must have values)
-   * - Optional fields: budget, cuisine, location, rating (can be undefined/empty)
+   * - Optional fields: q (free text), budget, cuisine, location, rating (can be undefined/empty)
+   * - Budget, dietary options, features and accessibility start as empty lists (nothing selected)
    */
   const [formData, setFormData] = useState<RestaurantSearch>({
     date: '',
     time: '',
     numGuests: 1,
-    budget: undefined,
+    budget: [],
+    q: '',
     cuisine: '',
     location: '',
     rating: undefined,
+    dietaryOptions: [],
+    features: [],
+    seatingArea: undefined,
+    accessibility: [],
+    lat: undefined,
+    lng: undefined,
+    radius: 2,
   });
 
+  // State of the "near me" geolocation lookup
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState<string | null>(null);
+
   /**
    * Time period options for the toggle
    * Users can select common meal periods instead of exact time
@@ -49,9 +65,14 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
   ];
 
   /**
-   * Budget options for toggle buttons
+   * Budget options for toggle buttons (several can be selected)
+   */
+  const budgetOptions: PriceRange[] = ['$', '$$', '$$$', '$$$$'];
+
+  /**
+   * Search radius options for "near me", in kilometers
    */
-  const budgetOptions: ('$' | '$$' | '$$$' | '$$$$')[] = ['$', '$$', '$$$', '$$$$'];
+  const radiusOptions = [1, 2, 5, 10];
 
   /**
    * handleSubmit Function
@@ -61,7 +82,7 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
    * 1. Prevents the default browser form submission behavior (which would reload the page)
    * 2. Creates a clean search data object starting with only required fields
    * 3. Conditionally adds optional fields only if they have actual values
-   *    - Trims whitespace from text fields (cuisine, location) to avoid empty strings
+   *    - Trims whitespace from text fields (q, cuisine, location) to avoid empty strings
    *    - Only includes fields that are not undefined/empty
    * 4. Passes the cleaned search data to the parent component via the onSubmit callback
    * 
@@ -80,10 +101,14 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
 
     // Only add optional fields if they have values
     // This keeps the search data clean without empty/undefined properties
-    if (formData.budget) {
-      searchData.budget = formData.budget;
+    if (formData.budget?.length) {
+      // Keep the price ranges in order from cheapest, whatever order they were clicked in
+      searchData.budget = budgetOptions.filter((budget) => formData.budget?.includes(budget));
     }
     // trim() removes whitespace - only add if there's actual text content
+    if (formData.q?.trim()) {
+      searchData.q = formData.q.trim();
+    }
     if (formData.cuisine?.trim()) {
       searchData.cuisine = formData.cuisine.trim();
     }
@@ -94,6 +119,25 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
     if (formData.rating !== undefined) {
       searchData.rating = formData.rating;
     }
+    if (formData.dietaryOptions?.length) {
+      searchData.dietaryOptions = formData.dietaryOptions;
+    }
+    if (formData.features?.length) {
+      searchData.features = formData.features;
+    }
+    if (formData.seatingArea) {
+      searchData.seatingArea = formData.seatingArea;
+    }
+    if (formData.accessibility?.length) {
+      searchData.accessibility = formData.accessibility;
+    }
+    // "Near me" searches within the radius and shows the closest restaurants first
+    if (formData.lat !== undefined && formData.lng !== undefined) {
+      searchData.lat = formData.lat;
+      searchData.lng = formData.lng;
+      searchData.radius = formData.radius;
+      searchData.sort = 'distance';
+    }
 
     // Pass the cleaned search data to the parent component
     onSubmit(searchData);
@@ -122,6 +166,78 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
     }));
   };
 
+  /**
+   * handleNearMe Function
+   * Turns the "near me" option on by asking the browser for the user's location,
+   * or turns it off if it is already on.
+   */
+  const handleNearMe = () => {
+    if (formData.lat !== undefined) {
+      setFormData((prev) => ({ ...prev, lat: undefined, lng: undefined }));
+      return;
+    }
+    if (!navigator.geolocation) {
+      setLocationError('הדפדפן לא תומך באיתור מיקום');
+      return;
+    }
+
+    setLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setFormData((prev) => ({
+          ...prev,
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+        }));
+        setLocating(false);
+      },
+      () => {
+        setLocationError('לא הצלחנו לאתר את המיקום שלך');
+        setLocating(false);
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  /**
+   * toggleBudget Function
+   * Selects a price range, or deselects it if it is already selected.
+   *
+   * @param budget - The price range that was clicked
+   */
+  const toggleBudget = (budget: PriceRange) => {
+    setFormData((prev) => {
+      const current = prev.budget ?? [];
+      return {
+        ...prev,
+        budget: current.includes(budget)
+          ? current.filter((item) => item !== budget)
+          : [...current, budget],
+      };
+    });
+  };
+
+  /**
+   * toggleListValue Function
+   * Adds a value to a list field (dietaryOptions / features / accessibility) or removes it
+   * if it is already selected. Used by the checkbox chips.
+   *
+   * @param field - The list field to update
+   * @param value - The chip value that was toggled
+   */
+  const toggleListValue = (field: 'dietaryOptions' | 'features' | 'accessibility', value: string) => {
+    setFormData((prev) => {
+      const current = prev[field] ?? [];
+      return {
+        ...prev,
+        [field]: current.includes(value)
+          ? current.filter((item) => item !== value)
+          : [...current, value],
+      };
+    });
+  };
+
   /**
    * JSX Return
    * Renders the form UI with all input fields.
@@ -133,6 +249,19 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
     // onSubmit event: Triggers handleSubmit when form is submitted
     <form onSubmit={handleSubmit} className="search-form">
       <h2>חפש מסעדה</h2>
+
+      <div className="form-group">
+        <label htmlFor="q">חיפוש חופשי</label>
+        <Combobox
+          type="search"
+          id="q"
+          field="name"
+          placeholder="שם מסעדה, מנה או סוג מטבח - לדוגמה: סושי, פיצה"
+          value={formData.q || ''}
+          onChange={(value) => handleChange('q', value)}
+          maxLength={200}
+        />
+      </div>
       
       {/* Three-column grid for Date, Time, and Guests */}
       <div className="form-row">
@@ -199,35 +328,62 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
 
       <div className="form-group">
         <label htmlFor="location">מיקום</label>
-        <input
-          type="text"
+        <Combobox
           id="location"
+          field="city"
           placeholder="לדוגמה: תל אביב, ירושלים"
           value={formData.location || ''}
-          onChange={(e) => handleChange('location', e.target.value)}
+          onChange={(value) => handleChange('location', value)}
         />
+        <div className="near-me">
+          <button
+            type="button"
+            className={`near-me-button ${formData.lat !== undefined ? 'active' : ''}`}
+            aria-pressed={formData.lat !== undefined}
+            onClick={handleNearMe}
+            disabled={locating}
+          >
+            📍 {locating ? 'מאתר מיקום...' : 'קרוב אליי'}
+          </button>
+          {formData.lat !== undefined && (
+            <select
+              aria-label="מרחק מקסימלי"
+              value={formData.radius}
+              onChange={(e) => handleChange('radius', parseInt(e.target.value))}
+              className="radius-select"
+            >
+              {radiusOptions.map((km) => (
+                <option key={km} value={km}>
+                  עד {km} ק"מ
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        {locationError && <p className="location-error">{locationError}</p>}
       </div>
 
       <div className="form-group">
         <label htmlFor="cuisine">סוג מטבח</label>
-        <input
-          type="text"
+        <Combobox
           id="cuisine"
+          field="cuisine"
           placeholder="לדוגמה: איטלקי, סיני, מקסיקני"
           value={formData.cuisine || ''}
-          onChange={(e) => handleChange('cuisine', e.target.value)}
+          onChange={(value) => handleChange('cuisine', value)}
         />
       </div>
 
       <div className="form-group">
-        <label htmlFor="budget">תקציב</label>
+        <label htmlFor="budget">תקציב (אפשר לבחור כמה)</label>
         <div className="budget-toggle">
           {budgetOptions.map((budget) => (
             <button
               key={budget}
               type="button"
-              className={`budget-button ${formData.budget === budget ? 'active' : ''}`}
-              onClick={() => handleChange('budget', budget)}
+              className={`budget-button ${formData.budget?.includes(budget) ? 'active' : ''}`}
+              aria-pressed={formData.budget?.includes(budget) ?? false}
+              onClick={() => toggleBudget(budget)}
             >
               {budget}
             </button>
@@ -258,6 +414,81 @@ export default function SearchForm({ onSubmit }: SearchFormProps) {
         </div>
       </div>
 
+      <fieldset className="form-group chip-group">
+        <legend>העדפות תזונה</legend>
+        <div className="chip-list">
+          {DIETARY_OPTIONS.map((option) => (
+            <label
+              key={option.value}
+              className={`chip ${formData.dietaryOptions?.includes(option.value) ? 'active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={formData.dietaryOptions?.includes(option.value) ?? false}
+                onChange={() => toggleListValue('dietaryOptions', option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset className="form-group chip-group">
+        <legend>מאפיינים</legend>
+        <div className="chip-list">
+          {RESTAURANT_FEATURES.map((feature) => (
+            <label
+              key={feature.value}
+              className={`chip ${formData.features?.includes(feature.value) ? 'active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={formData.features?.includes(feature.value) ?? false}
+                onChange={() => toggleListValue('features', feature.value)}
+              />
+              {feature.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <div className="form-group">
+        <label htmlFor="seatingArea">אזור ישיבה</label>
+        <select
+          id="seatingArea"
+          value={formData.seatingArea ?? ''}
+          onChange={(e) =>
+            setFormData((prev) => ({ ...prev, seatingArea: (e.target.value || undefined) as TableArea | undefined }))
+          }
+        >
+          <option value="">ללא העדפה</option>
+          {SEATING_AREAS.map((area) => (
+            <option key={area.value} value={area.value}>
+              {area.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <fieldset className="form-group chip-group">
+        <legend>נגישות</legend>
+        <div className="chip-list">
+          {ACCESSIBILITY_NEEDS.map((need) => (
+            <label
+              key={need.value}
+              className={`chip ${formData.accessibility?.includes(need.value) ? 'active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={formData.accessibility?.includes(need.value) ?? false}
+                onChange={() => toggleListValue('accessibility', need.value)}
+              />
+              {need.label}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
       <button type="submit" className="submit-button">
         <span className="search-icon">🔍</span>
         חפש מסעדות
@@ -0,0 +1,50 @@
+import type { AlternativeSlot } from './Reservation';
+import type { Restaurant } from './Restaurant';
+
+//defining the page links of a paginated list
+export interface Pagination {
+  page: number;
+  limit: number;
+  totalPages: number;
+  next: string | null;
+  prev: string | null;
+}
+
+//defining the error codes the backend sends with success: false
+export type ErrorCode =
+  | 'VALIDATION_FAILED'
+  | 'INVALID_JSON'
+  | 'BAD_REQUEST'
+  | 'SLOT_PASSED'
+  | 'RESTAURANT_CLOSED'
+  | 'SLOT_FULL'
+  | 'UNAUTHORIZED'
+  | 'INVALID_TOKEN'
+  | 'INVALID_CREDENTIALS'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'CONFLICT'
+  | 'EMAIL_TAKEN'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'INTERNAL_ERROR';
+
+//defining a problem with one request field (field is null when it is about the whole request)
+export interface FieldError {
+  field: string | null;
+  message: string;
+}
+
+//defining the response shape shared by all backend endpoints
+export interface ApiResponse<T> {
+  success: boolean;
+  message?: string;
+  count?: number;
+  total?: number; // All matches, when the list is paginated
+  pagination?: Pagination;
+  data?: T;
+  code?: ErrorCode; // Sent when success is false
+  errors?: FieldError[]; // Sent when success is false, e.g. one entry per invalid field
+  alternatives?: AlternativeSlot[]; // Sent when a requested reservation slot cannot be booked
+  canJoinWaitlist?: boolean; // Sent when the requested slot is only full, so it can be waited for
+  cheaperAlternatives?: Restaurant[]; // Sent when no restaurant is within the search budget
+}
@@ -0,0 +1,51 @@
+import type { Restaurant, TableArea } from './Restaurant';
+
+//defining the reservation status lifecycle (same values as the backend)
+export type ReservationStatus = 'pending' | 'confirmed' | 'seated' | 'completed' | 'cancelled' | 'no-show';
+
+//defining the accessibility needs and occasions a reservation can mention (same values as the backend)
+export type AccessibilityNeed = 'wheelchair' | 'high chair';
+export type Occasion = 'birthday' | 'anniversary' | 'date' | 'business' | 'celebration';
+
+//defining the optional requests a diner can add to a booking, shown to the restaurant
+export interface ReservationPreferences {
+  seatingArea?: TableArea | null; // The party is only seated in this area
+  accessibility?: AccessibilityNeed[];
+  occasion?: Occasion | null;
+  notes?: string | null;
+}
+
+//defining a reservation as returned by the backend
+export interface Reservation {
+  id: number;
+  restaurantId: number;
+  restaurantName: string | null;
+  date: string; // YYYY-MM-DD
+  time: string; // HH:MM
+  numGuests: number;
+  duration: number; // Seating duration in minutes
+  tableIds: string[] | null; // Tables the party is seated at
+  seatingArea: TableArea | null;
+  accessibility: AccessibilityNeed[];
+  occasion: Occasion | null;
+  notes: string | null;
+  status: ReservationStatus;
+  createdAt: string;
+  updatedAt: string;
+  restaurant?: Restaurant;
+}
+
+//defining a bookable slot suggested instead of one that is closed or full
+export interface AlternativeSlot {
+  date: string;
+  time: string;
+  availableCapacity: number;
+}
+
+//defining the body sent to POST /api/reservations
+export interface ReservationRequest extends ReservationPreferences {
+  restaurantId: number;
+  date: string;
+  time: string;
+  numGuests: number;
+}
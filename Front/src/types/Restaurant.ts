@@ -1,3 +1,35 @@
+//defining the price ranges, from cheapest to most expensive
+export type PriceRange = '$' | '$$' | '$$$' | '$$$$';
+
+//defining a service window, e.g. lunch 12:00-15:00.
+//when close is earlier than open the window runs past midnight (e.g. 19:00-02:00)
+export interface OpeningWindow {
+  open: string; // HH:MM
+  close: string; // HH:MM
+}
+
+//defining a dated exception to the weekly opening hours (holiday, closure, private event)
+export interface SpecialHours {
+  id: number;
+  startDate: string; // YYYY-MM-DD
+  endDate: string; // YYYY-MM-DD, inclusive
+  closed?: boolean;
+  open?: string;
+  close?: string;
+  note: string | null;
+}
+
+//defining where in the restaurant a table is
+export type TableArea = 'indoor' | 'bar' | 'terrace' | 'private';
+
+//defining a table; tables with the same group can be pushed together for a larger party
+export interface Table {
+  id: string;
+  seats: number;
+  area: TableArea;
+  group: string | null;
+}
+
 //defining a resteruant interface
 export interface Restaurant {
   id: string;
@@ -8,23 +40,27 @@ export interface Restaurant {
     city: string;
     number: string;
   };
-  rating?: number;
-  priceRange?: '$$$$' | '$$$' | '$$' | '$';
+  latitude?: number | null;
+  longitude?: number | null;
+  timezone?: string; // IANA timezone, e.g. 'Asia/Jerusalem' - dates and times are local to it
+  distance?: number | null; // Kilometers from the search location (only when searching near a location)
+  rating?: number | null; // Average of the visible reviews
+  reviewCount?: number;
+  priceRange?: PriceRange;
   imageUrl?: string;
   phoneNumber?: string;
   website?: string;
   description?: string;
   openingHours?: {
-    [key: string]: {
-      open: string;
-      close: string;
-      closed?: boolean;
-    };
+    [key: string]: OpeningWindow[]; // Empty list = closed that day
   };
+  specialHours?: SpecialHours[]; // Override openingHours on their dates
   dietaryOptions?: string[]; // e.g., ['vegetarian', 'vegan', 'gluten-free']
   features?: string[]; // e.g., ['outdoor seating', 'parking', 'wifi', 'reservations']
-  maxGuests: number; // Maximum capacity of the restaurant
-  currGuests?: number; // Current number of guests (for reservations tracking)
+  maxGuests: number; // Maximum capacity of the restaurant (the total seats of its tables)
+  tables?: Table[]; // Reservations are seated at these tables
+  seatingDuration?: number; // How long a party occupies its seats, in minutes
+  ownerId?: number | null; // The owner account that manages the restaurant
 }
 
 //defining a restaurant search interface
@@ -32,9 +68,18 @@ export interface RestaurantSearch {
     date: string;
     time: string;
     numGuests: number;
-    budget?: '$$$$' | '$$$' | '$$' | '$';
+    budget?: PriceRange[]; // Any of these price ranges
+    q?: string; // Free text: name, cuisine, description or address, in Hebrew or English
     cuisine?: string;
     location?: string;
     rating?: number;
+    dietaryOptions?: string[]; // Restaurant must offer all of these
+    features?: string[]; // Restaurant must have all of these
+    lat?: number; // Search near this location ("near me")
+    lng?: number;
+    radius?: number; // Kilometers around lat/lng
+    sort?: string; // e.g. 'distance', '-rating'
+    seatingArea?: TableArea; // Restaurant must have tables in this area
+    accessibility?: string[]; // e.g. ['wheelchair'] - restaurant must cater for all of these
 }
 
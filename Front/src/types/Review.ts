@@ -0,0 +1,26 @@
+//defining the restaurant's public answer to a review
+export interface ReviewReply {
+  text: string;
+  createdAt: string;
+}
+
+//defining a review as returned by the backend
+export interface Review {
+  id: number;
+  restaurantId: number;
+  userId: number;
+  userName: string | null;
+  reservationId: number; // The completed visit being reviewed
+  rating: number; // 1-5 stars
+  text: string;
+  reply: ReviewReply | null;
+  hidden: boolean; // Hidden reviews are only listed for admins
+  createdAt: string;
+  updatedAt: string;
+}
+
+//defining the body sent to POST /api/restaurants/:id/reviews
+export interface ReviewRequest {
+  rating: number;
+  text: string;
+}
@@ -0,0 +1,8 @@
+//defining the search fields GET /api/suggest can complete
+export type SuggestField = 'cuisine' | 'city' | 'name';
+
+//defining one autocomplete suggestion
+export interface Suggestion {
+  value: string;
+  count: number; // Number of restaurants with this value
+}
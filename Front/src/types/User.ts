@@ -0,0 +1,18 @@
+//defining the user roles (same values as the backend)
+export type UserRole = 'diner' | 'owner' | 'admin';
+
+//defining a user as returned by the backend (never includes the password)
+export interface User {
+  id: number;
+  name: string;
+  email: string;
+  role: UserRole;
+  createdAt: string;
+}
+
+//defining the response of POST /api/auth/login
+export interface LoginResult {
+  token: string;
+  expiresAt: string;
+  user: User;
+}
@@ -0,0 +1,19 @@
+import type { ReservationPreferences } from './Reservation';
+
+//defining the waitlist entry lifecycle (same values as the backend)
+export type WaitlistStatus = 'waiting' | 'promoted' | 'left' | 'expired';
+
+//defining a waitlist entry as returned by the backend
+export interface WaitlistEntry extends ReservationPreferences {
+  id: number;
+  restaurantId: number;
+  restaurantName: string | null;
+  date: string; // YYYY-MM-DD
+  time: string; // HH:MM
+  numGuests: number;
+  status: WaitlistStatus;
+  position: number | null; // Place in line while waiting
+  reservationId: number | null; // Set once promoted to a reservation
+  createdAt: string;
+  updatedAt: string;
+}
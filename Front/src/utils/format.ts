@@ -0,0 +1,102 @@
+import type { AccessibilityNeed, Occasion } from '../types/Reservation';
+import type { OpeningWindow, Restaurant, TableArea } from '../types/Restaurant';
+
+/**
+ * Days of the week in display order (Israeli week starts on Sunday),
+ * with the Hebrew label shown to the user.
+ * The English names match the keys of Restaurant.openingHours.
+ */
+export const WEEK_DAYS = [
+  { key: 'Sunday', label: 'ראשון' },
+  { key: 'Monday', label: 'שני' },
+  { key: 'Tuesday', label: 'שלישי' },
+  { key: 'Wednesday', label: 'רביעי' },
+  { key: 'Thursday', label: 'חמישי' },
+  { key: 'Friday', label: 'שישי' },
+  { key: 'Saturday', label: 'שבת' },
+];
+
+/**
+ * Dietary options and features that can be searched for, with the Hebrew
+ * label shown to the user. The values match Restaurant.dietaryOptions / features.
+ */
+export const DIETARY_OPTIONS = [
+  { value: 'vegetarian', label: 'צמחוני' },
+  { value: 'vegan', label: 'טבעוני' },
+  { value: 'gluten-free', label: 'ללא גלוטן' },
+  { value: 'kosher', label: 'כשר' },
+  { value: 'halal', label: 'חלאל' },
+];
+
+export const RESTAURANT_FEATURES = [
+  { value: 'outdoor seating', label: 'ישיבה בחוץ' },
+  { value: 'parking', label: 'חניה' },
+  { value: 'wifi', label: 'WiFi' },
+  { value: 'wheelchair accessible', label: 'נגיש לכיסאות גלגלים' },
+  { value: 'bar', label: 'בר' },
+  { value: 'reservations', label: 'הזמנת מקום' },
+  { value: 'high chairs', label: 'כיסאות תינוק' },
+];
+
+/**
+ * Seating areas, accessibility needs and occasions a reservation can ask for,
+ * with the Hebrew label shown to the user. The values match the backend;
+ * an accessibility need is only offered by restaurants with its feature.
+ */
+export const SEATING_AREAS: { value: TableArea; label: string }[] = [
+  { value: 'indoor', label: 'בפנים' },
+  { value: 'bar', label: 'בר' },
+  { value: 'terrace', label: 'מרפסת' },
+  { value: 'private', label: 'חדר פרטי' },
+];
+
+export const ACCESSIBILITY_NEEDS: { value: AccessibilityNeed; label: string; feature: string }[] = [
+  { value: 'wheelchair', label: 'גישה לכיסא גלגלים', feature: 'wheelchair accessible' },
+  { value: 'high chair', label: 'כיסא תינוק', feature: 'high chairs' },
+];
+
+export const OCCASIONS: { value: Occasion; label: string }[] = [
+  { value: 'birthday', label: 'יום הולדת' },
+  { value: 'anniversary', label: 'יום נישואין' },
+  { value: 'date', label: 'דייט' },
+  { value: 'business', label: 'ארוחה עסקית' },
+  { value: 'celebration', label: 'חגיגה' },
+];
+
+/**
+ * Returns the Hebrew label of a value from one of the option lists above
+ */
+export function getOptionLabel(options: { value: string; label: string }[], value: string): string {
+  return options.find((option) => option.value === value)?.label ?? value;
+}
+
+/**
+ * Formats a structured address as a single line, e.g. "HaNamal St 12, Tel Aviv"
+ */
+export function formatAddress(address: Restaurant['address']): string {
+  const street = [address.street, address.number].filter(Boolean).join(' ');
+  return [street, address.city].filter(Boolean).join(', ');
+}
+
+/**
+ * Formats a day's service windows, e.g. "12:00–15:00, 19:00–23:00"
+ */
+export function formatWindows(windows: OpeningWindow[]): string {
+  return windows.map((window) => `${window.open}–${window.close}`).join(', ');
+}
+
+/**
+ * Returns today's date (YYYY-MM-DD) in the given IANA timezone,
+ * or in the browser's timezone when none is given
+ */
+export function getTodayIn(timezone?: string): string {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+}
+
+/**
+ * Formats a distance in kilometers for display, e.g. "350 מ'" or "2.4 ק"מ"
+ */
+export function formatDistance(km: number): string {
+  return km < 1 ? `${Math.round(km * 1000)} מ'` : `${km.toFixed(1)} ק"מ`;
+}
@@ -17,6 +17,10 @@
 
 const express = require('express');
 const cors = require('cors');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
 const app = express();
 
 // Use environment variable for port (for production flexibility) or default to 3001
@@ -40,12 +44,85 @@ const PORT = process.env.PORT || 3001;
  */
 const corsOptions = {
     origin: process.env.CORS_ORIGIN || '*', // In production, set this to your frontend URL
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: false // Set to true if you need cookies/auth headers
 };
 app.use(cors(corsOptions));
 
+/**
+ * Error Codes
+ *
+ * Every failed request is answered in one shape, so clients can react to an error
+ * without reading its message:
+ *   { success: false, code, message, errors: [{ field, message }] }
+ *
+ * - code: one of ERROR_CODES. Routes name a specific code where the client can do
+ *   something about it (e.g. SLOT_FULL: join the waitlist); otherwise the code
+ *   follows the HTTP status (STATUS_ERROR_CODES)
+ * - errors: the problems with single fields of the request; field is the field's
+ *   path ("time", "address.city", "tables[0].seats"), or null for the request as a whole
+ */
+const ERROR_CODES = [
+    'VALIDATION_FAILED',    // 400 - fields of the body or query are invalid, see errors
+    'INVALID_JSON',         // 400 - the body is not valid JSON
+    'BAD_REQUEST',          // 400
+    'SLOT_PASSED',          // 400 - the requested reservation time has already passed
+    'RESTAURANT_CLOSED',    // 400 - the restaurant is not open at the requested time
+    'SLOT_FULL',            // 400 - no table for the party at the requested time
+    'UNAUTHORIZED',         // 401 - not logged in
+    'INVALID_TOKEN',        // 401 - the login token is invalid or expired
+    'INVALID_CREDENTIALS',  // 401 - wrong email or password
+    'FORBIDDEN',            // 403
+    'NOT_FOUND',            // 404
+    'CONFLICT',             // 409
+    'EMAIL_TAKEN',          // 409 - an account with this email already exists
+    'PAYLOAD_TOO_LARGE',    // 413
+    'INTERNAL_ERROR'        // 500
+];
+const STATUS_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    500: 'INTERNAL_ERROR'
+};
+
+/**
+ * Helper Function: To Error Response
+ *
+ * Completes a failed response body: fills in the code from the status when the
+ * route did not name one, and turns plain error messages into { field: null, message }.
+ *
+ * @param {number} status - HTTP status of the response
+ * @param {Object} body - { success: false, message, code?, errors? }
+ * @returns {Object} - The body in the error response shape
+ */
+function toErrorResponse(status, body) {
+    const code = ERROR_CODES.includes(body.code)
+        ? body.code
+        : (STATUS_ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST'));
+    const errors = (body.errors || []).map(error =>
+        typeof error === 'string' ? { field: null, message: error } : error
+    );
+    return { success: false, code, message: body.message, ...body, code, errors };
+}
+
+/**
+ * Error Response Middleware
+ *
+ * Routes build their error responses as before; res.json completes every body with
+ * success: false (see toErrorResponse). Registered before the body parsers, so
+ * their errors (invalid JSON, too large) get the same shape.
+ */
+app.use((req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => json(body && body.success === false ? toErrorResponse(res.statusCode, body) : body);
+    next();
+});
+
 /**
  * JSON Body Parser Middleware
  * 
@@ -54,240 +131,1036 @@ app.use(cors(corsOptions));
  */
 app.use(express.json({ limit: '10mb' })); // Limit JSON payload size for security
 
+// Keys of openingHours, in getUTCDay() order
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 // Helper function to get the day of the week from a date string
+// (the weekday of a calendar date is the same in every timezone, so UTC is safe here)
 function getDayOfWeek(date) {
-    const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
     const d = new Date(date + 'T00:00:00Z');
-    return daysOfWeek[d.getUTCDay()]; // getUTCDay() returns 0-6 for day of week, not getUTCDate()
+    return DAYS_OF_WEEK[d.getUTCDay()]; // getUTCDay() returns 0-6 for day of week, not getUTCDate()
+}
+
+/**
+ * Helper Function: Get Service Windows
+ * 
+ * Each day of openingHours holds a list of service windows, e.g. lunch and dinner:
+ *   "Friday": [{ open: "12:00", close: "15:00" }, { open: "19:00", close: "02:00" }]
+ * An empty list means closed that day. A window that closes before it opens runs
+ * past midnight, and the time after midnight still belongs to this day's schedule.
+ * 
+ * Also accepts the older single-window formats ({ open, close } and { closed: true }),
+ * which special hours entries still use.
+ * 
+ * @param {Object[]|Object|undefined} dayHours - One day's hours
+ * @returns {Object[]} - [{ open, close }]
+ */
+function toServiceWindows(dayHours) {
+    if (!dayHours) return [];
+    if (Array.isArray(dayHours)) return dayHours;
+    if (dayHours.closed || !dayHours.open || !dayHours.close) return [];
+    return [{ open: dayHours.open, close: dayHours.close }];
+}
+
+// True for windows that run past midnight (e.g. 22:00 to 02:00, or 18:00 to 00:00)
+function isOvernightWindow(window) {
+    return window.close < window.open;
+}
+
+/**
+ * Helper Function: Normalize Opening Hours
+ * 
+ * Converts openingHours in any supported format to a list of windows for every
+ * day of the week, sorted by opening time. Missing days are closed.
+ */
+function normalizeOpeningHours(openingHours) {
+    return Object.fromEntries(DAYS_OF_WEEK.map(day => [
+        day,
+        toServiceWindows(openingHours[day])
+            .map(window => ({ open: window.open, close: window.close }))
+            .sort((a, b) => a.open.localeCompare(b.open))
+    ]));
+}
+
+/**
+ * Helper Function: Get Special Hours for a Date
+ * 
+ * Returns the restaurant's special hours entry (holiday, closure, private event...)
+ * that covers the given date, or null if the weekly schedule applies.
+ * 
+ * @param {Object} restaurant - Restaurant object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ */
+function getSpecialHoursForDate(restaurant, date) {
+    return (restaurant.specialHours || []).find(entry =>
+        entry.startDate <= date && date <= entry.endDate
+    ) || null;
+}
+
+// Returns the hours that apply on a date: a special hours entry if there is one, otherwise the weekly hours
+function getHoursForDate(restaurant, date) {
+    const specialHours = getSpecialHoursForDate(restaurant, date);
+    if (specialHours) {
+        return specialHours;
+    }
+    return restaurant.openingHours ? restaurant.openingHours[getDayOfWeek(date)] : null;
 }
 
 // Checks if restaurant is open at a given time
 function isRestaurantOpen(restaurant, date, time) {
-    // 1. Check data
-    if (!restaurant.openingHours) {
-        return false; 
+    // 1. The requested day's windows (special hours override the weekly openingHours).
+    //    An overnight window covers the rest of this day, until midnight
+    const windowsToday = toServiceWindows(getHoursForDate(restaurant, date));
+    const openToday = windowsToday.some(window => isOvernightWindow(window)
+        ? time >= window.open
+        : time >= window.open && time < window.close // must be less than close time
+    );
+    if (openToday) {
+        return true;
     }
-    const dayName = getDayOfWeek(date);
-    const hoursToday = restaurant.openingHours[dayName];
     
-    // If the restaurant is closed, return false
-    if (!hoursToday || hoursToday.closed) { 
-        return false;
-    }
+    // 2. After midnight: the previous day's overnight windows may still be running
+    //    (Saturday 10:00-01:00 means open on Sunday at 00:30)
+    const windowsYesterday = toServiceWindows(getHoursForDate(restaurant, addDays(date, -1)));
+    return windowsYesterday.some(window => isOvernightWindow(window) && time < window.close);
+}
 
-    const openTime = hoursToday.open;  
-    const closeTime = hoursToday.close; 
+/**
+ * Seating Duration
+ *
+ * How long (in minutes) a party occupies its seats. Restaurants can override it
+ * with their own `seatingDuration`; otherwise this default is used.
+ * Configurable via the SEATING_DURATION_MINUTES environment variable.
+ */
+const DEFAULT_SEATING_DURATION_MINUTES = parseInt(process.env.SEATING_DURATION_MINUTES) || 90;
 
-    // 3. Handle case of crossing over (closing before opening, e.g. 22:00 to 02:00)
-    if (closeTime < openTime) { 
-        // פתוח לפני חצות או אחרי חצות
-        return time >= openTime || time < closeTime;
-    }
+// Converts "HH:MM" to minutes since midnight
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Returns the seating duration (in minutes) used for a restaurant
+function getSeatingDuration(restaurant) {
+    const duration = parseInt(restaurant.seatingDuration);
+    return !isNaN(duration) && duration > 0 ? duration : DEFAULT_SEATING_DURATION_MINUTES;
+}
+
+/**
+ * Helper Function: Get Booking Interval
+ *
+ * Converts a date, time and duration to an absolute [start, end) interval in minutes.
+ * Using absolute minutes (instead of time of day) lets a late booking that runs past
+ * midnight overlap correctly with bookings on the following date.
+ *
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Time string (HH:MM)
+ * @param {number} duration - Seating duration in minutes
+ * @returns {Object} - { start: number, end: number }
+ */
+function getBookingInterval(date, time, duration) {
+    const dayStart = Date.parse(date + 'T00:00:00Z') / 60000;
+    const start = dayStart + timeToMinutes(time);
+    return { start, end: start + duration };
+}
+
+/**
+ * Table Inventory
+ *
+ * Restaurants list their tables as { id, seats, area, group }. Tables that share
+ * a group (e.g. the 2-tops along one wall) can be pushed together for a larger
+ * party, up to MAX_COMBINED_TABLES at a time; tables without a group stand alone.
+ * Restaurants that have not set up their tables get a default layout built from
+ * maxGuests (see buildDefaultTables).
+ */
+const TABLE_AREAS = ['indoor', 'bar', 'terrace', 'private'];
+const MAX_COMBINED_TABLES = 4;
+const MAX_TABLE_SEATS = 20;
+
+// Default layout: combinable 4-tops and 2-tops, with a quarter of the seats on
+// the terrace when the restaurant has outdoor seating
+function buildDefaultTables(restaurant) {
+    const totalSeats = restaurant.maxGuests || 50;
+    const terraceSeats = (restaurant.features || []).includes('outdoor seating') ? Math.floor(totalSeats / 4) : 0;
+    const pattern = [4, 4, 2];
+    const tables = [];
+    
+    [['indoor', totalSeats - terraceSeats], ['terrace', terraceSeats]].forEach(([area, seats]) => {
+        for (let i = 0, remaining = seats; remaining > 0; i++) {
+            const size = Math.min(pattern[i % pattern.length], remaining);
+            // A single leftover seat goes to the previous table instead of a 1-top
+            if (size === 1 && i > 0) {
+                tables[tables.length - 1].seats += 1;
+                break;
+            }
+            tables.push({ id: `T${tables.length + 1}`, seats: size, area, group: area });
+            remaining -= size;
+        }
+    });
+    
+    return tables;
+}
+
+// Returns the restaurant's tables, or the default layout if it has none
+function getRestaurantTables(restaurant) {
+    return Array.isArray(restaurant.tables) && restaurant.tables.length > 0
+        ? restaurant.tables
+        : buildDefaultTables(restaurant);
+}
+
+// Total number of seats over all tables
+function getTotalSeats(tables) {
+    return tables.reduce((sum, table) => sum + table.seats, 0);
+}
 
-    // 4. Regular check (same day)
-    // must be less than close time
-    return time >= openTime && time < closeTime; 
+/**
+ * Helper Function: Find Best Tables
+ *
+ * Picks the table, or combination of tables from one group, that seats the party
+ * with the fewest empty seats. Between equally good options, fewer tables win.
+ *
+ * @param {Object[]} freeTables - Tables that are free for the whole seating
+ * @param {number} numGuests - Party size
+ * @returns {Object[]|null} - The chosen tables, or null if the party does not fit
+ */
+function findBestTables(freeTables, numGuests) {
+    let best = null;
+    const consider = combination => {
+        const seats = getTotalSeats(combination);
+        if (seats < numGuests) {
+            return;
+        }
+        if (!best || seats < best.seats || (seats === best.seats && combination.length < best.tables.length)) {
+            best = { seats, tables: combination };
+        }
+    };
+    
+    freeTables.forEach(table => consider([table]));
+    
+    const groups = {};
+    freeTables.filter(table => table.group).forEach(table => {
+        (groups[table.group] = groups[table.group] || []).push(table);
+    });
+    Object.values(groups).forEach(tables => {
+        // Tables of the same size are interchangeable, so only how many of each size are taken matters
+        const bySize = {};
+        tables.forEach(table => {
+            (bySize[table.seats] = bySize[table.seats] || []).push(table);
+        });
+        const sizes = Object.keys(bySize);
+        const extend = (sizeIndex, combination) => {
+            if (sizeIndex === sizes.length) {
+                if (combination.length >= 2) {
+                    consider(combination);
+                }
+                return;
+            }
+            const sameSize = bySize[sizes[sizeIndex]];
+            const maxCount = Math.min(sameSize.length, MAX_COMBINED_TABLES - combination.length);
+            for (let count = 0; count <= maxCount; count++) {
+                extend(sizeIndex + 1, [...combination, ...sameSize.slice(0, count)]);
+            }
+        };
+        extend(0, []);
+    });
+    
+    return best ? best.tables : null;
+}
+
+// Largest party the given tables can seat: the biggest single table, or the
+// MAX_COMBINED_TABLES biggest tables of one group pushed together
+function getLargestParty(tables) {
+    const groups = {};
+    let largest = 0;
+    tables.forEach(table => {
+        largest = Math.max(largest, table.seats);
+        if (table.group) {
+            (groups[table.group] = groups[table.group] || []).push(table.seats);
+        }
+    });
+    Object.values(groups).forEach(seats => {
+        const combined = seats.sort((a, b) => b - a).slice(0, MAX_COMBINED_TABLES).reduce((sum, n) => sum + n, 0);
+        largest = Math.max(largest, combined);
+    });
+    return largest;
+}
+
+// The restaurant's active bookings (except the one being modified). Callers that check
+// many slots load them once and pass them on, instead of reading the repository per slot
+function getActiveBookings(restaurant, excludeReservationId) {
+    const restaurantId = typeof restaurant.id === 'string' ? parseInt(restaurant.id) : restaurant.id;
+    return reservationRepository.findAll(booking => booking.restaurantId === restaurantId &&
+        ACTIVE_RESERVATION_STATUSES.includes(booking.status) &&
+        booking.id !== excludeReservationId);
+}
+
+/**
+ * Helper Function: Get Free Tables
+ *
+ * Returns the tables that no active booking overlapping the interval is using,
+ * so a party seated there keeps its table for the whole seating. Bookings
+ * without a (still existing) table assignment, e.g. made before tables were
+ * introduced or before the owner changed the layout, are placed where they
+ * fit best first.
+ *
+ * @param {Object} restaurant - Restaurant object
+ * @param {Object} interval - { start, end } in absolute minutes
+ * @param {number} [excludeReservationId] - Reservation to ignore (used when modifying it)
+ * @param {Object[]} [bookings] - The restaurant's active bookings, when already loaded (see getActiveBookings)
+ * @returns {Object[]} - Free tables
+ */
+function getFreeTables(restaurant, interval, excludeReservationId, bookings = getActiveBookings(restaurant, excludeReservationId)) {
+    const tables = getRestaurantTables(restaurant);
+    const tableIds = new Set(tables.map(table => table.id));
+    
+    const overlapping = bookings
+        .filter(booking => {
+            const bookingInterval = getBookingInterval(booking.date, booking.time, booking.duration);
+            return bookingInterval.start < interval.end && bookingInterval.end > interval.start;
+        })
+        .sort((a, b) => a.id - b.id);
+    
+    const taken = new Set();
+    const unassigned = [];
+    overlapping.forEach(booking => {
+        const isAssigned = Array.isArray(booking.tableIds) && booking.tableIds.length > 0 &&
+            booking.tableIds.every(tableId => tableIds.has(tableId));
+        if (isAssigned) {
+            booking.tableIds.forEach(tableId => taken.add(tableId));
+        } else {
+            unassigned.push(booking);
+        }
+    });
+    unassigned.forEach(booking => {
+        const free = tables.filter(table => !taken.has(table.id));
+        let seated = findBestTables(free, booking.numGuests);
+        if (!seated) {
+            // A party too big for any combination (booked under the old seat count) takes the largest tables it needs
+            seated = [];
+            free.sort((x, y) => y.seats - x.seats).forEach(table => {
+                if (getTotalSeats(seated) < booking.numGuests) {
+                    seated.push(table);
+                }
+            });
+        }
+        seated.forEach(table => taken.add(table.id));
+    });
+    
+    return tables.filter(table => !taken.has(table.id));
+}
+
+/**
+ * Helper Function: Get Available Capacity
+ *
+ * Returns the largest party the restaurant can still seat for a booking that
+ * starts at the given date and time and lasts the restaurant's seating duration.
+ *
+ * @param {Object} restaurant - Restaurant object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} time - Time string (HH:MM)
+ * @param {number} [excludeReservationId] - Reservation to ignore (used when modifying it)
+ * @param {string} [seatingArea] - Only count tables in this area
+ * @param {Object[]} [bookings] - The restaurant's active bookings, when already loaded
+ * @returns {number} - Largest party that fits on the free tables
+ */
+function getAvailableCapacity(restaurant, date, time, excludeReservationId, seatingArea, bookings) {
+    const interval = getBookingInterval(date, time, getSeatingDuration(restaurant));
+    return getLargestParty(inSeatingArea(getFreeTables(restaurant, interval, excludeReservationId, bookings), seatingArea));
 }
 
-function isOnBudget(restaurant, budget) {
+// Largest party the restaurant can seat at all (every table free), optionally in one area
+function getMaxPartySize(restaurant, seatingArea) {
+    return getLargestParty(inSeatingArea(getRestaurantTables(restaurant), seatingArea));
+}
+
+// Keeps the tables of the requested seating area (all tables when no area is requested)
+function inSeatingArea(tables, seatingArea) {
+    return seatingArea ? tables.filter(table => table.area === seatingArea) : tables;
+}
+
+// Areas (TABLE_AREAS) the restaurant has tables in
+function getRestaurantAreas(restaurant) {
+    return [...new Set(getRestaurantTables(restaurant).map(table => table.area))];
+}
+
+// Price ranges from cheapest to most expensive
+const PRICE_RANGES = ['$', '$$', '$$$', '$$$$'];
+
+/**
+ * Helper Function: Get Price Level
+ * 
+ * @returns {number} - Index in PRICE_RANGES (0 = cheapest), or -1 if the restaurant has no price range
+ */
+function getPriceLevel(restaurant) {
     // Check both price_range (backend format) and priceRange (frontend format)
-    return (restaurant.price_range || restaurant.priceRange) === budget;
+    return PRICE_RANGES.indexOf(restaurant.price_range || restaurant.priceRange);
 }
 
 /**
- * Helper Function: Validate Date Format and Check if Not in Past
+ * Helper Function: Parse Budget Parameter
  * 
- * Validates that the date is in YYYY-MM-DD format and is not in the past.
+ * Supported forms:
+ * - "$$"      exactly this price range
+ * - "$,$$$"   any of these price ranges (repeated budget parameters work too)
+ * - "$$-$$$"  every price range from the first to the second
+ * - "<=$$$"   up to this price range (same as "$-$$$")
  * 
- * @param {string} dateString - Date string to validate (expected format: YYYY-MM-DD)
- * @returns {Object} - { isValid: boolean, error?: string }
+ * @param {string|string[]} budget - Raw query parameter value
+ * @returns {Object} - { isValid: boolean, levels?: string[], error?: string }
+ *                     levels are the accepted price ranges, cheapest first
  */
-function validateDate(dateString) {
-    // Check format: YYYY-MM-DD
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(dateString)) {
-        return {
-            isValid: false,
-            error: 'Date must be in YYYY-MM-DD format'
-        };
-    }
-    
-    // Parse the date
-    const date = new Date(dateString + 'T00:00:00Z');
+function parseBudget(budget) {
+    const value = (Array.isArray(budget) ? budget.join(',') : String(budget)).replace(/\s+/g, '');
+    let levels = null;
     
-    // Check if date is valid
-    if (isNaN(date.getTime())) {
-        return {
-            isValid: false,
-            error: 'Invalid date'
-        };
+    const maxMatch = value.match(/^<=(\$+)$/);
+    const rangeMatch = value.match(/^(\$+)-(\$+)$/);
+    if (maxMatch) {
+        const max = PRICE_RANGES.indexOf(maxMatch[1]);
+        if (max !== -1) {
+            levels = PRICE_RANGES.slice(0, max + 1);
+        }
+    } else if (rangeMatch) {
+        const min = PRICE_RANGES.indexOf(rangeMatch[1]);
+        const max = PRICE_RANGES.indexOf(rangeMatch[2]);
+        if (min !== -1 && max !== -1 && min <= max) {
+            levels = PRICE_RANGES.slice(min, max + 1);
+        }
+    } else {
+        const parts = value.split(',').filter(Boolean);
+        if (parts.length > 0 && parts.every(part => PRICE_RANGES.includes(part))) {
+            levels = PRICE_RANGES.filter(level => parts.includes(level));
+        }
     }
     
-    // Check if date is in the past (compare only dates, not time)
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
-    const inputDate = new Date(dateString + 'T00:00:00Z');
-    inputDate.setUTCHours(0, 0, 0, 0);
-    
-    if (inputDate < today) {
+    if (!levels) {
         return {
             isValid: false,
-            error: 'Date cannot be in the past'
+            error: 'budget must be a price range ($ to $$$$), a set like "$,$$", a range like "$$-$$$" or a maximum like "<=$$$"'
         };
     }
     
-    return { isValid: true };
+    return { isValid: true, levels };
 }
 
+function isOnBudget(restaurant, levels) {
+    return levels.includes(PRICE_RANGES[getPriceLevel(restaurant)]);
+}
 
-// ===================================================================================
-// 3. DATA STORAGE (MOCK DATABASE)
-// ===================================================================================
+/**
+ * Helper Function: Parse Multi-Valued Query Parameter
+ * 
+ * Accepts both repeated parameters (?features=wifi&features=parking) and
+ * comma-separated values (?features=wifi,parking).
+ * 
+ * @param {string|string[]} value - Raw query parameter value
+ * @returns {string[]} - Lowercased, trimmed, non-empty values
+ */
+function parseListParam(value) {
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean);
+}
 
 /**
- * Mock Restaurant Data
+ * Helper Function: Check Restaurant Tags
  * 
- * This is a static array that simulates a database.
- * In a production application, you would replace this with:
- * - MongoDB (with Mongoose)
- * - PostgreSQL (with pg or Sequelize)
- * - MySQL (with mysql2 or Sequelize)
- * - Or any other database solution
+ * Checks a restaurant's tag list (dietaryOptions or features) against the
+ * requested values. Comparison is case-insensitive.
  * 
- * TODO: Replace with actual database integration
+ * @param {string[]|null} tags - The restaurant's values
+ * @param {string[]} requested - Values from parseListParam
+ * @param {string} match - 'all' (every requested value) or 'any' (at least one)
+ * @returns {boolean}
  */
-let restaurantsData = [
-    {
-        id: 1,
-        name: "Chef Yam",
-        cuisine: "Seafood",
-        address: "HaNamal St 12, Tel Aviv",
-        rating: 4.8,
-        price_range: "$$$",
-        maxGuests: 60,
-        currGuests: 0,
-        openingHours: {
-            "Monday": { open: "12:00", close: "23:00" },
-            "Tuesday": { open: "12:00", close: "23:00" },
-            "Wednesday": { open: "12:00", close: "23:00" },
-            "Thursday": { open: "12:00", close: "23:00" },
-            "Friday": { open: "12:00", close: "23:00" },
-            "Saturday": { closed: true },
-            "Sunday": { closed: true }
-        }
-    },
-    {
-        id: 2,
-        name: "Mama Roma",
-        cuisine: "Italian",
-        address: "Ben Yehuda 45, Jerusalem",
-        rating: 4.5,
-        price_range: "$$",
-        maxGuests: 80,
-        currGuests: 0,
-        openingHours: {
-            "Sunday": { open: "18:00", close: "00:00" },
-            "Monday": { open: "18:00", close: "00:00" },
-            "Tuesday": { open: "18:00", close: "00:00" },
-            "Wednesday": { open: "18:00", close: "00:00" },
-            "Thursday": { open: "18:00", close: "00:00" },
-            "Friday": { open: "18:00", close: "00:00" },
-            "Saturday": { open: "18:00", close: "00:00" }
-        }
-    },
-    {
-        id: 3,
-        name: "Shakshuka House",
-        cuisine: "Middle Eastern",
-        address: "Rothschild Blvd 23, Tel Aviv",
-        rating: 4.6,
-        price_range: "$",
-        maxGuests: 100,
-        currGuests: 0,
-        openingHours: {
-            "Sunday": { open: "08:00", close: "22:00" },
-            "Monday": { open: "08:00", close: "22:00" },
-            "Tuesday": { open: "08:00", close: "22:00" },
-            "Wednesday": { open: "08:00", close: "22:00" },
-            "Thursday": { open: "08:00", close: "22:00" },
-            "Friday": { open: "08:00", close: "22:00" },
-            "Saturday": { open: "08:00", close: "22:00" }
+function hasTags(tags, requested, match) {
+    const restaurantTags = (tags || []).map(tag => String(tag).toLowerCase());
+    return match === 'any'
+        ? requested.some(tag => restaurantTags.includes(tag))
+        : requested.every(tag => restaurantTags.includes(tag));
+}
+
+/**
+ * Restaurant Text Search (?q=)
+ * 
+ * CUISINE_SYNONYMS: other words, Hebrew and English, that diners use for each cuisine
+ *   (keyed by the lowercased cuisine). A restaurant's cuisine also matches all of them,
+ *   so "איטלקי" or "pizza" finds "Italian".
+ * CITY_SYNONYMS: Hebrew names of cities, matched like the English name in the address
+ * SEARCH_FIELD_WEIGHTS: how much a match in each field adds to the relevance
+ * SEARCH_STOP_WORDS: words that do not tell restaurants apart ("restaurant", "מסעדה")
+ * MAX_SEARCH_QUERY_LENGTH: longest accepted q, in characters
+ */
+const CUISINE_SYNONYMS = {
+    'italian': ['איטלקי', 'איטלקית', 'pizza', 'פיצה', 'pasta', 'פסטה'],
+    'japanese': ['יפני', 'יפנית', 'sushi', 'סושי', 'ramen', 'ראמן'],
+    'chinese': ['סיני', 'סינית', 'noodles', 'נודלס'],
+    'thai': ['תאילנדי', 'תאילנדית'],
+    'asian fusion': ['אסייתי', 'אסייתית', 'פיוז׳ן', 'sushi', 'סושי', 'noodles', 'נודלס'],
+    'indian': ['הודי', 'הודית', 'curry', 'קארי'],
+    'mexican': ['מקסיקני', 'מקסיקנית', 'tacos', 'טאקו'],
+    'french': ['צרפתי', 'צרפתית', 'bistro', 'ביסטרו'],
+    'american': ['אמריקאי', 'אמריקאית', 'burger', 'burgers', 'המבורגר'],
+    'seafood': ['פירות ים', 'דגים', 'fish'],
+    'middle eastern': ['מזרח תיכוני', 'מזרחי', 'hummus', 'חומוס', 'falafel', 'פלאפל'],
+    'israeli': ['ישראלי', 'ישראלית'],
+    'dessert': ['קינוח', 'קינוחים', 'desserts', 'sweets', 'מתוקים', 'chocolate', 'שוקולד'],
+    'cafe': ['קפה', 'בית קפה', 'coffee', 'café'],
+    'bakery': ['מאפייה', 'מאפים', 'bread', 'לחם', 'pastry']
+};
+const CITY_SYNONYMS = {
+    'tel aviv': ['תל אביב', 'ת"א'],
+    'jerusalem': ['ירושלים'],
+    'haifa': ['חיפה'],
+    'herzliya': ['הרצליה'],
+    'jaffa': ['יפו']
+};
+const SEARCH_FIELD_WEIGHTS = { name: 3, cuisine: 2, description: 1, address: 1 };
+const SEARCH_STOP_WORDS = new Set([
+    'the', 'a', 'an', 'in', 'at', 'restaurant', 'restaurants', 'food', 'cuisine',
+    'מסעדה', 'מסעדת', 'מסעדות', 'אוכל', 'מטבח', 'של', 'ב'
+]);
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+// Hebrew final letters are searched as their regular form, so a half-typed word
+// ("מאף", with a final letter) still finds the whole one ("מאפייה")
+const HEBREW_FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+/**
+ * Helper Function: Tokenize Search Text
+ * 
+ * Lowercases, removes accents and Hebrew vowel points, folds Hebrew final
+ * letters, drops apostrophes and quotes (so "ת"א" and "HaArba'a" stay one word)
+ * and splits on everything that is not a letter or digit.
+ * 
+ * @param {string} text - Any text (query or restaurant field)
+ * @returns {string[]} - Normalized words
+ */
+function tokenizeSearchText(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[ךםןףץ]/g, letter => HEBREW_FINAL_LETTERS[letter])
+        .replace(/['"`׳״]/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// The query words that count for matching (stop words are left out)
+function parseSearchQuery(query) {
+    return tokenizeSearchText(query).filter(token => !SEARCH_STOP_WORDS.has(token));
+}
+
+/**
+ * Helper Function: Edit Distance
+ * 
+ * Number of single-letter insertions, deletions, substitutions and swaps of two
+ * neighbouring letters that turn one word into the other. Gives up early (returns
+ * max + 1) once the distance is known to be more than max.
+ */
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
         }
-    },
-    {
-        id: 4,
-        name: "Sushi Bar",
-        cuisine: "Japanese",
-        address: "Dizengoff St 88, Tel Aviv",
-        rating: 4.7,
-        price_range: "$$$",
-        maxGuests: 50,
-        currGuests: 0,
-        openingHours: {
-            "Sunday": { open: "18:00", close: "23:00" },
-            "Monday": { open: "18:00", close: "23:00" },
-            "Tuesday": { open: "18:00", close: "23:00" },
-            "Wednesday": { open: "18:00", close: "23:00" },
-            "Thursday": { open: "18:00", close: "23:00" },
-            "Friday": { open: "12:00", close: "16:00" },
-            "Saturday": { closed: true }
+        if (rowMin > max) {
+            return max + 1;
         }
-    },
-    {
-        id: 5,
-        name: "Hummus Eliyahu",
-        cuisine: "Middle Eastern",
-        address: "Ben Yehuda St 3, Jerusalem",
-        rating: 4.9,
-        price_range: "$",
-        maxGuests: 40,
-        currGuests: 0,
-        openingHours: {
-            "Sunday": { open: "10:00", close: "20:00" },
-            "Monday": { open: "10:00", close: "20:00" },
-            "Tuesday": { open: "10:00", close: "20:00" },
-            "Wednesday": { open: "10:00", close: "20:00" },
-            "Thursday": { open: "10:00", close: "20:00" },
-            "Friday": { open: "10:00", close: "20:00" },
-            "Saturday": { open: "10:00", close: "20:00" }
+        previousRow = row;
+        row = nextRow;
+    }
+    return row[b.length];
+}
+
+/**
+ * Helper Function: Word Match Quality
+ * 
+ * How well a query word matches a word of a restaurant field:
+ * 1 for the same word, 0.8 when the query is the start of the word (still typing),
+ * 0.7 / 0.55 for one / two typos, 0 for no match. Short words allow fewer typos
+ * (none up to 3 letters, one up to 6). A Hebrew word may also match without a
+ * one-letter prefix (ה, ו, ב, ל, מ, ש, כ - "בירושלים" finds "ירושלים"), scoring a little less.
+ */
+function getWordMatchQuality(queryWord, word) {
+    const quality = candidate => {
+        if (candidate === word) return 1;
+        if (candidate.length >= 2 && word.startsWith(candidate)) return 0.8;
+        const maxTypos = candidate.length <= 3 ? 0 : candidate.length <= 6 ? 1 : 2;
+        const distance = maxTypos > 0 ? getEditDistance(candidate, word, maxTypos) : maxTypos + 1;
+        return distance <= maxTypos ? 0.85 - 0.15 * distance : 0;
+    };
+    
+    let best = quality(queryWord);
+    if (best < 1 && /^[הובלמשכ][א-ת]{2,}$/.test(queryWord)) {
+        best = Math.max(best, 0.9 * quality(queryWord.slice(1)));
+    }
+    return best;
+}
+
+/**
+ * Helper Function: Get Search Fields
+ * 
+ * The words of a restaurant that ?q= searches, per field. The cuisine field also
+ * holds the cuisine's synonyms, and the address the Hebrew names of its city.
+ * 
+ * @returns {Object} - { name, cuisine, description, address }, each a list of words
+ */
+function getSearchFields(restaurant) {
+    const address = typeof restaurant.address === 'string'
+        ? restaurant.address
+        : `${restaurant.address.street} ${restaurant.address.number}, ${restaurant.address.city}`;
+    const cuisineSynonyms = CUISINE_SYNONYMS[String(restaurant.cuisine ?? '').trim().toLowerCase()] || [];
+    const citySynonyms = Object.entries(CITY_SYNONYMS)
+        .filter(([city]) => address.toLowerCase().includes(city))
+        .flatMap(([, names]) => names);
+    
+    return {
+        name: tokenizeSearchText(restaurant.name),
+        cuisine: tokenizeSearchText([restaurant.cuisine, ...cuisineSynonyms].join(' ')),
+        description: tokenizeSearchText(restaurant.description),
+        address: tokenizeSearchText([address, ...citySynonyms].join(' '))
+    };
+}
+
+/**
+ * Helper Function: Score Search Match
+ * 
+ * Every query word must match a word in one of the given fields. Each word adds
+ * its best match, weighted by SEARCH_FIELD_WEIGHTS, so a name match ranks above a
+ * description match and exact words above typos.
+ * 
+ * @param {string[]} queryWords - Words from parseSearchQuery
+ * @param {Object} fields - Words per field, from getSearchFields (or a subset of it)
+ * @returns {number} - Relevance, or 0 when some query word matches nothing
+ */
+function scoreSearchMatch(queryWords, fields) {
+    let score = 0;
+    for (const queryWord of queryWords) {
+        let best = 0;
+        for (const [field, words] of Object.entries(fields)) {
+            for (const word of words) {
+                best = Math.max(best, SEARCH_FIELD_WEIGHTS[field] * getWordMatchQuality(queryWord, word));
+            }
         }
-    },
-    {
-        id: 6,
-        name: "La Gare",
-        cuisine: "French",
-        address: "King George St 19, Tel Aviv",
-        rating: 4.4,
-        price_range: "$$$$",
-        maxGuests: 40,
-        currGuests: 0,
-        openingHours: {
-            "Monday": { open: "19:00", close: "23:30" },
-            "Tuesday": { open: "19:00", close: "23:30" },
-            "Wednesday": { open: "19:00", close: "23:30" },
-            "Thursday": { open: "19:00", close: "23:30" },
-            "Friday": { open: "19:00", close: "23:30" },
-            "Saturday": { open: "19:00", close: "23:30" },
-            "Sunday": { closed: true }
+        if (best === 0) {
+            return 0;
         }
-    },
-    {
-        id: 7,
+        score += best;
+    }
+    return score;
+}
+
+// True when the cuisine filter matches: part of the cuisine's name, or one of its synonyms (typos allowed)
+function matchesCuisine(restaurant, cuisine) {
+    if (restaurant.cuisine.toLowerCase().includes(cuisine.toLowerCase())) {
+        return true;
+    }
+    const queryWords = parseSearchQuery(cuisine);
+    return queryWords.length > 0 &&
+        scoreSearchMatch(queryWords, { cuisine: getSearchFields(restaurant).cuisine }) > 0;
+}
+
+/**
+ * Autocomplete Suggestions (GET /api/suggest)
+ * 
+ * SUGGEST_FIELDS: restaurant values that can be suggested
+ * DEFAULT_SUGGESTION_LIMIT / MAX_SUGGESTION_LIMIT: number of suggestions returned
+ */
+const SUGGEST_FIELDS = ['cuisine', 'city', 'name'];
+const DEFAULT_SUGGESTION_LIMIT = 8;
+const MAX_SUGGESTION_LIMIT = 20;
+
+// The city part of a restaurant's address (see parseAddress), or '' when it has none
+function getRestaurantCity(restaurant) {
+    const address = typeof restaurant.address === 'string' ? parseAddress(restaurant.address) : restaurant.address;
+    return (address && address.city ? String(address.city) : '').trim();
+}
+
+/**
+ * Helper Function: Get Suggestions
+ * 
+ * Collects the distinct values of a field across all restaurants (case-insensitive,
+ * keeping the first spelling) with the number of restaurants that have each.
+ * A value is suggested when the prefix is the start of the value or of one of its
+ * words, compared like ?q= words (see tokenizeSearchText). Cuisines and cities also
+ * match by the start of a Hebrew or English synonym, so "איט" suggests "Italian".
+ * 
+ * Values that start with the prefix come first, then the most common ones.
+ * 
+ * @param {string} field - One of SUGGEST_FIELDS
+ * @param {string} prefix - What the user typed so far ('' suggests the most common values)
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Object[]} - [{ value, count }]
+ */
+function getSuggestions(field, prefix, limit) {
+    const getValue = {
+        cuisine: restaurant => String(restaurant.cuisine ?? '').trim(),
+        city: getRestaurantCity,
+        name: restaurant => String(restaurant.name ?? '').trim()
+    }[field];
+    const synonyms = { cuisine: CUISINE_SYNONYMS, city: CITY_SYNONYMS }[field] || {};
+    
+    const values = new Map();
+    for (const restaurant of restaurantRepository.findAll()) {
+        const value = getValue(restaurant);
+        if (!value) continue;
+        const key = value.toLowerCase();
+        const entry = values.get(key) || { value, count: 0 };
+        entry.count += 1;
+        values.set(key, entry);
+    }
+    
+    const prefixWords = tokenizeSearchText(prefix);
+    const prefixText = prefixWords.join(' ');
+    // 2 = the value starts with the prefix, 1 = one of its words (or synonyms) does, 0 = no match
+    const matchRank = (key, value) => {
+        if (!prefixText) return 2;
+        const words = tokenizeSearchText(value);
+        if (words.join(' ').startsWith(prefixText)) return 2;
+        const candidates = [words, ...(synonyms[key] || []).map(tokenizeSearchText)];
+        const startsWithPrefix = candidateWords => prefixWords.every(word =>
+            candidateWords.some(candidate => candidate.startsWith(word))
+        );
+        return candidates.some(startsWithPrefix) ? 1 : 0;
+    };
+    
+    return [...values.entries()]
+        .map(([key, entry]) => ({ ...entry, rank: matchRank(key, entry.value) }))
+        .filter(entry => entry.rank > 0)
+        .sort((a, b) => b.rank - a.rank || b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, limit)
+        .map(({ value, count }) => ({ value, count }));
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Helper Function: Distance Between Two Points
+ * 
+ * Great-circle distance using the haversine formula.
+ * 
+ * @param {number} lat1 - Latitude of the first point, in degrees
+ * @param {number} lng1 - Longitude of the first point, in degrees
+ * @param {number} lat2 - Latitude of the second point, in degrees
+ * @param {number} lng2 - Longitude of the second point, in degrees
+ * @returns {number} - Distance in kilometers
+ */
+function getDistanceKm(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// True when the restaurant has both coordinates
+function hasCoordinates(restaurant) {
+    return typeof restaurant.latitude === 'number' && typeof restaurant.longitude === 'number';
+}
+
+/**
+ * Timezones
+ * 
+ * Dates and times in requests (date=2026-05-01&time=19:00) are the restaurant's
+ * local wall-clock time, so "today" and "already passed" must be decided in the
+ * restaurant's IANA timezone, not in UTC. Restaurants without a timezone use
+ * DEFAULT_TIMEZONE (env DEFAULT_TIMEZONE, Asia/Jerusalem if unset or invalid).
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const DEFAULT_TIMEZONE = isValidTimezone(process.env.DEFAULT_TIMEZONE)
+    ? process.env.DEFAULT_TIMEZONE
+    : 'Asia/Jerusalem';
+
+function getRestaurantTimezone(restaurant) {
+    return restaurant.timezone || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Helper Function: Get Local Date and Time
+ * 
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Jerusalem"
+ * @param {Date} [now] - Moment to convert (defaults to now)
+ * @returns {Object} - { date: "YYYY-MM-DD", time: "HH:MM" } as shown on a clock in that timezone
+ */
+function getLocalDateTime(timezone, now = new Date()) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).map(part => [part.type, part.value])
+    );
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+/**
+ * Helper Function: Local Date and Time to UTC
+ * 
+ * The instant at which a local date and time occurs in a timezone. The offset at a
+ * first guess is applied, and a second pass corrects days the offset changes (DST).
+ * 
+ * @param {string} timezone - IANA timezone
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @returns {Date}
+ */
+function getUtcDate(timezone, date, time) {
+    const toMs = (day, clock) => {
+        const [year, month, dayOfMonth] = day.split('-').map(Number);
+        return Date.UTC(year, month - 1, dayOfMonth) + timeToMinutes(clock) * 60000;
+    };
+    const target = toMs(date, time);
+    let guess = target;
+    for (let pass = 0; pass < 2; pass++) {
+        const local = getLocalDateTime(timezone, new Date(guess));
+        guess += target - toMs(local.date, local.time);
+    }
+    return new Date(guess);
+}
+
+// True when the slot (restaurant-local date and time) is not in the future anymore
+function hasSlotPassed(restaurant, date, time) {
+    const now = getLocalDateTime(getRestaurantTimezone(restaurant));
+    return date < now.date || (date === now.date && time <= now.time);
+}
+
+/**
+ * Helper Function: Validate Date Format and Check if Not in Past
+ * 
+ * Validates that the date is in YYYY-MM-DD format and is not in the past.
+ * "Today" is the current date in the given timezone.
+ * 
+ * @param {string} dateString - Date string to validate (expected format: YYYY-MM-DD)
+ * @param {string} [timezone] - IANA timezone to decide "today" in (defaults to DEFAULT_TIMEZONE)
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+function validateDate(dateString, timezone = DEFAULT_TIMEZONE) {
+    // Check format: YYYY-MM-DD
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dateRegex.test(dateString)) {
+        return {
+            isValid: false,
+            error: 'Date must be in YYYY-MM-DD format'
+        };
+    }
+    
+    // Parse the date
+    const date = new Date(dateString + 'T00:00:00Z');
+    
+    // Check if date is valid
+    if (isNaN(date.getTime())) {
+        return {
+            isValid: false,
+            error: 'Invalid date'
+        };
+    }
+    
+    // Check if date is in the past (compare only dates, not time)
+    // YYYY-MM-DD strings compare in date order
+    if (dateString < getLocalDateTime(timezone).date) {
+        return {
+            isValid: false,
+            error: 'Date cannot be in the past'
+        };
+    }
+    
+    return { isValid: true };
+}
+
+
+// ===================================================================================
+// 3. DATA STORAGE
+// ===================================================================================
+
+/**
+ * Sample Restaurant Data
+ * 
+ * Loaded into the data store by the seed step the first time the server starts
+ * with an empty store (see seedDataStore). Routes never read this array directly;
+ * they go through restaurantRepository.
+ */
+const sampleRestaurants = [
+    {
+        id: 1,
+        name: "Chef Yam",
+        cuisine: "Seafood",
+        address: "HaNamal St 12, Tel Aviv",
+        latitude: 32.0973,
+        longitude: 34.7741,
+        price_range: "$$$",
+        maxGuests: 60,
+        dietaryOptions: ["gluten-free"],
+        features: ["outdoor seating", "wifi", "reservations"],
+        openingHours: {
+            "Monday": [{ open: "12:00", close: "23:00" }],
+            "Tuesday": [{ open: "12:00", close: "23:00" }],
+            "Wednesday": [{ open: "12:00", close: "23:00" }],
+            "Thursday": [{ open: "12:00", close: "23:00" }],
+            "Friday": [{ open: "12:00", close: "23:00" }],
+            "Saturday": [],
+            "Sunday": []
+        }
+    },
+    {
+        id: 2,
+        name: "Mama Roma",
+        cuisine: "Italian",
+        address: "Ben Yehuda 45, Jerusalem",
+        latitude: 31.7815,
+        longitude: 35.2167,
+        price_range: "$$",
+        maxGuests: 80,
+        dietaryOptions: ["vegetarian", "vegan"],
+        features: ["outdoor seating", "reservations"],
+        openingHours: {
+            "Sunday": [{ open: "18:00", close: "00:00" }],
+            "Monday": [{ open: "18:00", close: "00:00" }],
+            "Tuesday": [{ open: "18:00", close: "00:00" }],
+            "Wednesday": [{ open: "18:00", close: "00:00" }],
+            "Thursday": [{ open: "18:00", close: "00:00" }],
+            "Friday": [{ open: "18:00", close: "00:00" }],
+            "Saturday": [{ open: "18:00", close: "00:00" }]
+        }
+    },
+    {
+        id: 3,
+        name: "Shakshuka House",
+        cuisine: "Middle Eastern",
+        address: "Rothschild Blvd 23, Tel Aviv",
+        latitude: 32.0628,
+        longitude: 34.7724,
+        price_range: "$",
+        maxGuests: 100,
+        dietaryOptions: ["vegetarian", "kosher"],
+        features: ["outdoor seating", "wifi"],
+        openingHours: {
+            "Sunday": [{ open: "08:00", close: "22:00" }],
+            "Monday": [{ open: "08:00", close: "22:00" }],
+            "Tuesday": [{ open: "08:00", close: "22:00" }],
+            "Wednesday": [{ open: "08:00", close: "22:00" }],
+            "Thursday": [{ open: "08:00", close: "22:00" }],
+            "Friday": [{ open: "08:00", close: "22:00" }],
+            "Saturday": [{ open: "08:00", close: "22:00" }]
+        }
+    },
+    {
+        id: 4,
+        name: "Sushi Bar",
+        cuisine: "Japanese",
+        address: "Dizengoff St 88, Tel Aviv",
+        latitude: 32.0775,
+        longitude: 34.7740,
+        price_range: "$$$",
+        maxGuests: 50,
+        dietaryOptions: ["vegetarian", "gluten-free"],
+        features: ["reservations", "parking"],
+        openingHours: {
+            "Sunday": [{ open: "18:00", close: "23:00" }],
+            "Monday": [{ open: "18:00", close: "23:00" }],
+            "Tuesday": [{ open: "18:00", close: "23:00" }],
+            "Wednesday": [{ open: "18:00", close: "23:00" }],
+            "Thursday": [{ open: "18:00", close: "23:00" }],
+            "Friday": [{ open: "12:00", close: "16:00" }],
+            "Saturday": []
+        }
+    },
+    {
+        id: 5,
+        name: "Hummus Eliyahu",
+        cuisine: "Middle Eastern",
+        address: "Ben Yehuda St 3, Jerusalem",
+        latitude: 31.7811,
+        longitude: 35.2191,
+        price_range: "$",
+        maxGuests: 40,
+        dietaryOptions: ["vegetarian", "vegan", "gluten-free", "kosher"],
+        features: ["parking", "wheelchair accessible"],
+        openingHours: {
+            "Sunday": [{ open: "10:00", close: "20:00" }],
+            "Monday": [{ open: "10:00", close: "20:00" }],
+            "Tuesday": [{ open: "10:00", close: "20:00" }],
+            "Wednesday": [{ open: "10:00", close: "20:00" }],
+            "Thursday": [{ open: "10:00", close: "20:00" }],
+            "Friday": [{ open: "10:00", close: "20:00" }],
+            "Saturday": [{ open: "10:00", close: "20:00" }]
+        }
+    },
+    {
+        id: 6,
+        name: "La Gare",
+        cuisine: "French",
+        address: "King George St 19, Tel Aviv",
+        latitude: 32.0705,
+        longitude: 34.7745,
+        price_range: "$$$$",
+        maxGuests: 40,
+        dietaryOptions: ["vegetarian"],
+        features: ["outdoor seating", "bar", "reservations"],
+        openingHours: {
+            "Monday": [{ open: "19:00", close: "23:30" }],
+            "Tuesday": [{ open: "19:00", close: "23:30" }],
+            "Wednesday": [{ open: "19:00", close: "23:30" }],
+            "Thursday": [{ open: "19:00", close: "23:30" }],
+            "Friday": [{ open: "19:00", close: "23:30" }],
+            "Saturday": [{ open: "19:00", close: "23:30" }],
+            "Sunday": []
+        }
+    },
+    {
+        id: 7,
         name: "Taizu",
         cuisine: "Asian Fusion",
         address: "HaArba'a St 23, Tel Aviv",
-        rating: 4.8,
+        latitude: 32.0712,
+        longitude: 34.7862,
         price_range: "$$$",
         maxGuests: 70,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "gluten-free"],
+        features: ["bar", "reservations", "wheelchair accessible"],
         openingHours: {
-            "Sunday": { open: "19:00", close: "00:00" },
-            "Monday": { open: "19:00", close: "00:00" },
-            "Tuesday": { open: "19:00", close: "00:00" },
-            "Wednesday": { open: "19:00", close: "00:00" },
-            "Thursday": { open: "19:00", close: "00:00" },
-            "Friday": { open: "12:00", close: "16:00" },
-            "Saturday": { closed: true }
+            "Sunday": [{ open: "19:00", close: "00:00" }],
+            "Monday": [{ open: "19:00", close: "00:00" }],
+            "Tuesday": [{ open: "19:00", close: "00:00" }],
+            "Wednesday": [{ open: "19:00", close: "00:00" }],
+            "Thursday": [{ open: "19:00", close: "00:00" }],
+            "Friday": [{ open: "12:00", close: "16:00" }],
+            "Saturday": []
         }
     },
     {
@@ -295,18 +1168,20 @@ let restaurantsData = [
         name: "Max Brenner",
         cuisine: "Dessert",
         address: "Ben Yehuda St 50, Tel Aviv",
-        rating: 4.3,
+        latitude: 32.0790,
+        longitude: 34.7690,
         price_range: "$$",
         maxGuests: 90,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "kosher"],
+        features: ["wifi", "parking", "wheelchair accessible"],
         openingHours: {
-            "Sunday": { open: "10:00", close: "23:00" },
-            "Monday": { open: "10:00", close: "23:00" },
-            "Tuesday": { open: "10:00", close: "23:00" },
-            "Wednesday": { open: "10:00", close: "23:00" },
-            "Thursday": { open: "10:00", close: "23:00" },
-            "Friday": { open: "10:00", close: "23:00" },
-            "Saturday": { open: "10:00", close: "01:00" }
+            "Sunday": [{ open: "10:00", close: "23:00" }],
+            "Monday": [{ open: "10:00", close: "23:00" }],
+            "Tuesday": [{ open: "10:00", close: "23:00" }],
+            "Wednesday": [{ open: "10:00", close: "23:00" }],
+            "Thursday": [{ open: "10:00", close: "23:00" }],
+            "Friday": [{ open: "10:00", close: "23:00" }],
+            "Saturday": [{ open: "10:00", close: "01:00" }]
         }
     },
     {
@@ -314,18 +1189,20 @@ let restaurantsData = [
         name: "Landwer Cafe",
         cuisine: "Cafe",
         address: "Rothschild Blvd 45, Tel Aviv",
-        rating: 4.2,
+        latitude: 32.0646,
+        longitude: 34.7750,
         price_range: "$$",
         maxGuests: 120,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "gluten-free", "kosher"],
+        features: ["outdoor seating", "wifi", "parking", "wheelchair accessible"],
         openingHours: {
-            "Sunday": { open: "07:00", close: "23:00" },
-            "Monday": { open: "07:00", close: "23:00" },
-            "Tuesday": { open: "07:00", close: "23:00" },
-            "Wednesday": { open: "07:00", close: "23:00" },
-            "Thursday": { open: "07:00", close: "23:00" },
-            "Friday": { open: "07:00", close: "23:00" },
-            "Saturday": { open: "07:00", close: "23:00" }
+            "Sunday": [{ open: "07:00", close: "23:00" }],
+            "Monday": [{ open: "07:00", close: "23:00" }],
+            "Tuesday": [{ open: "07:00", close: "23:00" }],
+            "Wednesday": [{ open: "07:00", close: "23:00" }],
+            "Thursday": [{ open: "07:00", close: "23:00" }],
+            "Friday": [{ open: "07:00", close: "23:00" }],
+            "Saturday": [{ open: "07:00", close: "23:00" }]
         }
     },
     {
@@ -333,18 +1210,20 @@ let restaurantsData = [
         name: "Machneyuda",
         cuisine: "Israeli",
         address: "Beit Ya'akov St 10, Jerusalem",
-        rating: 4.9,
+        latitude: 31.7857,
+        longitude: 35.2124,
         price_range: "$$$",
         maxGuests: 45,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian"],
+        features: ["bar", "reservations"],
         openingHours: {
-            "Sunday": { open: "19:00", close: "00:00" },
-            "Monday": { open: "19:00", close: "00:00" },
-            "Tuesday": { open: "19:00", close: "00:00" },
-            "Wednesday": { open: "19:00", close: "00:00" },
-            "Thursday": { open: "19:00", close: "00:00" },
-            "Friday": { closed: true },
-            "Saturday": { closed: true }
+            "Sunday": [{ open: "12:30", close: "15:30" }, { open: "19:00", close: "00:00" }],
+            "Monday": [{ open: "12:30", close: "15:30" }, { open: "19:00", close: "00:00" }],
+            "Tuesday": [{ open: "12:30", close: "15:30" }, { open: "19:00", close: "00:00" }],
+            "Wednesday": [{ open: "12:30", close: "15:30" }, { open: "19:00", close: "00:00" }],
+            "Thursday": [{ open: "12:30", close: "15:30" }, { open: "19:00", close: "00:00" }],
+            "Friday": [],
+            "Saturday": []
         }
     },
     {
@@ -352,18 +1231,20 @@ let restaurantsData = [
         name: "Burgerim",
         cuisine: "American",
         address: "Dizengoff Center, Tel Aviv",
-        rating: 4.1,
+        latitude: 32.0753,
+        longitude: 34.7750,
         price_range: "$",
         maxGuests: 110,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "kosher"],
+        features: ["wifi"],
         openingHours: {
-            "Sunday": { open: "11:00", close: "23:00" },
-            "Monday": { open: "11:00", close: "23:00" },
-            "Tuesday": { open: "11:00", close: "23:00" },
-            "Wednesday": { open: "11:00", close: "23:00" },
-            "Thursday": { open: "11:00", close: "23:00" },
-            "Friday": { open: "11:00", close: "23:00" },
-            "Saturday": { open: "11:00", close: "23:00" }
+            "Sunday": [{ open: "11:00", close: "23:00" }],
+            "Monday": [{ open: "11:00", close: "23:00" }],
+            "Tuesday": [{ open: "11:00", close: "23:00" }],
+            "Wednesday": [{ open: "11:00", close: "23:00" }],
+            "Thursday": [{ open: "11:00", close: "23:00" }],
+            "Friday": [{ open: "11:00", close: "23:00" }],
+            "Saturday": [{ open: "11:00", close: "23:00" }]
         }
     },
     {
@@ -371,18 +1252,20 @@ let restaurantsData = [
         name: "Cafe Joe",
         cuisine: "Cafe",
         address: "Ben Gurion Blvd 1, Herzliya",
-        rating: 4.5,
+        latitude: 32.1624,
+        longitude: 34.8012,
         price_range: "$$",
         maxGuests: 85,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "kosher"],
+        features: ["outdoor seating", "wifi", "wheelchair accessible"],
         openingHours: {
-            "Sunday": { open: "08:00", close: "22:00" },
-            "Monday": { open: "08:00", close: "22:00" },
-            "Tuesday": { open: "08:00", close: "22:00" },
-            "Wednesday": { open: "08:00", close: "22:00" },
-            "Thursday": { open: "08:00", close: "22:00" },
-            "Friday": { open: "08:00", close: "22:00" },
-            "Saturday": { open: "08:00", close: "22:00" }
+            "Sunday": [{ open: "08:00", close: "22:00" }],
+            "Monday": [{ open: "08:00", close: "22:00" }],
+            "Tuesday": [{ open: "08:00", close: "22:00" }],
+            "Wednesday": [{ open: "08:00", close: "22:00" }],
+            "Thursday": [{ open: "08:00", close: "22:00" }],
+            "Friday": [{ open: "08:00", close: "22:00" }],
+            "Saturday": [{ open: "08:00", close: "22:00" }]
         }
     },
     {
@@ -390,18 +1273,20 @@ let restaurantsData = [
         name: "Yakimono",
         cuisine: "Japanese",
         address: "HaArba'a St 8, Tel Aviv",
-        rating: 4.6,
+        latitude: 32.0718,
+        longitude: 34.7842,
         price_range: "$$$",
         maxGuests: 55,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "gluten-free"],
+        features: ["bar", "reservations", "parking"],
         openingHours: {
-            "Sunday": { open: "18:00", close: "23:00" },
-            "Monday": { open: "18:00", close: "23:00" },
-            "Tuesday": { open: "18:00", close: "23:00" },
-            "Wednesday": { open: "18:00", close: "23:00" },
-            "Thursday": { open: "18:00", close: "23:00" },
-            "Friday": { closed: true },
-            "Saturday": { closed: true }
+            "Sunday": [{ open: "18:00", close: "23:00" }],
+            "Monday": [{ open: "18:00", close: "23:00" }],
+            "Tuesday": [{ open: "18:00", close: "23:00" }],
+            "Wednesday": [{ open: "18:00", close: "23:00" }],
+            "Thursday": [{ open: "18:00", close: "23:00" }],
+            "Friday": [],
+            "Saturday": []
         }
     },
     {
@@ -409,18 +1294,20 @@ let restaurantsData = [
         name: "Abu Hassan",
         cuisine: "Middle Eastern",
         address: "Dolphin St 1, Jaffa",
-        rating: 4.8,
+        latitude: 32.0530,
+        longitude: 34.7530,
         price_range: "$",
         maxGuests: 35,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "halal"],
+        features: [],
         openingHours: {
-            "Sunday": { open: "08:00", close: "16:00" },
-            "Monday": { open: "08:00", close: "16:00" },
-            "Tuesday": { open: "08:00", close: "16:00" },
-            "Wednesday": { open: "08:00", close: "16:00" },
-            "Thursday": { open: "08:00", close: "16:00" },
-            "Friday": { open: "08:00", close: "16:00" },
-            "Saturday": { open: "08:00", close: "16:00" }
+            "Sunday": [{ open: "08:00", close: "16:00" }],
+            "Monday": [{ open: "08:00", close: "16:00" }],
+            "Tuesday": [{ open: "08:00", close: "16:00" }],
+            "Wednesday": [{ open: "08:00", close: "16:00" }],
+            "Thursday": [{ open: "08:00", close: "16:00" }],
+            "Friday": [{ open: "08:00", close: "16:00" }],
+            "Saturday": [{ open: "08:00", close: "16:00" }]
         }
     },
     {
@@ -428,18 +1315,20 @@ let restaurantsData = [
         name: "The Eucalyptus",
         cuisine: "Israeli",
         address: "Hativat Yerushalayim St 14, Jerusalem",
-        rating: 4.7,
+        latitude: 31.7745,
+        longitude: 35.2267,
         price_range: "$$$",
         maxGuests: 65,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "gluten-free", "kosher"],
+        features: ["outdoor seating", "reservations"],
         openingHours: {
-            "Sunday": { open: "12:00", close: "23:00" },
-            "Monday": { open: "12:00", close: "23:00" },
-            "Tuesday": { open: "12:00", close: "23:00" },
-            "Wednesday": { open: "12:00", close: "23:00" },
-            "Thursday": { open: "12:00", close: "23:00" },
-            "Friday": { closed: true },
-            "Saturday": { closed: true }
+            "Sunday": [{ open: "12:00", close: "23:00" }],
+            "Monday": [{ open: "12:00", close: "23:00" }],
+            "Tuesday": [{ open: "12:00", close: "23:00" }],
+            "Wednesday": [{ open: "12:00", close: "23:00" }],
+            "Thursday": [{ open: "12:00", close: "23:00" }],
+            "Friday": [],
+            "Saturday": []
         }
     },
     {
@@ -447,18 +1336,20 @@ let restaurantsData = [
         name: "Cafe Noir",
         cuisine: "French",
         address: "Ahad Ha'Am St 43, Tel Aviv",
-        rating: 4.4,
+        latitude: 32.0641,
+        longitude: 34.7739,
         price_range: "$$",
         maxGuests: 75,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian"],
+        features: ["outdoor seating", "bar", "reservations"],
         openingHours: {
-            "Sunday": { open: "08:00", close: "01:00" },
-            "Monday": { open: "08:00", close: "01:00" },
-            "Tuesday": { open: "08:00", close: "01:00" },
-            "Wednesday": { open: "08:00", close: "01:00" },
-            "Thursday": { open: "08:00", close: "01:00" },
-            "Friday": { open: "08:00", close: "01:00" },
-            "Saturday": { open: "08:00", close: "01:00" }
+            "Sunday": [{ open: "08:00", close: "01:00" }],
+            "Monday": [{ open: "08:00", close: "01:00" }],
+            "Tuesday": [{ open: "08:00", close: "01:00" }],
+            "Wednesday": [{ open: "08:00", close: "01:00" }],
+            "Thursday": [{ open: "08:00", close: "01:00" }],
+            "Friday": [{ open: "08:00", close: "01:00" }],
+            "Saturday": [{ open: "08:00", close: "01:00" }]
         }
     },
     {
@@ -466,18 +1357,20 @@ let restaurantsData = [
         name: "Roladin",
         cuisine: "Bakery",
         address: "Dizengoff St 50, Tel Aviv",
-        rating: 4.3,
+        latitude: 32.0750,
+        longitude: 34.7748,
         price_range: "$",
         maxGuests: 50,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "kosher"],
+        features: ["outdoor seating", "wifi"],
         openingHours: {
-            "Sunday": { open: "07:00", close: "22:00" },
-            "Monday": { open: "07:00", close: "22:00" },
-            "Tuesday": { open: "07:00", close: "22:00" },
-            "Wednesday": { open: "07:00", close: "22:00" },
-            "Thursday": { open: "07:00", close: "22:00" },
-            "Friday": { open: "07:00", close: "22:00" },
-            "Saturday": { open: "07:00", close: "22:00" }
+            "Sunday": [{ open: "07:00", close: "22:00" }],
+            "Monday": [{ open: "07:00", close: "22:00" }],
+            "Tuesday": [{ open: "07:00", close: "22:00" }],
+            "Wednesday": [{ open: "07:00", close: "22:00" }],
+            "Thursday": [{ open: "07:00", close: "22:00" }],
+            "Friday": [{ open: "07:00", close: "22:00" }],
+            "Saturday": [{ open: "07:00", close: "22:00" }]
         }
     },
     {
@@ -485,18 +1378,20 @@ let restaurantsData = [
         name: "Herbert Samuel",
         cuisine: "Seafood",
         address: "Kaufmann St 6, Tel Aviv",
-        rating: 4.8,
+        latitude: 32.0578,
+        longitude: 34.7628,
         price_range: "$$$$",
         maxGuests: 50,
-        currGuests: 0,
+        dietaryOptions: ["gluten-free"],
+        features: ["bar", "reservations", "parking", "wheelchair accessible"],
         openingHours: {
-            "Sunday": { open: "19:00", close: "23:00" },
-            "Monday": { open: "19:00", close: "23:00" },
-            "Tuesday": { open: "19:00", close: "23:00" },
-            "Wednesday": { open: "19:00", close: "23:00" },
-            "Thursday": { open: "19:00", close: "23:00" },
-            "Friday": { open: "12:00", close: "16:00" },
-            "Saturday": { closed: true }
+            "Sunday": [{ open: "19:00", close: "23:00" }],
+            "Monday": [{ open: "19:00", close: "23:00" }],
+            "Tuesday": [{ open: "19:00", close: "23:00" }],
+            "Wednesday": [{ open: "19:00", close: "23:00" }],
+            "Thursday": [{ open: "19:00", close: "23:00" }],
+            "Friday": [{ open: "12:00", close: "16:00" }],
+            "Saturday": []
         }
     },
     {
@@ -504,18 +1399,20 @@ let restaurantsData = [
         name: "Cafe Xoho",
         cuisine: "Cafe",
         address: "Gordon St 8, Tel Aviv",
-        rating: 4.5,
+        latitude: 32.0836,
+        longitude: 34.7703,
         price_range: "$$",
         maxGuests: 60,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "gluten-free"],
+        features: ["outdoor seating", "wifi"],
         openingHours: {
-            "Sunday": { open: "07:30", close: "18:00" },
-            "Monday": { open: "07:30", close: "18:00" },
-            "Tuesday": { open: "07:30", close: "18:00" },
-            "Wednesday": { open: "07:30", close: "18:00" },
-            "Thursday": { open: "07:30", close: "18:00" },
-            "Friday": { open: "07:30", close: "18:00" },
-            "Saturday": { open: "07:30", close: "18:00" }
+            "Sunday": [{ open: "07:30", close: "18:00" }],
+            "Monday": [{ open: "07:30", close: "18:00" }],
+            "Tuesday": [{ open: "07:30", close: "18:00" }],
+            "Wednesday": [{ open: "07:30", close: "18:00" }],
+            "Thursday": [{ open: "07:30", close: "18:00" }],
+            "Friday": [{ open: "07:30", close: "18:00" }],
+            "Saturday": [{ open: "07:30", close: "18:00" }]
         }
     },
     {
@@ -523,689 +1420,5409 @@ let restaurantsData = [
         name: "Tandoori",
         cuisine: "Indian",
         address: "Ben Yehuda St 30, Tel Aviv",
-        rating: 4.6,
+        latitude: 32.0765,
+        longitude: 34.7683,
         price_range: "$$",
         maxGuests: 70,
-        currGuests: 0,
+        dietaryOptions: ["vegetarian", "vegan", "gluten-free", "halal"],
+        features: ["reservations", "parking"],
         openingHours: {
-            "Sunday": { open: "12:00", close: "23:00" },
-            "Monday": { open: "12:00", close: "23:00" },
-            "Tuesday": { open: "12:00", close: "23:00" },
-            "Wednesday": { open: "12:00", close: "23:00" },
-            "Thursday": { open: "12:00", close: "23:00" },
-            "Friday": { open: "12:00", close: "23:00" },
-            "Saturday": { open: "12:00", close: "23:00" }
+            "Sunday": [{ open: "12:00", close: "23:00" }],
+            "Monday": [{ open: "12:00", close: "23:00" }],
+            "Tuesday": [{ open: "12:00", close: "23:00" }],
+            "Wednesday": [{ open: "12:00", close: "23:00" }],
+            "Thursday": [{ open: "12:00", close: "23:00" }],
+            "Friday": [{ open: "12:00", close: "23:00" }],
+            "Saturday": [{ open: "12:00", close: "23:00" }]
         }
     }
 ];
 
 /**
- * Helper Function: Parse Address String to Structured Format
+ * Storage Adapters
  * 
- * Converts address string like "HaNamal St 12, Tel Aviv" to structured format
- * { street: "HaNamal St", number: "12", city: "Tel Aviv" }
- */
-function parseAddress(addressString) {
-    // Try to extract street number and city
-    const parts = addressString.split(',').map(s => s.trim());
-    if (parts.length >= 2) {
-        const city = parts[parts.length - 1];
-        const streetPart = parts.slice(0, -1).join(', ');
-        // Try to extract number from street part
-        const numberMatch = streetPart.match(/(\d+)/);
-        const number = numberMatch ? numberMatch[1] : '';
-        const street = streetPart.replace(/\d+/g, '').trim();
-        return { street, number, city };
-    }
-    // Fallback: if no comma, try to extract number
-    const numberMatch = addressString.match(/(\d+)/);
-    const number = numberMatch ? numberMatch[1] : '';
-    const street = addressString.replace(/\d+/g, '').trim();
-    return { street, number, city: '' };
-}
-
-/**
- * Helper Function: Parse Hours String to Structured Format
+ * An adapter persists the whole data set, which is a plain object of the form
+ * { meta: { schemaVersion, seededAt, sequences }, restaurants: [...], reservations: [...] }.
+ * Every adapter exposes the same two methods:
+ * - read(): returns the stored data set, or null if nothing has been stored yet
+ * - write(data): replaces the stored data set
  * 
- * Converts hours string like "Mon-Fri: 12:00-23:00" to structured openingHours object
+ * Two adapters are available:
+ * - memory: keeps everything in process memory (used for tests, lost on restart)
+ * - file: keeps everything in a local JSON file (used for real runs)
+ * 
+ * Select one with the DATA_STORE environment variable (memory | file). The file
+ * location can be changed with DATA_FILE.
  */
-function parseOpeningHours(hoursString) {
-    const openingHours = {};
-    
-    // Handle "Daily" case
-    if (hoursString.toLowerCase().includes('daily')) {
-        const timeMatch = hoursString.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
-        if (timeMatch) {
-            const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-            days.forEach(day => {
-                openingHours[day] = {
-                    open: timeMatch[1],
-                    close: timeMatch[2],
-                    closed: false
-                };
-            });
+function createMemoryAdapter() {
+    let stored = null;
+    return {
+        read() {
+            return stored ? structuredClone(stored) : null;
+        },
+        write(data) {
+            stored = structuredClone(data);
         }
-        return openingHours;
-    }
-    
-    // Handle day ranges like "Mon-Fri"
-    const dayRanges = hoursString.split(',').map(s => s.trim());
-    const dayMap = {
-        'Sun': 'Sunday', 'Mon': 'Monday', 'Tue': 'Tuesday', 'Wed': 'Wednesday',
-        'Thu': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday'
     };
-    
-    dayRanges.forEach(range => {
-        const timeMatch = range.match(/(\d{2}:\d{2})-(\d{2}:\d{2})/);
-        if (!timeMatch) return;
-        
-        const dayPart = range.split(':')[0].trim();
-        const days = [];
-        
-        if (dayPart.includes('-')) {
-            const [start, end] = dayPart.split('-').map(d => d.trim());
-            const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-            const startIdx = dayNames.findIndex(d => d.startsWith(dayMap[start] || start));
-            const endIdx = dayNames.findIndex(d => d.startsWith(dayMap[end] || end));
-            if (startIdx !== -1 && endIdx !== -1) {
-                for (let i = startIdx; i <= endIdx; i++) {
-                    days.push(dayNames[i]);
-                }
-            }
-        } else {
-            const dayName = dayMap[dayPart] || dayPart;
-            if (dayName) days.push(dayName);
-        }
-        
-        days.forEach(day => {
-            openingHours[day] = {
-                open: timeMatch[1],
-                close: timeMatch[2],
-                closed: false
-            };
-        });
-    });
-    
-    // Set other days as closed
-    const allDays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    allDays.forEach(day => {
-        if (!openingHours[day]) {
-            openingHours[day] = { closed: true };
-        }
-    });
-    
-    return openingHours;
 }
 
-/**
- * Helper Function: Transform Restaurant Data to Frontend Format
- * 
- * Converts backend format to match frontend Restaurant interface
- */
-function transformRestaurantToFrontendFormat(restaurant) {
+function createJsonFileAdapter(filePath) {
     return {
-        id: String(restaurant.id),
-        name: restaurant.name,
-        cuisine: restaurant.cuisine,
-        address: typeof restaurant.address === 'string' 
-            ? parseAddress(restaurant.address)
-            : restaurant.address,
-        rating: restaurant.rating,
-        priceRange: restaurant.price_range || restaurant.priceRange,
-        imageUrl: restaurant.imageUrl,
-        phoneNumber: restaurant.phoneNumber,
-        website: restaurant.website,
-        description: restaurant.description,
-        openingHours: restaurant.openingHours 
-            ? restaurant.openingHours 
-            : (restaurant.hours_of_operation 
-                ? parseOpeningHours(restaurant.hours_of_operation)
-                : undefined),
-        dietaryOptions: restaurant.dietaryOptions,
-        features: restaurant.features,
-        maxGuests: restaurant.maxGuests || 50, // Default to 50 if not set
-        currGuests: restaurant.currGuests || 0 // Default to 0 if not set
+        read() {
+            if (!fs.existsSync(filePath)) {
+                return null;
+            }
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        write(data) {
+            // Write to a temporary file first and rename it, so a crash mid-write
+            // never leaves a half-written data file behind
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+            fs.renameSync(tempPath, filePath);
+        }
     };
 }
 
-/**
- * Helper Function: Generate Next ID
- * 
- * WHY THIS CHANGE: Needed for POST requests to create new restaurants.
- * In a real database, the ID would be auto-generated.
- * 
- * Finds the highest ID in the array and returns the next available ID.
- */
-function getNextId() {
-    if (restaurantsData.length === 0) return 1;
-    return Math.max(...restaurantsData.map(r => typeof r.id === 'string' ? parseInt(r.id) : r.id)) + 1;
+function createStorageAdapter() {
+    const storeType = process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+    
+    if (storeType === 'memory') {
+        return createMemoryAdapter();
+    }
+    if (storeType === 'file') {
+        return createJsonFileAdapter(process.env.DATA_FILE || path.join(__dirname, 'data', 'dining-match.json'));
+    }
+    throw new Error(`Unknown DATA_STORE "${storeType}". Use "memory" or "file".`);
 }
 
 /**
- * Helper Function: Validate Restaurant Data
+ * Schema Migrations
  * 
- * WHY THIS CHANGE: Input validation is crucial for data integrity and security.
- * Prevents invalid or malicious data from being stored.
+ * Each migration upgrades the stored data set by one version. Migrations run in
+ * order on startup and the last applied version is kept in meta.schemaVersion,
+ * so each one runs exactly once per data store.
  * 
- * @param {Object} restaurant - Restaurant object to validate
- * @returns {Object} - { isValid: boolean, errors: string[] }
+ * IMPORTANT: Never edit a migration that has already shipped - add a new one.
  */
-function validateRestaurant(restaurant) {
-    const errors = [];
-    
-    if (!restaurant.name || typeof restaurant.name !== 'string' || restaurant.name.trim().length === 0) {
-        errors.push('Name is required and must be a non-empty string');
-    }
-    
-    if (!restaurant.cuisine || typeof restaurant.cuisine !== 'string' || restaurant.cuisine.trim().length === 0) {
-        errors.push('Cuisine is required and must be a non-empty string');
-    }
-    
-    // Address can be either string or object (frontend format)
-    if (!restaurant.address) {
-        errors.push('Address is required');
-    } else if (typeof restaurant.address === 'string' && restaurant.address.trim().length === 0) {
-        errors.push('Address must be a non-empty string');
-    } else if (typeof restaurant.address === 'object') {
-        // Validate structured address format
-        if (!restaurant.address.street || typeof restaurant.address.street !== 'string') {
-            errors.push('Address street is required');
+const migrations = [
+    {
+        version: 1,
+        name: 'create restaurants and reservations collections',
+        up(data) {
+            data.restaurants = data.restaurants || [];
+            data.reservations = data.reservations || [];
+            data.meta.sequences = data.meta.sequences || {};
         }
-        if (!restaurant.address.city || typeof restaurant.address.city !== 'string') {
-            errors.push('Address city is required');
+    },
+    {
+        version: 2,
+        name: 'add users and sessions, restaurant owners and reservation diners',
+        up(data) {
+            data.users = data.users || [];
+            data.sessions = data.sessions || [];
+            data.restaurants.forEach(restaurant => {
+                restaurant.ownerId = restaurant.ownerId ?? null;
+            });
+            data.reservations.forEach(reservation => {
+                reservation.userId = reservation.userId ?? null;
+            });
         }
-    }
-    
-    if (restaurant.rating !== undefined && restaurant.rating !== null) {
-        const rating = parseFloat(restaurant.rating);
-        if (isNaN(rating) || rating < 0 || rating > 5) {
-            errors.push('Rating must be a number between 0 and 5');
+    },
+    {
+        version: 3,
+        name: 'add dietary options and features to the sample restaurants',
+        up(data) {
+            // Only fills in restaurants that are still the seeded samples and have no tags yet
+            data.restaurants.forEach(restaurant => {
+                const sample = sampleRestaurants.find(s => s.id === restaurant.id && s.name === restaurant.name);
+                restaurant.dietaryOptions = restaurant.dietaryOptions ?? (sample ? [...sample.dietaryOptions] : null);
+                restaurant.features = restaurant.features ?? (sample ? [...sample.features] : null);
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'add coordinates to restaurants',
+        up(data) {
+            // Sample restaurants get their known location, everything else starts without one
+            data.restaurants.forEach(restaurant => {
+                const sample = sampleRestaurants.find(s => s.id === restaurant.id && s.name === restaurant.name);
+                restaurant.latitude = restaurant.latitude ?? (sample ? sample.latitude : null);
+                restaurant.longitude = restaurant.longitude ?? (sample ? sample.longitude : null);
+            });
+        }
+    },
+    {
+        version: 5,
+        name: 'add special hours to restaurants',
+        up(data) {
+            data.restaurants.forEach(restaurant => {
+                restaurant.specialHours = restaurant.specialHours || [];
+            });
+            data.meta.sequences.specialHours = data.meta.sequences.specialHours ?? 0;
+        }
+    },
+    {
+        version: 6,
+        name: 'store opening hours as a list of service windows per day',
+        up(data) {
+            data.restaurants.forEach(restaurant => {
+                if (restaurant.openingHours) {
+                    restaurant.openingHours = normalizeOpeningHours(restaurant.openingHours);
+                }
+            });
+        }
+    },
+    {
+        version: 7,
+        name: 'add restaurant timezones',
+        up(data) {
+            // null means DEFAULT_TIMEZONE
+            data.restaurants.forEach(restaurant => {
+                restaurant.timezone = restaurant.timezone ?? null;
+            });
+        }
+    },
+    {
+        version: 8,
+        name: 'create waitlist and outbox collections',
+        up(data) {
+            data.waitlist = data.waitlist || [];
+            data.outbox = data.outbox || [];
+        }
+    },
+    {
+        version: 9,
+        name: 'add table inventory to restaurants and table assignments to reservations',
+        up(data) {
+            // Without their own tables restaurants use the default layout (see getRestaurantTables);
+            // existing reservations are placed on tables when capacity is computed (see getFreeTables)
+            data.restaurants.forEach(restaurant => {
+                restaurant.tables = restaurant.tables ?? null;
+            });
+            data.reservations.forEach(reservation => {
+                reservation.tableIds = reservation.tableIds ?? null;
+            });
+        }
+    },
+    {
+        version: 10,
+        name: 'add seating and occasion preferences to reservations and waitlist entries',
+        up(data) {
+            [...data.reservations, ...data.waitlist].forEach(booking => {
+                booking.seatingArea = booking.seatingArea ?? null;
+                booking.accessibility = booking.accessibility || [];
+                booking.occasion = booking.occasion ?? null;
+                booking.notes = booking.notes ?? null;
+            });
+        }
+    },
+    {
+        version: 11,
+        name: 'create reviews collection and add review counts to restaurants',
+        up(data) {
+            data.reviews = data.reviews || [];
+            data.restaurants.forEach(restaurant => {
+                restaurant.reviewCount = restaurant.reviewCount ?? 0;
+            });
+        }
+    },
+    {
+        version: 12,
+        name: 'create notifications collection and add reminder tracking to reservations',
+        up(data) {
+            data.notifications = data.notifications || [];
+            data.reservations.forEach(reservation => {
+                reservation.reminderSentAt = reservation.reminderSentAt ?? null;
+            });
+        }
+    },
+    {
+        version: 13,
+        name: 'add calendar sequence numbers to reservations',
+        up(data) {
+            // Calendar files already handed out counted the changes in the outbox, so continue from there
+            data.reservations.forEach(reservation => {
+                reservation.calendarSequence = reservation.calendarSequence ?? data.outbox.filter(event =>
+                    (event.type === 'reservation.modified' || event.type === 'reservation.cancelled') &&
+                    event.payload.reservationId === reservation.id
+                ).length;
+            });
+        }
+    },
+    {
+        version: 14,
+        name: 'derive restaurant ratings from reviews only',
+        up(data) {
+            // Drops the seeded ratings that were shown until the first review (listedRating)
+            data.restaurants.forEach(restaurant => {
+                const id = typeof restaurant.id === 'string' ? parseInt(restaurant.id) : restaurant.id;
+                const visible = data.reviews.filter(review => review.restaurantId === id && !review.hidden);
+                Object.assign(restaurant, getReviewStats(visible));
+                delete restaurant.listedRating;
+            });
         }
     }
-    
-    // Accept both price_range (backend) and priceRange (frontend)
-    const priceRange = restaurant.priceRange || restaurant.price_range;
-    if (priceRange && typeof priceRange !== 'string') {
-        errors.push('Price range must be a string');
-    }
-    if (priceRange && !['$', '$$', '$$$', '$$$$'].includes(priceRange)) {
-        errors.push('Price range must be one of: $, $$, $$$, $$$$');
+];
+
+function runMigrations(data) {
+    migrations
+        .filter(migration => migration.version > data.meta.schemaVersion)
+        .forEach(migration => {
+            migration.up(data);
+            data.meta.schemaVersion = migration.version;
+            console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+        });
+}
+
+/**
+ * Seed Step
+ * 
+ * Loads the sample restaurants into a fresh data store. Runs only once per
+ * store (tracked by meta.seededAt), so deleting every restaurant does not bring
+ * the samples back on the next restart. Set SEED_DATA=false to start empty.
+ */
+function seedDataStore(data) {
+    if (data.meta.seededAt || process.env.SEED_DATA === 'false') {
+        return;
     }
     
+    // Ratings come from reviews only, so the samples start unrated
+    data.restaurants = sampleRestaurants.map(sample => ({ ...structuredClone(sample), rating: null, reviewCount: 0 }));
+    data.meta.sequences.restaurants = Math.max(...sampleRestaurants.map(r => r.id));
+    data.meta.seededAt = new Date().toISOString();
+    console.log(`🌱 Seeded ${sampleRestaurants.length} sample restaurants`);
+}
+
+/**
+ * Data Store Initialization
+ * 
+ * Reads the data set from the adapter, brings its schema up to date, seeds it
+ * if needed and writes it back.
+ */
+const storageAdapter = createStorageAdapter();
+const dataStore = storageAdapter.read() || { meta: { schemaVersion: 0 } };
+runMigrations(dataStore);
+seedDataStore(dataStore);
+storageAdapter.write(dataStore);
+
+/**
+ * Repository Factory
+ * 
+ * Creates a repository for one collection of the data store. Routes use
+ * repositories instead of touching the stored arrays, and every change is
+ * written through the storage adapter immediately.
+ * 
+ * Records are returned as copies, so changes must go through update().
+ * 
+ * @param {string} collection - Name of the collection (e.g. 'restaurants')
+ */
+function createRepository(collection) {
+    const records = () => dataStore[collection];
+    const matchesId = id => record =>
+        (typeof record.id === 'string' ? parseInt(record.id) : record.id) === id;
+    
     return {
-        isValid: errors.length === 0,
-        errors
+        findAll(predicate = () => true) {
+            return records().filter(predicate).map(record => structuredClone(record));
+        },
+        findById(id) {
+            const record = records().find(matchesId(id));
+            return record ? structuredClone(record) : undefined;
+        },
+        create(data) {
+            const record = { id: getNextId(collection), ...structuredClone(data) };
+            records().push(record);
+            storageAdapter.write(dataStore);
+            return structuredClone(record);
+        },
+        update(id, changes) {
+            const index = records().findIndex(matchesId(id));
+            if (index === -1) {
+                return undefined;
+            }
+            records()[index] = { ...records()[index], ...structuredClone(changes), id: records()[index].id };
+            storageAdapter.write(dataStore);
+            return structuredClone(records()[index]);
+        },
+        remove(id) {
+            const index = records().findIndex(matchesId(id));
+            if (index === -1) {
+                return false;
+            }
+            records().splice(index, 1);
+            storageAdapter.write(dataStore);
+            return true;
+        }
     };
 }
 
+/**
+ * Restaurants Repository
+ */
+const restaurantRepository = createRepository('restaurants');
+
+/**
+ * Reservations Repository
+ *
+ * Every reservation is stored as
+ * { id, restaurantId, userId, date, time, numGuests, duration, tableIds, seatingArea,
+ *   accessibility, occasion, notes, status, reminderSentAt, createdAt, updatedAt }.
+ * Reservations in an active status hold their tables (tableIds) for their
+ * seating (see getFreeTables). reminderSentAt is set once the reminder was
+ * handled (see scheduleReminders).
+ */
+const reservationRepository = createRepository('reservations');
+
+/**
+ * Users Repository
+ *
+ * Every user is stored as { id, name, email, role, passwordHash, createdAt }.
+ * Never send a stored user to a client as-is - use transformUserToResponseFormat.
+ */
+const userRepository = createRepository('users');
+
+/**
+ * Sessions Repository
+ *
+ * Every login creates a session { id, tokenHash, userId, createdAt, expiresAt }.
+ * Only a hash of the token is stored, so a leaked data file cannot be used to log in.
+ */
+const sessionRepository = createRepository('sessions');
+
+/**
+ * Waitlist Repository
+ *
+ * Every entry is stored as { id, restaurantId, userId, date, time, numGuests,
+ * seatingArea, accessibility, occasion, notes, status, reservationId, createdAt,
+ * updatedAt }. reservationId is set once the entry is promoted to a reservation.
+ */
+const waitlistRepository = createRepository('waitlist');
+
+/**
+ * Outbox Repository
+ *
+ * Events that should reach someone outside the server (e.g. "your waitlist spot
+ * became a reservation") are stored as { id, type, payload, status, createdAt,
+ * processedAt } so they can be delivered later, even after a restart. status is
+ * 'pending' until the notification worker has created the event's notifications,
+ * then 'processed'.
+ */
+const outboxRepository = createRepository('outbox');
+
+/**
+ * Notifications Repository
+ *
+ * One delivery of an outbox event to one recipient, stored as { id, eventId, type,
+ * audience, channel, to, subject, text, status, transport, attempts, errors,
+ * nextAttemptAt, sentAt, createdAt, updatedAt }. errors lists every failed attempt
+ * as { at, transport, message } (see deliverNotification).
+ */
+const notificationRepository = createRepository('notifications');
+
+/**
+ * Reviews Repository
+ *
+ * Every review is stored as { id, restaurantId, userId, reservationId, rating,
+ * text, reply, hidden, createdAt, updatedAt }. reply is the restaurant's
+ * { text, createdAt } answer, or null; hidden reviews are left out of listings
+ * and of the restaurant's rating.
+ */
+const reviewRepository = createRepository('reviews');
+
 // ===================================================================================
-// 4. API ENDPOINTS
+// 3.1 AUTHENTICATION HELPERS
 // ===================================================================================
 
 /**
- * GET /api/health
+ * User Roles
  * 
- * WHY THIS CHANGE: Health check endpoints are essential for:
- * - Monitoring service status
- * - Load balancers to check if server is alive
- * - Deployment platforms to verify successful deployment
+ * - diner: makes and manages their own reservations
+ * - owner: manages the restaurants they own and those restaurants' reservations
+ * - admin: can do anything
+ */
+const USER_ROLES = ['diner', 'owner', 'admin'];
+
+// How long a login token stays valid. Configurable via SESSION_TTL_HOURS.
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+/**
+ * Helper Function: Hash Password
  * 
- * Returns server status and basic information.
+ * Uses scrypt with a random salt. The result is stored as "salt:hash" (hex).
  */
-app.get('/api/health', (req, res) => {
-    res.status(200).json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        environment: process.env.NODE_ENV || 'development'
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `${salt}:${hash}`;
+}
+
+// Checks a password against a stored "salt:hash" value in constant time
+function verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Hashes a login token before it is stored or looked up
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Helper Function: Create Session
+ * 
+ * Issues a new random login token for the user.
+ * 
+ * @param {Object} user - Stored user
+ * @returns {Object} - { token, expiresAt }
+ */
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    sessionRepository.create({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        createdAt: new Date().toISOString(),
+        expiresAt
     });
-});
+    return { token, expiresAt };
+}
 
 /**
- * GET /api/restaurants
+ * Helper Function: Find User by Email
  * 
- * RETURNS: Array of all restaurants
+ * Emails are compared case-insensitively.
+ */
+function findUserByEmail(email) {
+    const normalized = String(email).trim().toLowerCase();
+    return userRepository.findAll(user => user.email === normalized)[0];
+}
+
+/**
+ * Helper Function: Transform User to Response Format
  * 
- * IMPROVEMENTS:
- * - Changed route to /api/restaurants for better REST API conventions
- * - Added error handling
- * - Returns proper HTTP status codes
- * - Can filter by cuisine via query parameter (future enhancement ready)
+ * Strips the password hash from a stored user.
  */
-app.get('/api/restaurants', (req, res) => {
-    try {
-        let filteredData = restaurantsData;
+function transformUserToResponseFormat(user) {
+    return {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        createdAt: user.createdAt
+    };
+}
+
+// An admin can manage any restaurant; an owner only the restaurants they own
+function canManageRestaurant(user, restaurant) {
+    if (!user || !restaurant) return false;
+    return user.role === 'admin' || (user.role === 'owner' && restaurant.ownerId === user.id);
+}
+
+// A reservation can be managed by its diner, the restaurant's owner or an admin
+function canAccessReservation(user, reservation) {
+    if (!user) return false;
+    if (user.role === 'admin' || reservation.userId === user.id) return true;
+    return canManageRestaurant(user, restaurantRepository.findById(reservation.restaurantId));
+}
+
+/**
+ * Initial Admin Account
+ * 
+ * Admins cannot sign themselves up, so the first admin is created on startup
+ * from the ADMIN_EMAIL and ADMIN_PASSWORD environment variables (if no admin
+ * exists yet).
+ */
+function ensureAdminAccount() {
+    if (userRepository.findAll(user => user.role === 'admin').length > 0) {
+        return;
+    }
+    
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+        console.warn('⚠️  No admin account exists. Set ADMIN_EMAIL and ADMIN_PASSWORD to create one.');
+        return;
+    }
+    
+    userRepository.create({
+        name: 'Administrator',
+        email: ADMIN_EMAIL.trim().toLowerCase(),
+        role: 'admin',
+        passwordHash: hashPassword(ADMIN_PASSWORD),
+        createdAt: new Date().toISOString()
+    });
+    console.log(`👤 Created admin account ${ADMIN_EMAIL}`);
+}
+ensureAdminAccount();
+
+/**
+ * Reservation Status Lifecycle
+ *
+ * pending → confirmed → seated → completed
+ * pending/confirmed → cancelled, confirmed → no-show
+ *
+ * Only active reservations hold seats; moving to any other status frees them.
+ */
+const RESERVATION_STATUSES = ['pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no-show'];
+const ACTIVE_RESERVATION_STATUSES = ['pending', 'confirmed', 'seated'];
+const RESERVATION_STATUS_TRANSITIONS = {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['seated', 'cancelled', 'no-show'],
+    'seated': ['completed'],
+    'completed': [],
+    'cancelled': [],
+    'no-show': []
+};
+
+/**
+ * Helper Function: Parse Address String to Structured Format
+ * 
+ * Converts address string like "HaNamal St 12, Tel Aviv" to structured format
+ * { street: "HaNamal St", number: "12", city: "Tel Aviv" }
+ */
+function parseAddress(addressString) {
+    // Try to extract street number and city
+    const parts = addressString.split(',').map(s => s.trim());
+    if (parts.length >= 2) {
+        const city = parts[parts.length - 1];
+        const streetPart = parts.slice(0, -1).join(', ');
+        // Try to extract number from street part
+        const numberMatch = streetPart.match(/(\d+)/);
+        const number = numberMatch ? numberMatch[1] : '';
+        const street = streetPart.replace(/\d+/g, '').trim();
+        return { street, number, city };
+    }
+    // Fallback: if no comma, try to extract number
+    const numberMatch = addressString.match(/(\d+)/);
+    const number = numberMatch ? numberMatch[1] : '';
+    const street = addressString.replace(/\d+/g, '').trim();
+    return { street, number, city: '' };
+}
+
+/**
+ * Opening Hours Text
+ * 
+ * DAY_NAME_ALIASES: English and Hebrew day names (and Hebrew day letters, א' to ש')
+ *   mapped to their index in DAYS_OF_WEEK
+ * EVERY_DAY_PHRASES / CLOSED_WORDS: words parseOpeningHours reads as all days / closed
+ */
+const DAY_NAME_ALIASES = {
+    su: 0, sun: 0, sunday: 0,
+    mo: 1, mon: 1, monday: 1,
+    tu: 2, tue: 2, tues: 2, tuesday: 2,
+    we: 3, wed: 3, weds: 3, wednesday: 3,
+    th: 4, thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fr: 5, fri: 5, friday: 5,
+    sa: 6, sat: 6, saturday: 6,
+    'ראשון': 0, 'שני': 1, 'שלישי': 2, 'רביעי': 3, 'חמישי': 4, 'שישי': 5, 'שבת': 6,
+    'א': 0, 'ב': 1, 'ג': 2, 'ד': 3, 'ה': 4, 'ו': 5, 'ש': 6
+};
+const EVERY_DAY_PHRASES = ['daily', 'every day', 'everyday', 'all week', 'כל יום', 'כל הימים', 'כל השבוע'];
+const CLOSED_WORDS = ['closed', 'סגור', 'סגורה'];
+
+// One time range: 24h ("19:00-02:00", "19-23") or 12h ("7pm-11pm", "7:30 PM - 11", "7-11pm")
+const TIME_RANGE_REGEX = /(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?m\.?)?\s*-\s*(\d{1,2})(?:[:.](\d{2}))?\s*(?:([ap])\.?m\.?)?/g;
+
+// Minutes since midnight of hour/minutes/am-pm as written, or null when it is not a time
+function readClockTime(hourText, minuteText = '00', meridiem) {
+    const hour = parseInt(hourText);
+    const minutes = parseInt(minuteText);
+    if (minutes > 59) return null;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        return ((hour % 12) + (meridiem === 'p' ? 12 : 0)) * 60 + minutes;
+    }
+    if (hour > 24 || (hour === 24 && minutes > 0)) return null;
+    return (hour % 24) * 60 + minutes;
+}
+
+/**
+ * Helper Function: Read Time Ranges
+ * 
+ * A start time without am/pm takes the end's ("7-11pm" is 19:00-23:00), unless
+ * that would put it after the end ("11-3pm" is 11:00-15:00).
+ * 
+ * @param {string} text - e.g. "12:00-15:00 19:00-23:00" or "7pm-11pm"
+ * @returns {Object} - { windows: [{ open, close }], rest: string } - rest is the text that was not a time range
+ */
+function readTimeRanges(text) {
+    const windows = [];
+    const rest = text.replace(TIME_RANGE_REGEX, (match, openHour, openMinutes, openMeridiem, closeHour, closeMinutes, closeMeridiem) => {
+        const close = readClockTime(closeHour, closeMinutes, closeMeridiem);
+        let open = readClockTime(openHour, openMinutes, openMeridiem);
+        if (!openMeridiem && closeMeridiem && parseInt(openHour) <= 12) {
+            open = readClockTime(openHour, openMinutes, closeMeridiem);
+            if (open !== null && close !== null && open > close) {
+                open = readClockTime(openHour, openMinutes, closeMeridiem === 'p' ? 'a' : 'p');
+            }
+        }
+        if (open === null || close === null) return match; // Left in rest, and reported
+        windows.push({ open: minutesToTime(open), close: minutesToTime(close) });
+        return ' ';
+    });
+    return { windows, rest };
+}
+
+/**
+ * Helper Function: Read Day Names
+ * 
+ * Days can be listed ("Mon Wed", "Mon & Wed", "ראשון ושני") and given as ranges,
+ * which may run past the end of the week ("Fri-Sun", "ה'-א'").
+ * 
+ * @param {string} text - The days part of an opening hours entry, normalized by parseOpeningHours
+ * @returns {Object} - { days: number[], unknown: string[] } - indexes in DAYS_OF_WEEK, and unknown words
+ */
+function readDayNames(text) {
+    if (EVERY_DAY_PHRASES.includes(text)) {
+        return { days: DAYS_OF_WEEK.map((day, index) => index), unknown: [] };
+    }
+    
+    // "יום שני", "ימים א-ה"
+    const names = text
+        .replace(/(^|[\s-])(?:ימים|ימי|יום)(?=[\s-]|$)/g, '$1')
+        .replace(/\s*-\s*/g, '-');
+    // "ושני" is "and Monday", but "ו" alone is Friday
+    const toIndex = word => DAY_NAME_ALIASES[word] ??
+        (word.length > 1 && word.startsWith('ו') ? DAY_NAME_ALIASES[word.slice(1)] : undefined);
+    const days = [];
+    const unknown = [];
+    
+    names.split(/[\s&/+]+|\band\b/).filter(Boolean).forEach(item => {
+        const [first, last = first, ...extra] = item.split('-');
+        const start = toIndex(first);
+        const end = toIndex(last);
+        if (start === undefined || end === undefined || extra.length > 0) {
+            unknown.push(item);
+            return;
+        }
+        for (let offset = 0; offset <= (end - start + 7) % 7; offset++) {
+            days.push((start + offset) % 7);
+        }
+    });
+    return { days, unknown };
+}
+
+/**
+ * Helper Function: Parse Hours String to Structured Format
+ * 
+ * Converts opening hours text to a structured openingHours object. Entries are
+ * separated by commas, semicolons or new lines; each is days, an optional colon,
+ * then time ranges or "closed":
+ *   "Mon-Fri: 12:00-23:00, Sat: closed"
+ *   "Sun-Thu 12:00-15:00 19:00-23:00; Fri-Sat 7pm-2am"
+ *   "א'-ה': 12:00-23:00, שישי: 12:00-15:00, שבת: סגור"
+ *   "Daily 08:00-22:00"
+ * - An entry without days adds its windows to the days before it ("Fri: 12:00-15:00, 19:00-02:00"),
+ *   and days without hours get the hours of the next entry ("Mon, Wed: 12:00-15:00").
+ * - Text that is only times applies to every day. Days that are not mentioned are closed.
+ * - Day ranges can wrap around the end of the week ("Fri-Sun").
+ * 
+ * @param {string} hoursString - Opening hours text
+ * @returns {Object} - { openingHours: Object, errors: string[] } - errors name the parts that could not be read
+ */
+function parseOpeningHours(hoursString) {
+    const openingHours = Object.fromEntries(DAYS_OF_WEEK.map(day => [day, []]));
+    const errors = [];
+    const normalize = text => text
+        .toLowerCase()
+        .replace(/[\u2010-\u2015\u2212]/g, '-')   // Dashes
+        .replace(/['"`\u2019\u05F3\u05F4]/g, '') // Quotes, as in Hebrew abbreviations (א׳)
+        .replace(/\s+(?:to|until|עד)\s+/g, '-')
+        .replace(/\s*-\s*/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+    
+    const entries = String(hoursString).split(/[,;\n|]+/)
+        .map(original => ({ original: original.trim(), entry: normalize(original) }))
+        .filter(({ entry }) => entry);
+    if (entries.length === 0) {
+        return { openingHours, errors: ['Opening hours text is empty'] };
+    }
+    
+    let days = [];
+    let pendingDays = [];
+    entries.forEach(({ original, entry }, index) => {
+        // The days come before the first time or "closed" (or before the colon, if there is no time)
+        let timesAt = entry.search(new RegExp(`\\d|${CLOSED_WORDS.join('|')}`));
+        if (timesAt === -1 && entry.includes(':')) {
+            timesAt = entry.indexOf(':') + 1;
+        }
+        const dayPart = (timesAt === -1 ? entry : entry.slice(0, timesAt)).replace(/[:\s]+$/, '').trim();
+        const timePart = timesAt === -1 ? '' : entry.slice(timesAt).trim();
         
-        // 1. Extract search parameters from query string
-        const { cuisine, date, time, budget, location, rating, numGuests } = req.query;
+        if (dayPart) {
+            const parsed = readDayNames(dayPart);
+            if (parsed.unknown.length > 0) {
+                errors.push(`Opening hours: unknown day "${parsed.unknown.join(' ')}" in "${original}"`);
+                return;
+            }
+            pendingDays.push(...parsed.days);
+        }
+        if (!timePart) return; // Days without hours wait for the next entry
         
-        // 2. Filter by cuisine type
-        if (cuisine) {
-            filteredData = filteredData.filter(restaurant => 
-                restaurant.cuisine.toLowerCase().includes(cuisine.toLowerCase())
-            );
+        if (pendingDays.length > 0) {
+            days = pendingDays;
+            pendingDays = [];
+        } else if (index === 0) {
+            days = DAYS_OF_WEEK.map((day, dayIndex) => dayIndex);
+        } else if (dayPart) {
+            days = [];
         }
         
-        // 3. Filter by availability (date and time) - critical filter
-        if (date && time) {
-            // Validate date format and check if not in past
-            const dateValidation = validateDate(date);
-            if (!dateValidation.isValid) {
+        if (CLOSED_WORDS.includes(timePart)) {
+            days.forEach(day => {
+                openingHours[DAYS_OF_WEEK[day]] = [];
+            });
+            return;
+        }
+        
+        const { windows, rest } = readTimeRanges(timePart);
+        if (windows.length === 0 || !/^(?:[\s&+-]|and|ו)*$/.test(rest)) {
+            errors.push(`Opening hours: could not read "${original}" (e.g. "Mon-Fri: 12:00-23:00")`);
+            return;
+        }
+        days.forEach(day => {
+            openingHours[DAYS_OF_WEEK[day]].push(...windows.map(window => ({ ...window })));
+        });
+    });
+    
+    if (pendingDays.length > 0) {
+        errors.push(`Opening hours: no hours given for ${[...new Set(pendingDays)].map(day => DAYS_OF_WEEK[day]).join(', ')}`);
+    }
+    
+    // Overlapping windows on one day (e.g. the same day in two entries)
+    if (errors.length === 0) {
+        errors.push(...validateOpeningHours(openingHours));
+    }
+    
+    // Days that were not mentioned stay closed (empty list)
+    return { openingHours: normalizeOpeningHours(openingHours), errors };
+}
+
+/**
+ * Helper Function: Format Opening Hours
+ * 
+ * The opposite of parseOpeningHours: consecutive days with the same windows are
+ * joined into a range, which may wrap around the end of the week.
+ *   "Mon-Fri: 12:00-23:00, Sat-Sun: closed"
+ *   "Sun-Thu: 12:00-23:00, Fri: 12:00-15:00 19:00-02:00, Sat: closed"
+ * 
+ * @param {Object} openingHours - openingHours in any supported format
+ * @returns {string}
+ */
+function formatOpeningHours(openingHours) {
+    const normalized = normalizeOpeningHours(openingHours);
+    const week = DAYS_OF_WEEK.map(day => ({
+        day: day.slice(0, 3),
+        hours: normalized[day].map(window => `${window.open}-${window.close}`).join(' ') || 'closed'
+    }));
+    
+    // Start at a day whose hours differ from the day before, so no group is split
+    const start = week.findIndex((entry, index) => entry.hours !== week[(index + 6) % 7].hours);
+    if (start === -1) {
+        return `Daily: ${week[0].hours}`;
+    }
+    
+    const groups = [];
+    for (let offset = 0; offset < 7; offset++) {
+        const entry = week[(start + offset) % 7];
+        const previous = groups[groups.length - 1];
+        if (previous && previous.hours === entry.hours) {
+            previous.last = entry.day;
+        } else {
+            groups.push({ first: entry.day, last: entry.day, hours: entry.hours });
+        }
+    }
+    return groups.map(group =>
+        `${group.first === group.last ? group.first : `${group.first}-${group.last}`}: ${group.hours}`
+    ).join(', ');
+}
+
+/**
+ * Helper Function: Transform Restaurant Data to Frontend Format
+ * 
+ * Converts backend format to match frontend Restaurant interface
+ */
+function transformRestaurantToFrontendFormat(restaurant) {
+    return {
+        id: String(restaurant.id),
+        name: restaurant.name,
+        cuisine: restaurant.cuisine,
+        address: typeof restaurant.address === 'string' 
+            ? parseAddress(restaurant.address)
+            : restaurant.address,
+        latitude: restaurant.latitude ?? null,
+        longitude: restaurant.longitude ?? null,
+        timezone: getRestaurantTimezone(restaurant),
+        rating: restaurant.rating,
+        reviewCount: restaurant.reviewCount || 0,
+        priceRange: restaurant.price_range || restaurant.priceRange,
+        imageUrl: restaurant.imageUrl,
+        phoneNumber: restaurant.phoneNumber,
+        website: restaurant.website,
+        description: restaurant.description,
+        openingHours: restaurant.openingHours 
+            ? normalizeOpeningHours(restaurant.openingHours)
+            : (restaurant.hours_of_operation 
+                ? parseOpeningHours(restaurant.hours_of_operation).openingHours
+                : undefined),
+        dietaryOptions: restaurant.dietaryOptions,
+        features: restaurant.features,
+        specialHours: restaurant.specialHours || [],
+        ownerId: restaurant.ownerId ?? null,
+        maxGuests: restaurant.maxGuests || 50, // Default to 50 if not set
+        tables: getRestaurantTables(restaurant),
+        seatingDuration: getSeatingDuration(restaurant)
+    };
+}
+
+/**
+ * Helper Function: Generate Next ID
+ * 
+ * WHY THIS CHANGE: Needed for POST requests to create new restaurants and reservations.
+ * In a real database, the ID would be auto-generated.
+ * 
+ * Uses a per-collection counter kept in the data store, so IDs of deleted
+ * records are never handed out again.
+ * 
+ * @param {string} collection - Name of the collection (e.g. 'restaurants')
+ */
+function getNextId(collection) {
+    const sequences = dataStore.meta.sequences;
+    if (sequences[collection] === undefined) {
+        const ids = dataStore[collection].map(r => typeof r.id === 'string' ? parseInt(r.id) : r.id);
+        sequences[collection] = ids.length === 0 ? 0 : Math.max(...ids);
+    }
+    sequences[collection] += 1;
+    return sequences[collection];
+}
+
+// Error code (see ERROR_CODES) of each reason a slot cannot be booked
+const SLOT_ERROR_CODES = { passed: 'SLOT_PASSED', closed: 'RESTAURANT_CLOSED', full: 'SLOT_FULL' };
+
+/**
+ * Helper Function: Validate Reservation Slot
+ * 
+ * Checks that the requested time is still ahead (in the restaurant's timezone),
+ * that the restaurant is open then and that the seating has room for the party.
+ * Shared by reservation create and modify.
+ * 
+ * @param {Object} restaurant - Restaurant object
+ * @param {Object} slot - { date, time, numGuests, seatingArea? } - with a seatingArea, only its tables are used
+ * @param {number} [excludeReservationId] - Reservation being modified, so its own seats are not counted
+ * @returns {Object} - { isValid: boolean, tableIds?: string[], reason?: 'passed'|'closed'|'full', error?: string }
+ *                     tableIds are the tables the party would be seated at
+ */
+function validateReservationSlot(restaurant, { date, time, numGuests, seatingArea }, excludeReservationId) {
+    // Same-day bookings: the time must still be ahead in the restaurant's timezone
+    if (hasSlotPassed(restaurant, date, time)) {
+        return {
+            isValid: false,
+            reason: 'passed',
+            error: 'The requested time has already passed'
+        };
+    }
+    
+    if (!isRestaurantOpen(restaurant, date, time)) {
+        return {
+            isValid: false,
+            reason: 'closed',
+            error: 'Restaurant is not open at the requested date and time'
+        };
+    }
+    
+    const interval = getBookingInterval(date, time, getSeatingDuration(restaurant));
+    const freeTables = inSeatingArea(getFreeTables(restaurant, interval, excludeReservationId), seatingArea);
+    const tables = findBestTables(freeTables, numGuests);
+    if (!tables) {
+        return {
+            isValid: false,
+            reason: 'full',
+            error: `Not enough capacity${seatingArea ? ` in the ${seatingArea} area` : ''}. ` +
+                `Available: ${getLargestParty(freeTables)}, Requested: ${numGuests}`
+        };
+    }
+    
+    return { isValid: true, tableIds: tables.map(table => table.id) };
+}
+
+/**
+ * Reservation Preferences
+ * 
+ * Optional requests a diner can add to a booking (and to a waitlist entry):
+ * - seatingArea: one of TABLE_AREAS; the party is only seated at tables in that area
+ * - accessibility: needs from ACCESSIBILITY_NEEDS, each offered only by restaurants
+ *   with the matching feature
+ * - occasion: one of OCCASIONS, so the restaurant can prepare (e.g. a birthday cake)
+ * - notes: free text for the restaurant
+ */
+const ACCESSIBILITY_NEEDS = {
+    'wheelchair': 'wheelchair accessible',
+    'high chair': 'high chairs'
+};
+const OCCASIONS = ['birthday', 'anniversary', 'date', 'business', 'celebration'];
+const MAX_RESERVATION_NOTES_LENGTH = 500;
+
+// Stored on reservations and waitlist entries that were made without preferences
+const DEFAULT_RESERVATION_PREFERENCES = { seatingArea: null, accessibility: [], occasion: null, notes: null };
+
+/**
+ * Helper Function: Validate Reservation Preferences
+ * 
+ * Checks the preference fields present in a request body against what the
+ * restaurant offers; their formats are checked by RESERVATION_PREFERENCES_SCHEMA.
+ * A field sent as null (or '') clears it.
+ * 
+ * @param {Object} restaurant - Restaurant being booked
+ * @param {Object} body - Request body
+ * @returns {Object} - { errors: [{ field, message }], value: Object } - value holds the normalized fields that were sent
+ */
+function validateReservationPreferences(restaurant, body) {
+    const errors = [];
+    const value = {};
+    const { seatingArea, accessibility, occasion, notes } = body;
+    
+    if (seatingArea !== undefined) {
+        if (seatingArea && !getRestaurantAreas(restaurant).includes(seatingArea)) {
+            errors.push({ field: 'seatingArea', message: `This restaurant has no ${seatingArea} seating` });
+        } else {
+            value.seatingArea = seatingArea || null;
+        }
+    }
+    
+    if (accessibility !== undefined) {
+        const needs = accessibility || [];
+        const unavailable = needs.filter(need => !hasTags(restaurant.features, [ACCESSIBILITY_NEEDS[need]], 'all'));
+        if (unavailable.length > 0) {
+            errors.push({ field: 'accessibility', message: `This restaurant does not offer: ${unavailable.join(', ')}` });
+        } else {
+            value.accessibility = [...new Set(needs)];
+        }
+    }
+    
+    if (occasion !== undefined) {
+        value.occasion = occasion || null;
+    }
+    
+    if (notes !== undefined) {
+        value.notes = notes && notes.trim() ? notes.trim() : null;
+    }
+    
+    return { errors, value };
+}
+
+/**
+ * Availability Settings
+ * 
+ * SLOT_INTERVAL_MINUTES: spacing between bookable start times (e.g. 12:00, 12:15...)
+ * ALTERNATIVES_WINDOW_MINUTES: how far from the requested time (both ways) to look
+ * for alternatives on the same day
+ * ALTERNATIVES_SEARCH_DAYS: how many following days to check for the next open day
+ */
+const SLOT_INTERVAL_MINUTES = 15;
+const ALTERNATIVES_WINDOW_MINUTES = 120;
+const ALTERNATIVES_SEARCH_DAYS = 14;
+const MAX_SAME_DAY_ALTERNATIVES = 4;
+
+// Converts minutes since midnight to "HH:MM"
+function minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+// Returns the date (YYYY-MM-DD) a number of days after the given date
+function addDays(date, days) {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Helper Function: Get Bookable Slots
+ * 
+ * Lists every start time on the given date (every SLOT_INTERVAL_MINUTES) that
+ * has not passed yet, at which the restaurant is open and has room for the party.
+ * 
+ * @param {Object} restaurant - Restaurant object
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} numGuests - Party size
+ * @param {number} [excludeReservationId] - Reservation being modified, so its own seats are not counted
+ * @param {string} [seatingArea] - Only count tables in this area
+ * @param {Object[]} [bookings] - The restaurant's active bookings, when already loaded
+ * @returns {Object[]} - [{ time, availableCapacity }] in chronological order
+ */
+function getBookableSlots(restaurant, date, numGuests, excludeReservationId, seatingArea,
+    bookings = getActiveBookings(restaurant, excludeReservationId)) {
+    const slots = [];
+    for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_INTERVAL_MINUTES) {
+        const time = minutesToTime(minutes);
+        if (hasSlotPassed(restaurant, date, time) || !isRestaurantOpen(restaurant, date, time)) {
+            continue;
+        }
+        const availableCapacity = getAvailableCapacity(restaurant, date, time, excludeReservationId, seatingArea, bookings);
+        if (availableCapacity >= numGuests) {
+            slots.push({ time, availableCapacity });
+        }
+    }
+    return slots;
+}
+
+/**
+ * Helper Function: Find Nearest Alternatives
+ * 
+ * Used when a requested slot cannot be booked. Suggests:
+ * 1. The closest bookable slots on the same day, within ±ALTERNATIVES_WINDOW_MINUTES
+ * 2. The same time on the next day it can be booked (or that day's closest slot)
+ * 
+ * @param {Object} restaurant - Restaurant object
+ * @param {Object} slot - { date, time, numGuests, seatingArea? } that was requested
+ * @param {number} [excludeReservationId] - Reservation being modified, so its own seats are not counted
+ * @returns {Object[]} - [{ date, time, availableCapacity }], same-day suggestions first
+ */
+function findNearestAlternatives(restaurant, { date, time, numGuests, seatingArea }, excludeReservationId) {
+    const requestedMinutes = timeToMinutes(time);
+    const distance = slot => Math.abs(timeToMinutes(slot.time) - requestedMinutes);
+    // Read once for every day searched
+    const bookings = getActiveBookings(restaurant, excludeReservationId);
+    
+    const sameDay = getBookableSlots(restaurant, date, numGuests, excludeReservationId, seatingArea, bookings)
+        .filter(slot => slot.time !== time && distance(slot) <= ALTERNATIVES_WINDOW_MINUTES)
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, MAX_SAME_DAY_ALTERNATIVES)
+        .map(slot => ({ date, ...slot }));
+    
+    const alternatives = [...sameDay];
+    
+    for (let day = 1; day <= ALTERNATIVES_SEARCH_DAYS; day++) {
+        const nextDate = addDays(date, day);
+        const slots = getBookableSlots(restaurant, nextDate, numGuests, excludeReservationId, seatingArea, bookings);
+        if (slots.length > 0) {
+            const closest = slots.find(slot => slot.time === time) ||
+                [...slots].sort((a, b) => distance(a) - distance(b))[0];
+            alternatives.push({ date: nextDate, ...closest });
+            break;
+        }
+    }
+    
+    return alternatives;
+}
+
+/**
+ * Helper Function: Transform Reservation to Response Format
+ * 
+ * Adds the restaurant name to a stored reservation. Pass includeRestaurant to
+ * embed the full restaurant (frontend format) as well.
+ */
+function transformReservationToResponseFormat(reservation, includeRestaurant = false) {
+    const restaurant = restaurantRepository.findById(reservation.restaurantId);
+    return {
+        ...reservation,
+        restaurantName: restaurant ? restaurant.name : null,
+        ...(includeRestaurant && restaurant && {
+            restaurant: transformRestaurantToFrontendFormat(restaurant)
+        })
+    };
+}
+
+/**
+ * Calendar Export (iCalendar, RFC 5545)
+ * 
+ * A reservation is exported as one VEVENT. Its UID stays the same for the life of
+ * the reservation, so importing the file again after a change or a cancellation
+ * updates (or cancels) the event already in the calendar instead of adding one.
+ */
+const ICS_PRODUCT_ID = '-//Dining Match//Reservations//EN';
+const ICS_UID_DOMAIN = 'dining-match.local';
+
+// Escapes text values: backslash, semicolon, comma and newlines
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Folds a content line into pieces of at most 75 octets (continuations start with a space)
+function foldIcsLine(line) {
+    const pieces = [];
+    let current = '';
+    for (const char of line) {
+        const limit = pieces.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            pieces.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    pieces.push(current);
+    return pieces.join('\r\n ');
+}
+
+// Revision number of the reservation's calendar event: goes up whenever its
+// date, time or status changes, so calendars replace the copy they already have
+function nextCalendarSequence(reservation, changes) {
+    const changed = ['date', 'time', 'status'].some(field =>
+        changes[field] !== undefined && changes[field] !== reservation[field]);
+    return (reservation.calendarSequence ?? 0) + (changed ? 1 : 0);
+}
+
+// 2026-10-20T10:00:00.000Z -> 20261020T100000Z
+function formatIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Helper Function: Build Reservation Calendar
+ * 
+ * Times are written in UTC, converted from the restaurant's local time, so every
+ * calendar shows the right time without needing timezone definitions. The event
+ * lasts the reservation's seating duration.
+ * 
+ * SEQUENCE is the reservation's calendarSequence (see nextCalendarSequence).
+ * A cancelled reservation is still published, with STATUS:CANCELLED: METHOD:CANCEL
+ * would need an ORGANIZER, and calendar apps reject or ignore it without one.
+ * 
+ * @param {Object} reservation - Stored reservation
+ * @param {Object|null} restaurant - Its restaurant
+ * @returns {string} - The .ics file content (CRLF line endings)
+ */
+function buildReservationCalendar(reservation, restaurant) {
+    const timezone = restaurant ? getRestaurantTimezone(restaurant) : DEFAULT_TIMEZONE;
+    const start = getUtcDate(timezone, reservation.date, reservation.time);
+    const duration = reservation.duration || (restaurant ? getSeatingDuration(restaurant) : DEFAULT_SEATING_DURATION_MINUTES);
+    const end = new Date(start.getTime() + duration * 60000);
+    const cancelled = reservation.status === 'cancelled';
+    const restaurantName = restaurant ? restaurant.name : 'Restaurant';
+    
+    let location = null;
+    if (restaurant && restaurant.address) {
+        const address = typeof restaurant.address === 'string' ? parseAddress(restaurant.address) : restaurant.address;
+        const street = [address.street, address.number].filter(Boolean).join(' ');
+        location = [street, address.city].filter(Boolean).join(', ');
+    }
+    
+    const description = [
+        `Reservation number: ${reservation.id}`,
+        `Guests: ${reservation.numGuests}`,
+        reservation.seatingArea && `Seating area: ${reservation.seatingArea}`,
+        reservation.occasion && `Occasion: ${reservation.occasion}`,
+        reservation.notes && `Notes: ${reservation.notes}`,
+        restaurant && restaurant.phoneNumber && `Restaurant phone: ${restaurant.phoneNumber}`
+    ].filter(Boolean).join('\n');
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:reservation-${reservation.id}@${ICS_UID_DOMAIN}`,
+        `SEQUENCE:${reservation.calendarSequence ?? 0}`,
+        `DTSTAMP:${formatIcsDateTime(new Date())}`,
+        `CREATED:${formatIcsDateTime(new Date(reservation.createdAt))}`,
+        `LAST-MODIFIED:${formatIcsDateTime(new Date(reservation.updatedAt))}`,
+        `DTSTART:${formatIcsDateTime(start)}`,
+        `DTEND:${formatIcsDateTime(end)}`,
+        `SUMMARY:${escapeIcsText(`Reservation at ${restaurantName} (${reservation.numGuests} ${reservation.numGuests === 1 ? 'guest' : 'guests'})`)}`,
+        location && `LOCATION:${escapeIcsText(location)}`,
+        restaurant && hasCoordinates(restaurant) && `GEO:${restaurant.latitude};${restaurant.longitude}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        `STATUS:${cancelled ? 'CANCELLED' : reservation.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+    
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Waitlist
+ * 
+ * Diners can wait for a fully booked slot. Entries move from 'waiting' to:
+ * - 'promoted': seats were freed and a reservation was made for them
+ * - 'left': the diner left the waitlist
+ * - 'expired': the slot passed before seats were freed, or the restaurant was deleted
+ */
+const WAITLIST_STATUSES = ['waiting', 'promoted', 'left', 'expired'];
+
+/**
+ * Helper Function: Record Outbox Event
+ * 
+ * Stores an event for later delivery (see outboxRepository) and wakes the
+ * notification worker (see runNotificationWorker).
+ * 
+ * @param {string} type - e.g. 'waitlist.promoted'
+ * @param {Object} payload - Everything needed to deliver the event
+ */
+function recordOutboxEvent(type, payload) {
+    const event = outboxRepository.create({
+        type,
+        payload,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    });
+    console.log(`📬 Outbox event ${event.id}: ${type}`);
+    // Deliver right away instead of waiting for the next scheduled run
+    setImmediate(runNotificationWorker);
+    return event;
+}
+
+// 1-based place of a waiting entry among the entries waiting for the same slot
+function getWaitlistPosition(entry) {
+    return waitlistRepository.findAll(other =>
+        other.status === 'waiting' &&
+        other.restaurantId === entry.restaurantId &&
+        other.date === entry.date &&
+        other.time === entry.time &&
+        other.id <= entry.id
+    ).length;
+}
+
+/**
+ * Helper Function: Transform Waitlist Entry to Response Format
+ * 
+ * Adds the restaurant name and, while the entry is waiting, its position.
+ */
+function transformWaitlistEntryToResponseFormat(entry) {
+    const restaurant = restaurantRepository.findById(entry.restaurantId);
+    return {
+        ...entry,
+        restaurantName: restaurant ? restaurant.name : null,
+        position: entry.status === 'waiting' ? getWaitlistPosition(entry) : null
+    };
+}
+
+/**
+ * Helper Function: Promote Waitlist
+ * 
+ * Called whenever seats may have been freed at a restaurant (a reservation was
+ * cancelled or changed). Goes through the waiting entries in the order they
+ * joined and turns every one that now fits into a confirmed reservation, so a
+ * large party at the head of the list does not block smaller ones behind it.
+ * Each promotion records a 'waitlist.promoted' outbox event.
+ * 
+ * @param {number} restaurantId - Restaurant whose waitlist to check
+ * @returns {Object[]} - The reservations that were created
+ */
+function promoteWaitlist(restaurantId) {
+    const restaurant = restaurantRepository.findById(restaurantId);
+    if (!restaurant) {
+        return [];
+    }
+    
+    const created = [];
+    waitlistRepository
+        .findAll(entry => entry.restaurantId === restaurantId && entry.status === 'waiting')
+        .sort((a, b) => a.id - b.id)
+        .forEach(entry => {
+            const now = new Date().toISOString();
+            
+            if (hasSlotPassed(restaurant, entry.date, entry.time)) {
+                waitlistRepository.update(entry.id, { status: 'expired', updatedAt: now });
+                return;
+            }
+            const slotValidation = validateReservationSlot(restaurant, entry);
+            if (!slotValidation.isValid) {
+                return;
+            }
+            
+            const reservation = reservationRepository.create({
+                restaurantId,
+                userId: entry.userId,
+                date: entry.date,
+                time: entry.time,
+                numGuests: entry.numGuests,
+                duration: getSeatingDuration(restaurant),
+                tableIds: slotValidation.tableIds,
+                seatingArea: entry.seatingArea ?? null,
+                accessibility: entry.accessibility || [],
+                occasion: entry.occasion ?? null,
+                notes: entry.notes ?? null,
+                status: 'confirmed',
+                reminderSentAt: null,
+                calendarSequence: 0,
+                createdAt: now,
+                updatedAt: now
+            });
+            waitlistRepository.update(entry.id, {
+                status: 'promoted',
+                reservationId: reservation.id,
+                updatedAt: now
+            });
+            recordOutboxEvent('waitlist.promoted', {
+                waitlistId: entry.id,
+                reservationId: reservation.id,
+                userId: entry.userId,
+                restaurantId,
+                restaurantName: restaurant.name,
+                restaurantContacts: getRestaurantContacts(restaurant),
+                date: entry.date,
+                time: entry.time,
+                numGuests: entry.numGuests
+            });
+            created.push(reservation);
+        });
+    
+    return created;
+}
+
+/**
+ * Reviews
+ * 
+ * Diners review a restaurant once per completed reservation. A restaurant's
+ * rating and reviewCount are derived from its visible reviews and cannot be
+ * edited by hand. Without visible reviews, a restaurant is unrated (rating null).
+ */
+const MAX_REVIEW_TEXT_LENGTH = 2000;
+
+/**
+ * Helper Function: Update Restaurant Rating
+ * 
+ * Recomputes a restaurant's rating (average of its visible reviews, one decimal,
+ * or null without any) and reviewCount. Called whenever a review is added, hidden or shown again.
+ * 
+ * @param {number} restaurantId - Restaurant ID
+ */
+function updateRestaurantRating(restaurantId) {
+    const restaurant = restaurantRepository.findById(restaurantId);
+    if (!restaurant) {
+        return;
+    }
+    
+    const visible = reviewRepository.findAll(review => review.restaurantId === restaurantId && !review.hidden);
+    restaurantRepository.update(restaurantId, getReviewStats(visible));
+}
+
+// rating (one decimal, null when there are no reviews) and reviewCount of a restaurant's visible reviews
+function getReviewStats(visibleReviews) {
+    const average = visibleReviews.reduce((sum, review) => sum + review.rating, 0) / visibleReviews.length;
+    return {
+        rating: visibleReviews.length > 0 ? Math.round(average * 10) / 10 : null,
+        reviewCount: visibleReviews.length
+    };
+}
+
+// Adds the reviewer's name to a review
+function transformReviewToResponseFormat(review) {
+    const user = userRepository.findById(review.userId);
+    return {
+        ...review,
+        userName: user ? user.name : null
+    };
+}
+
+// Time of day as HH:MM (00:00 to 23:59)
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Helper Function: Validate Opening Hours
+ * 
+ * Each day must be a list of { open, close } windows (HH:MM) that do not overlap.
+ * The older single-window formats are accepted too and converted on save.
+ * 
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateOpeningHours(openingHours) {
+    if (typeof openingHours !== 'object' || Array.isArray(openingHours)) {
+        return ['Opening hours must be an object keyed by day of the week'];
+    }
+    
+    const errors = [];
+    Object.entries(openingHours).forEach(([day, dayHours]) => {
+        if (!DAYS_OF_WEEK.includes(day)) {
+            errors.push(`Opening hours: unknown day "${day}"`);
+            return;
+        }
+        if (!Array.isArray(dayHours) && (typeof dayHours !== 'object' || dayHours === null)) {
+            errors.push(`Opening hours for ${day} must be a list of { open, close } windows`);
+            return;
+        }
+        
+        const windows = Array.isArray(dayHours) ? dayHours : (dayHours.closed ? [] : [dayHours]);
+        const invalid = windows.some(window => !window || !TIME_REGEX.test(window.open || '') ||
+            !TIME_REGEX.test(window.close || '') || window.open === window.close);
+        if (invalid) {
+            errors.push(`Opening hours for ${day}: every window needs different open and close times (HH:MM)`);
+            return;
+        }
+        
+        // Windows of one day may not overlap; an overnight window runs until midnight on this day
+        const sorted = [...windows].sort((a, b) => a.open.localeCompare(b.open));
+        for (let i = 1; i < sorted.length; i++) {
+            const previous = sorted[i - 1];
+            if (isOvernightWindow(previous) || sorted[i].open < previous.close) {
+                errors.push(`Opening hours for ${day}: windows ${previous.open}-${previous.close} and ${sorted[i].open}-${sorted[i].close} overlap`);
+                break;
+            }
+        }
+    });
+    
+    return errors;
+}
+
+/**
+ * Helper Function: Validate Tables
+ * 
+ * Each table needs a unique id, a number of seats and an area (TABLE_AREAS).
+ * group is optional; tables with the same group can be combined.
+ * 
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+function validateTables(tables) {
+    if (!Array.isArray(tables) || tables.length === 0) {
+        return ['Tables must be a non-empty list of { id, seats, area, group }'];
+    }
+    
+    const errors = [];
+    const ids = new Set();
+    tables.forEach((table, index) => {
+        if (!table || typeof table !== 'object') {
+            errors.push(`Table ${index + 1} must be an object`);
+            return;
+        }
+        const id = typeof table.id === 'string' || typeof table.id === 'number' ? String(table.id).trim() : '';
+        if (!id) {
+            errors.push(`Table ${index + 1}: id is required`);
+        } else if (ids.has(id)) {
+            errors.push(`Table ${index + 1}: id "${id}" is used more than once`);
+        }
+        ids.add(id);
+        if (!Number.isInteger(table.seats) || table.seats < 1 || table.seats > MAX_TABLE_SEATS) {
+            errors.push(`Table ${index + 1}: seats must be a whole number between 1 and ${MAX_TABLE_SEATS}`);
+        }
+        if (table.area !== undefined && !TABLE_AREAS.includes(table.area)) {
+            errors.push(`Table ${index + 1}: area must be one of: ${TABLE_AREAS.join(', ')}`);
+        }
+        if (table.group !== undefined && table.group !== null &&
+            (typeof table.group !== 'string' || table.group.trim().length === 0)) {
+            errors.push(`Table ${index + 1}: group must be a non-empty string`);
+        }
+    });
+    
+    return errors;
+}
+
+// Stores tables in one shape: string ids, 'indoor' when no area is given, null when not combinable
+function normalizeTables(tables) {
+    return tables.map(table => ({
+        id: String(table.id).trim(),
+        seats: table.seats,
+        area: table.area || 'indoor',
+        group: table.group ? table.group.trim() : null
+    }));
+}
+
+/**
+ * Restaurant Import / Export
+ * 
+ * RESTAURANT_TRANSFER_FIELDS: columns of an export, and the fields an import reads
+ *   (in the frontend format, as POST /api/restaurants takes them). tables are JSON only.
+ * CSV_LIST_SEPARATOR: separates the items of dietaryOptions / features in a CSV cell
+ * MAX_IMPORT_ROWS: rows accepted by one import
+ */
+const RESTAURANT_TRANSFER_FIELDS = [
+    'name', 'cuisine', 'address', 'latitude', 'longitude', 'timezone', 'priceRange', 'openingHours',
+    'phoneNumber', 'website', 'description', 'imageUrl', 'dietaryOptions', 'features', 'maxGuests', 'ownerId', 'tables'
+];
+const CSV_RESTAURANT_FIELDS = RESTAURANT_TRANSFER_FIELDS.filter(field => field !== 'tables');
+const CSV_LIST_SEPARATOR = ';';
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Helper Function: Parse CSV
+ * 
+ * RFC 4180: fields may be quoted, with "" for a quote inside, and quoted fields
+ * may span lines. The first line holds the column names. Empty lines are skipped.
+ * 
+ * @param {string} text - CSV text
+ * @returns {Object} - { header: string[], rows: string[][] } or { error: string }
+ */
+function parseCsv(text) {
+    const lines = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            fields.push(field);
+            lines.push(fields);
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        return { error: 'CSV has a quoted field that is never closed' };
+    }
+    if (field !== '' || fields.length > 0) {
+        fields.push(field);
+        lines.push(fields);
+    }
+    
+    const nonEmpty = lines.filter(line => line.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { error: 'CSV is empty' };
+    }
+    return { header: nonEmpty[0].map(name => name.trim()), rows: nonEmpty.slice(1) };
+}
+
+// Quotes a CSV field when it holds a comma, a quote or a line break
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// openingHours as stored (lists of windows per day), from an object or from opening hours text
+function toOpeningHours(openingHours) {
+    return typeof openingHours === 'string'
+        ? parseOpeningHours(openingHours).openingHours
+        : normalizeOpeningHours(openingHours);
+}
+
+// The stored address as one line ("HaNamal St 12, Tel Aviv")
+function formatAddressLine(address) {
+    const structured = typeof address === 'string' ? parseAddress(address) : address;
+    const street = [structured.street, structured.number].filter(Boolean).join(' ');
+    return [street, structured.city].filter(Boolean).join(', ');
+}
+
+/**
+ * Helper Function: Restaurant Import Key
+ * 
+ * Imports update the restaurant with the same name and address instead of adding
+ * a copy. Both are compared without case and extra spaces, and the address is
+ * compared by its parts, so "HaNamal St 12, Tel Aviv" matches { street, number, city }.
+ */
+function getRestaurantImportKey(name, address) {
+    const simplify = text => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${simplify(name)}|${simplify(formatAddressLine(address))}`;
+}
+
+/**
+ * Helper Function: Normalize Import Row
+ * 
+ * Turns one CSV or JSON row into a restaurant for RESTAURANT_SCHEMA:
+ * empty cells are left out, numbers and lists are read from their text,
+ * an address string is split with parseAddress and an hours string
+ * ("Mon-Fri: 12:00-23:00") with parseOpeningHours. Fields that are not
+ * RESTAURANT_TRANSFER_FIELDS are errors.
+ * 
+ * @param {Object} row - { field: value }
+ * @returns {Object} - { restaurant: Object, errors: [{ field, message }] }
+ */
+function normalizeImportRow(row) {
+    const restaurant = {};
+    const errors = Object.keys(row)
+        .filter(field => !RESTAURANT_TRANSFER_FIELDS.includes(field))
+        .map(field => ({ field, message: `${field} is not an accepted field` }));
+    
+    RESTAURANT_TRANSFER_FIELDS.forEach(field => {
+        let value = row[field];
+        if (typeof value === 'string') value = value.trim();
+        if (value === undefined || value === null || value === '') return;
+        
+        if (['latitude', 'longitude', 'maxGuests', 'ownerId'].includes(field) && typeof value === 'string') {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                errors.push({ field, message: `${field} must be a number` });
+                return;
+            }
+            value = number;
+        } else if (['dietaryOptions', 'features'].includes(field) && typeof value === 'string') {
+            value = value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+        } else if (field === 'address' && typeof value === 'string') {
+            value = parseAddress(value);
+        } else if (field === 'openingHours' && typeof value === 'string') {
+            const parsed = parseOpeningHours(value);
+            if (parsed.errors.length > 0) {
+                errors.push(...parsed.errors.map(message => ({ field, message })));
+                return;
+            }
+            value = parsed.openingHours;
+        }
+        restaurant[field] = value;
+    });
+    
+    return { restaurant, errors };
+}
+
+/**
+ * Helper Function: Restaurant to Export Row
+ * 
+ * One restaurant in the import format, so an export can be imported again.
+ * For CSV, hours are written as text and lists are joined with CSV_LIST_SEPARATOR.
+ */
+function toRestaurantExportRow(restaurant, format) {
+    const transformed = transformRestaurantToFrontendFormat(restaurant);
+    const row = {};
+    RESTAURANT_TRANSFER_FIELDS.forEach(field => {
+        row[field] = transformed[field] ?? null;
+    });
+    row.address = formatAddressLine(transformed.address);
+    // Without a table inventory, maxGuests is the restaurant's own capacity
+    row.tables = Array.isArray(restaurant.tables) && restaurant.tables.length > 0 ? transformed.tables : null;
+    
+    if (format === 'csv') {
+        row.openingHours = transformed.openingHours ? formatOpeningHours(transformed.openingHours) : null;
+        row.dietaryOptions = (transformed.dietaryOptions || []).join(`${CSV_LIST_SEPARATOR} `);
+        row.features = (transformed.features || []).join(`${CSV_LIST_SEPARATOR} `);
+        delete row.tables;
+    }
+    return row;
+}
+
+/**
+ * Helper Function: Imported Restaurant to Stored Fields
+ * 
+ * The stored fields for a validated import row (see normalizeImportRow), in the
+ * format POST /api/restaurants stores. Only the row's own fields are included, so
+ * an update keeps the values of the cells that were left empty.
+ */
+function toStoredRestaurantFields(restaurant) {
+    const fields = {};
+    const copy = (from, to = from, convert = value => value) => {
+        if (restaurant[from] !== undefined) fields[to] = convert(restaurant[from]);
+    };
+    copy('name', 'name', name => name.trim());
+    copy('cuisine', 'cuisine', cuisine => cuisine.trim());
+    copy('address');
+    copy('latitude');
+    copy('longitude');
+    copy('timezone');
+    copy('priceRange', 'price_range');
+    copy('openingHours', 'openingHours', normalizeOpeningHours);
+    ['phoneNumber', 'website', 'description', 'imageUrl', 'dietaryOptions', 'features', 'maxGuests'].forEach(field => copy(field));
+    copy('tables', 'tables', normalizeTables);
+    return fields;
+}
+
+const MAX_SPECIAL_HOURS_DAYS = 366;
+
+/**
+ * Helper Function: Validate Special Hours
+ * 
+ * A special hours entry overrides the weekly openingHours for one date or a
+ * date range, either closing the restaurant all day or setting custom hours.
+ * The fields' formats are checked by SPECIAL_HOURS_SCHEMA; this checks them together.
+ * 
+ * Accepts { date } as a shorthand for a single day (startDate = endDate = date).
+ * 
+ * @param {Object} entry - { startDate, endDate } or { date }, plus { closed: true } or { open, close }, optional note
+ * @param {string} timezone - The restaurant's timezone (decides whether endDate is in the past)
+ * @returns {Object} - { isValid: boolean, errors: [{ field, message }], value?: Object } - value is the normalized entry
+ */
+function validateSpecialHours(entry, timezone) {
+    const errors = [];
+    const startDate = entry.date ?? entry.startDate;
+    const endDate = entry.date ?? entry.endDate ?? startDate;
+    const dateField = entry.date !== undefined ? 'date' : 'endDate';
+    
+    // The range may already have started (e.g. an ongoing renovation), but must not be over
+    if (!startDate) {
+        errors.push({ field: 'startDate', message: 'startDate (or date) is required' });
+    } else {
+        const endValidation = validateDate(endDate, timezone);
+        if (!endValidation.isValid) {
+            errors.push({ field: dateField, message: `${dateField}: ${endValidation.error}` });
+        } else if (endDate < startDate) {
+            errors.push({ field: 'endDate', message: 'endDate cannot be before startDate' });
+        } else if ((new Date(endDate) - new Date(startDate)) / 86400000 >= MAX_SPECIAL_HOURS_DAYS) {
+            errors.push({ field: 'endDate', message: `Special hours can cover at most ${MAX_SPECIAL_HOURS_DAYS} days` });
+        }
+    }
+    
+    const closed = entry.closed === true;
+    if (!closed) {
+        if (!entry.open || !entry.close) {
+            ['open', 'close'].filter(field => !entry[field]).forEach(field => {
+                errors.push({ field, message: `${field} is required (HH:MM) unless closed is true` });
+            });
+        } else if (entry.open === entry.close) {
+            errors.push({ field: 'close', message: 'open and close cannot be the same time' });
+        }
+    }
+    
+    if (errors.length > 0) {
+        return { isValid: false, errors };
+    }
+    
+    return {
+        isValid: true,
+        errors,
+        value: {
+            startDate,
+            endDate,
+            ...(closed ? { closed: true } : { open: entry.open, close: entry.close }),
+            note: entry.note ? entry.note.trim() : null
+        }
+    };
+}
+
+// Returns the entries of a special hours list whose date range overlaps the given one
+function findOverlappingSpecialHours(specialHours, { startDate, endDate }, excludeId) {
+    return specialHours.filter(entry =>
+        entry.id !== excludeId && entry.startDate <= endDate && startDate <= entry.endDate
+    );
+}
+
+/**
+ * Restaurant List Options
+ * 
+ * RESTAURANT_SORT_FIELDS: values accepted by ?sort= (prefix with "-" for descending);
+ *   "distance" needs lat/lng in the query
+ * MAX_CHEAPER_ALTERNATIVES: cheaper restaurants suggested when nothing is within budget
+ * DEFAULT_PAGE_LIMIT / MAX_PAGE_LIMIT: page size used by ?page= / ?limit=
+ * RESTAURANT_RESPONSE_FIELDS: fields that can be requested with ?fields=
+ */
+const RESTAURANT_SORT_FIELDS = ['rating', 'name', 'price', 'distance'];
+const MAX_CHEAPER_ALTERNATIVES = 5;
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+const RESTAURANT_RESPONSE_FIELDS = [
+    'id', 'name', 'cuisine', 'address', 'latitude', 'longitude', 'distance', 'timezone', 'rating', 'reviewCount', 'priceRange', 'imageUrl', 'phoneNumber',
+    'website', 'description', 'openingHours', 'specialHours', 'dietaryOptions', 'features', 'ownerId',
+    'maxGuests', 'tables', 'seatingDuration'
+];
+
+/**
+ * Helper Function: Parse Sort Parameter
+ * 
+ * @param {string} sort - e.g. "rating", "-rating", "name", "price"
+ * @returns {Object} - { isValid: boolean, field?: string, direction?: 1|-1, error?: string }
+ */
+function parseSortParam(sort) {
+    const descending = sort.startsWith('-');
+    const field = descending ? sort.slice(1) : sort;
+    
+    if (!RESTAURANT_SORT_FIELDS.includes(field)) {
+        return {
+            isValid: false,
+            error: `sort must be one of: ${RESTAURANT_SORT_FIELDS.map(f => `${f}, -${f}`).join(', ')}`
+        };
+    }
+    
+    return { isValid: true, field, direction: descending ? -1 : 1 };
+}
+
+/**
+ * Helper Function: Sort Restaurants
+ * 
+ * Returns a sorted copy. Restaurants without a value for the sort field always
+ * come last, and ties keep their original (ID) order.
+ * 
+ * @param {Object[]} restaurants - Restaurants in backend format
+ * @param {Object} sortOptions - { field, direction } from parseSortParam
+ */
+function sortRestaurants(restaurants, { field, direction }) {
+    const sortValue = restaurant => {
+        if (field === 'price') {
+            const priceRange = restaurant.price_range || restaurant.priceRange;
+            return priceRange ? priceRange.length : null;
+        }
+        if (field === 'name') {
+            return restaurant.name ? restaurant.name.toLowerCase() : null;
+        }
+        return restaurant[field] ?? null;
+    };
+    
+    return [...restaurants].sort((a, b) => {
+        const valueA = sortValue(a);
+        const valueB = sortValue(b);
+        if (valueA === valueB) return 0;
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+        return (valueA < valueB ? -1 : 1) * direction;
+    });
+}
+
+/**
+ * Helper Function: Parse Fields Parameter
+ * 
+ * @param {string} fields - Comma-separated field names, e.g. "name,rating"
+ * @returns {Object} - { isValid: boolean, fields?: string[], error?: string }
+ */
+function parseFieldsParam(fields) {
+    const requested = fields.split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = requested.filter(f => !RESTAURANT_RESPONSE_FIELDS.includes(f));
+    
+    if (unknown.length > 0) {
+        return {
+            isValid: false,
+            error: `Unknown fields: ${unknown.join(', ')}. Allowed: ${RESTAURANT_RESPONSE_FIELDS.join(', ')}`
+        };
+    }
+    
+    // The ID is always included so clients can fetch the full record later
+    return { isValid: true, fields: ['id', ...requested.filter(f => f !== 'id')] };
+}
+
+// Keeps only the given fields of an object
+function pickFields(object, fields) {
+    return Object.fromEntries(fields.map(field => [field, object[field]]));
+}
+
+/**
+ * Helper Function: Build Page Link
+ * 
+ * Returns the URL of another page of the current request, keeping every other
+ * query parameter (filters, sort, fields) as is.
+ */
+function buildPageLink(req, page, limit) {
+    const params = new URLSearchParams(req.query);
+    params.set('page', String(page));
+    params.set('limit', String(limit));
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+// ===================================================================================
+// 3.2 NOTIFICATIONS
+// ===================================================================================
+
+/**
+ * Notifications
+ * 
+ * Reservation changes are recorded as outbox events (see recordOutboxEvent). A
+ * background worker (runNotificationWorker) turns every event into one
+ * notification per recipient and channel, renders it from NOTIFICATION_TEMPLATES
+ * (Hebrew first, then English) and delivers it through the channel's transport.
+ * Every notification is stored, with its attempts and errors, in notificationRepository.
+ * 
+ * Channels and who gets them:
+ * - email: the diner, and the restaurant's owner
+ * - sms: the restaurant's phone number
+ * - webhook: NOTIFY_WEBHOOK_URL, when set (every event, as JSON)
+ * 
+ * Configuration (environment variables):
+ * - NOTIFY_EMAIL_TRANSPORT: console (default), file or smtp
+ * - NOTIFY_SMS_TRANSPORT: console (default) or file
+ * - NOTIFY_WEBHOOK_URL: where webhook notifications are POSTed
+ * - NOTIFY_FILE: file of the file transport (default data/notifications.log)
+ * - NOTIFY_FROM: sender address of emails
+ * - SMTP_HOST / SMTP_PORT: SMTP server of the smtp transport (default localhost:1025,
+ *   where local mail catchers like Mailpit or MailHog listen)
+ * - NOTIFY_INTERVAL_SECONDS: how often the worker runs (default 15)
+ * - NOTIFY_RETRY_BASE_SECONDS: when a failed delivery is first retried (default 30)
+ */
+const NOTIFY_EMAIL_TRANSPORT = process.env.NOTIFY_EMAIL_TRANSPORT || 'console';
+const NOTIFY_SMS_TRANSPORT = process.env.NOTIFY_SMS_TRANSPORT || 'console';
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL || null;
+const NOTIFY_FILE = process.env.NOTIFY_FILE || path.join(__dirname, 'data', 'notifications.log');
+const NOTIFY_FROM = process.env.NOTIFY_FROM || 'Dining Match <no-reply@dining-match.local>';
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT) || 1025;
+const NOTIFY_INTERVAL_SECONDS = parseInt(process.env.NOTIFY_INTERVAL_SECONDS) || 15;
+
+/**
+ * Delivery Retries
+ * 
+ * A failed delivery is tried again after NOTIFY_RETRY_BASE_SECONDS (default 30, can be
+ * set in the environment), then twice as long each time, up to MAX_NOTIFICATION_ATTEMPTS
+ * attempts in total. After that the notification stays 'failed' (an admin can retry it,
+ * see POST /api/notifications/:id/retry).
+ * 
+ * NOTIFY_TIMEOUT_MS: how long the smtp and webhook transports wait for an answer
+ * REMINDER_HOURS_BEFORE: when the reminder of a confirmed reservation is sent
+ */
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+const NOTIFY_RETRY_BASE_SECONDS = parseInt(process.env.NOTIFY_RETRY_BASE_SECONDS) || 30;
+const NOTIFY_TIMEOUT_MS = 10000;
+const REMINDER_HOURS_BEFORE = 24;
+
+// 'pending' (waiting for its next attempt), 'sent' or 'failed' (gave up)
+const NOTIFICATION_STATUSES = ['pending', 'sent', 'failed'];
+
+// "2026-10-20" as "20.10.2026" (he) or "Tue, Oct 20, 2026" (en)
+function formatNotificationDate(date, language) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(language === 'he' ? 'he-IL' : 'en-US', {
+        timeZone: 'UTC',
+        ...(language === 'en' && { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+    });
+}
+
+function formatGuests(numGuests, language) {
+    if (language === 'he') {
+        return numGuests === 1 ? 'סועד אחד' : `${numGuests} סועדים`;
+    }
+    return numGuests === 1 ? '1 guest' : `${numGuests} guests`;
+}
+
+// One line with the restaurant, date, time and party size
+function describeBooking(data, language) {
+    return `${data.restaurantName}, ${formatNotificationDate(data.date, language)} ${data.time}, ${formatGuests(data.numGuests, language)}`;
+}
+
+/**
+ * Notification Templates
+ * 
+ * For every event type and audience ('diner' or 'restaurant'), a Hebrew and an
+ * English template. Each gets the event payload (plus dinerName) and returns
+ * { subject, body }. An audience without a template gets no notification.
+ * SMS only carries the subjects, so a subject has to make sense on its own.
+ */
+const NOTIFICATION_TEMPLATES = {
+    'reservation.created': {
+        diner: {
+            he: data => ({
+                subject: `ההזמנה אושרה: ${describeBooking(data, 'he')}`,
+                body: `שלום ${data.dinerName},\n\nההזמנה שלך ב-${data.restaurantName} אושרה.\nתאריך: ${formatNotificationDate(data.date, 'he')}\nשעה: ${data.time}\nמספר סועדים: ${data.numGuests}\nמספר הזמנה: ${data.reservationId}\n\nנשמח לראותך!`
+            }),
+            en: data => ({
+                subject: `Reservation confirmed: ${describeBooking(data, 'en')}`,
+                body: `Hi ${data.dinerName},\n\nYour reservation at ${data.restaurantName} is confirmed.\nDate: ${formatNotificationDate(data.date, 'en')}\nTime: ${data.time}\nGuests: ${data.numGuests}\nReservation number: ${data.reservationId}\n\nSee you soon!`
+            })
+        },
+        restaurant: {
+            he: data => ({
+                subject: `הזמנה חדשה: ${describeBooking(data, 'he')}`,
+                body: `הזמנה חדשה מאת ${data.dinerName}: ${describeBooking(data, 'he')}.${data.notes ? `\nהערות: ${data.notes}` : ''}\nמספר הזמנה: ${data.reservationId}`
+            }),
+            en: data => ({
+                subject: `New reservation: ${describeBooking(data, 'en')}`,
+                body: `New reservation by ${data.dinerName}: ${describeBooking(data, 'en')}.${data.notes ? `\nNotes: ${data.notes}` : ''}\nReservation number: ${data.reservationId}`
+            })
+        }
+    },
+    'reservation.modified': {
+        diner: {
+            he: data => ({
+                subject: `ההזמנה עודכנה: ${describeBooking(data, 'he')}`,
+                body: `שלום ${data.dinerName},\n\nההזמנה שלך ב-${data.restaurantName} עודכנה.\nלפני: ${describeBooking({ ...data, ...data.previous }, 'he')}\nעכשיו: ${describeBooking(data, 'he')}\nמספר הזמנה: ${data.reservationId}`
+            }),
+            en: data => ({
+                subject: `Reservation updated: ${describeBooking(data, 'en')}`,
+                body: `Hi ${data.dinerName},\n\nYour reservation at ${data.restaurantName} was updated.\nBefore: ${describeBooking({ ...data, ...data.previous }, 'en')}\nNow: ${describeBooking(data, 'en')}\nReservation number: ${data.reservationId}`
+            })
+        },
+        restaurant: {
+            he: data => ({
+                subject: `הזמנה עודכנה: ${describeBooking(data, 'he')}`,
+                body: `${data.dinerName} עדכנו את הזמנה ${data.reservationId}.\nלפני: ${describeBooking({ ...data, ...data.previous }, 'he')}\nעכשיו: ${describeBooking(data, 'he')}`
+            }),
+            en: data => ({
+                subject: `Reservation updated: ${describeBooking(data, 'en')}`,
+                body: `${data.dinerName} updated reservation ${data.reservationId}.\nBefore: ${describeBooking({ ...data, ...data.previous }, 'en')}\nNow: ${describeBooking(data, 'en')}`
+            })
+        }
+    },
+    'reservation.cancelled': {
+        diner: {
+            he: data => ({
+                subject: `ההזמנה בוטלה: ${describeBooking(data, 'he')}`,
+                body: `שלום ${data.dinerName},\n\nההזמנה שלך ב-${data.restaurantName} ל-${formatNotificationDate(data.date, 'he')} בשעה ${data.time} בוטלה.\nמספר הזמנה: ${data.reservationId}`
+            }),
+            en: data => ({
+                subject: `Reservation cancelled: ${describeBooking(data, 'en')}`,
+                body: `Hi ${data.dinerName},\n\nYour reservation at ${data.restaurantName} on ${formatNotificationDate(data.date, 'en')} at ${data.time} was cancelled.\nReservation number: ${data.reservationId}`
+            })
+        },
+        restaurant: {
+            he: data => ({
+                subject: `הזמנה בוטלה: ${describeBooking(data, 'he')}`,
+                body: `הזמנה ${data.reservationId} של ${data.dinerName} בוטלה: ${describeBooking(data, 'he')}.`
+            }),
+            en: data => ({
+                subject: `Reservation cancelled: ${describeBooking(data, 'en')}`,
+                body: `Reservation ${data.reservationId} by ${data.dinerName} was cancelled: ${describeBooking(data, 'en')}.`
+            })
+        }
+    },
+    'reservation.reminder': {
+        diner: {
+            he: data => ({
+                subject: `תזכורת: ${describeBooking(data, 'he')}`,
+                body: `שלום ${data.dinerName},\n\nתזכורת להזמנה שלך מחר ב-${data.restaurantName}, ${formatNotificationDate(data.date, 'he')} בשעה ${data.time} (${formatGuests(data.numGuests, 'he')}).\nלא מגיעים? אפשר לבטל באתר.`
+            }),
+            en: data => ({
+                subject: `Reminder: ${describeBooking(data, 'en')}`,
+                body: `Hi ${data.dinerName},\n\nA reminder of your reservation at ${data.restaurantName} tomorrow, ${formatNotificationDate(data.date, 'en')} at ${data.time} (${formatGuests(data.numGuests, 'en')}).\nCan't make it? You can cancel on the website.`
+            })
+        }
+    },
+    'waitlist.promoted': {
+        diner: {
+            he: data => ({
+                subject: `התפנה מקום! ההזמנה אושרה: ${describeBooking(data, 'he')}`,
+                body: `שלום ${data.dinerName},\n\nהתפנה מקום ב-${data.restaurantName} וההזמנה שלך מרשימת ההמתנה אושרה.\nתאריך: ${formatNotificationDate(data.date, 'he')}\nשעה: ${data.time}\nמספר סועדים: ${data.numGuests}\nמספר הזמנה: ${data.reservationId}`
+            }),
+            en: data => ({
+                subject: `A table opened up! Reservation confirmed: ${describeBooking(data, 'en')}`,
+                body: `Hi ${data.dinerName},\n\nA table opened up at ${data.restaurantName} and your waitlist spot is now a confirmed reservation.\nDate: ${formatNotificationDate(data.date, 'en')}\nTime: ${data.time}\nGuests: ${data.numGuests}\nReservation number: ${data.reservationId}`
+            })
+        },
+        restaurant: {
+            he: data => ({
+                subject: `הזמנה מרשימת ההמתנה: ${describeBooking(data, 'he')}`,
+                body: `${data.dinerName} קיבלו שולחן מרשימת ההמתנה: ${describeBooking(data, 'he')}.\nמספר הזמנה: ${data.reservationId}`
+            }),
+            en: data => ({
+                subject: `Waitlist reservation: ${describeBooking(data, 'en')}`,
+                body: `${data.dinerName} got a table from the waitlist: ${describeBooking(data, 'en')}.\nReservation number: ${data.reservationId}`
+            })
+        }
+    }
+};
+
+/**
+ * Helper Function: Render Notification
+ * 
+ * @param {string} type - Event type, e.g. 'reservation.created'
+ * @param {string} audience - 'diner' or 'restaurant'
+ * @param {Object} data - Template data
+ * @returns {Object|null} - { subject, text, sms } in both languages, or null without a template
+ */
+function renderNotification(type, audience, data) {
+    const templates = NOTIFICATION_TEMPLATES[type] && NOTIFICATION_TEMPLATES[type][audience];
+    if (!templates) {
+        return null;
+    }
+    
+    const he = templates.he(data);
+    const en = templates.en(data);
+    return {
+        subject: `${he.subject} | ${en.subject}`,
+        text: `${he.body}\n\n----------\n\n${en.body}`,
+        sms: `${he.subject}\n${en.subject}`
+    };
+}
+
+/**
+ * Helper Function: Send Mail over SMTP
+ * 
+ * A minimal SMTP client (no authentication or TLS), meant for a local mail
+ * catcher in development and tests. Subject and body are sent as UTF-8 base64,
+ * so Hebrew arrives intact.
+ * 
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>} - Rejects with the server's answer if it refuses the mail,
+ * and when the connection times out or closes before the mail was accepted
+ */
+function sendSmtpMail({ to, subject, text }) {
+    const fromAddress = (NOTIFY_FROM.match(/<([^>]+)>/) || [null, NOTIFY_FROM])[1];
+    const encodedBody = Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+    // Encoded header words must stay short, so the subject is split into folded pieces
+    const subjectChars = Array.from(subject);
+    const encodedSubject = [];
+    for (let i = 0; i < subjectChars.length; i += 20) {
+        encodedSubject.push(`=?UTF-8?B?${Buffer.from(subjectChars.slice(i, i + 20).join(''), 'utf8').toString('base64')}?=`);
+    }
+    const mail = [
+        `From: ${NOTIFY_FROM}`,
+        `To: <${to}>`,
+        `Subject: ${encodedSubject.join('\r\n ')}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        ...encodedBody
+    ].join('\r\n');
+    
+    // Each command is sent once the previous reply arrived with an expected code
+    const commands = ['EHLO dining-match.local', `MAIL FROM:<${fromAddress}>`, `RCPT TO:<${to}>`, 'DATA', `${mail}\r\n.`, 'QUIT'];
+    const expectedCodes = [[220], [250], [250], [250, 251], [354], [250], [221]];
+    
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: SMTP_HOST, port: SMTP_PORT });
+        let buffer = '';
+        let step = 0;
+        
+        socket.setEncoding('utf8');
+        socket.setTimeout(NOTIFY_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server did not answer in time')));
+        socket.on('error', reject);
+        // A server that hangs up without an error must not leave the promise (and the worker) waiting
+        const onHangUp = () => reject(new Error('SMTP server closed the connection before the mail was delivered'));
+        socket.on('end', onHangUp);
+        socket.on('close', onHangUp);
+        socket.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split('\r\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                // "250-..." lines continue a multi-line reply
+                if (/^\d{3}-/.test(line)) continue;
+                if (!expectedCodes[step].includes(parseInt(line.slice(0, 3)))) {
+                    socket.destroy();
+                    reject(new Error(`SMTP server answered: ${line}`));
+                    return;
+                }
+                if (step === commands.length) {
+                    socket.end();
+                    resolve();
+                    return;
+                }
+                socket.write(`${commands[step]}\r\n`);
+                step++;
+            }
+        });
+    });
+}
+
+/**
+ * Notification Transports
+ * 
+ * Every transport has an async send({ channel, to, subject, text }) that resolves
+ * once the message is delivered and throws otherwise. To plug in another provider
+ * (e.g. a real SMS gateway), add it here and select it with NOTIFY_*_TRANSPORT.
+ */
+const notificationTransports = {
+    // Prints the message to the server log
+    console: {
+        async send({ channel, to, subject, text }) {
+            console.log(`✉️  [${channel}] to ${to}: ${subject}\n${text}`);
+        }
+    },
+    // Appends the message as one JSON line to NOTIFY_FILE (handy for tests)
+    file: {
+        async send(message) {
+            await fs.promises.mkdir(path.dirname(NOTIFY_FILE), { recursive: true });
+            await fs.promises.appendFile(NOTIFY_FILE, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+        }
+    },
+    smtp: {
+        send: sendSmtpMail
+    },
+    // POSTs the event JSON (text) to the URL
+    webhook: {
+        async send({ to, text }) {
+            const response = await fetch(to, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: text,
+                signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook answered ${response.status}`);
+            }
+        }
+    }
+};
+
+// Transport of each channel; an unknown configured name falls back to the console
+const CHANNEL_TRANSPORTS = Object.fromEntries(
+    [['email', NOTIFY_EMAIL_TRANSPORT], ['sms', NOTIFY_SMS_TRANSPORT], ['webhook', 'webhook']].map(([channel, name]) => {
+        if (!notificationTransports[name]) {
+            console.warn(`⚠️  Unknown ${channel} notification transport "${name}", using console`);
+            return [channel, 'console'];
+        }
+        return [channel, name];
+    })
+);
+
+/**
+ * Helper Function: Record Reservation Event
+ * 
+ * Records an outbox event for a reservation, with a snapshot of the booking so the
+ * notification describes it as it was at that moment. The restaurant's contacts are
+ * part of the snapshot, so they are still reached after the restaurant is deleted.
+ * 
+ * @param {string} type - 'reservation.created', 'reservation.modified', 'reservation.cancelled' or 'reservation.reminder'
+ * @param {Object} reservation - The reservation (after the change)
+ * @param {Object} extra - Additional payload, e.g. { previous } for modifications
+ */
+function recordReservationEvent(type, reservation, extra = {}) {
+    const restaurant = restaurantRepository.findById(reservation.restaurantId);
+    return recordOutboxEvent(type, {
+        reservationId: reservation.id,
+        userId: reservation.userId,
+        restaurantId: reservation.restaurantId,
+        restaurantName: restaurant ? restaurant.name : null,
+        restaurantContacts: getRestaurantContacts(restaurant),
+        date: reservation.date,
+        time: reservation.time,
+        numGuests: reservation.numGuests,
+        seatingArea: reservation.seatingArea ?? null,
+        occasion: reservation.occasion ?? null,
+        notes: reservation.notes ?? null,
+        ...extra
+    });
+}
+
+// Where the restaurant side of a notification goes: its owner's email and its phone
+function getRestaurantContacts(restaurant) {
+    const owner = restaurant && restaurant.ownerId ? userRepository.findById(restaurant.ownerId) : null;
+    return {
+        ownerEmail: owner ? owner.email : null,
+        phoneNumber: restaurant && restaurant.phoneNumber ? restaurant.phoneNumber : null
+    };
+}
+
+/**
+ * Helper Function: Get Event Recipients
+ * 
+ * The restaurant's contacts come from the event's snapshot; events recorded
+ * before snapshots existed look them up instead.
+ * 
+ * @param {Object} event - Outbox event
+ * @returns {Object[]} - [{ audience, channel, to }]
+ */
+function getEventRecipients(event) {
+    const { userId, restaurantId } = event.payload;
+    const diner = userId ? userRepository.findById(userId) : null;
+    const contacts = event.payload.restaurantContacts ??
+        getRestaurantContacts(restaurantRepository.findById(restaurantId));
+    
+    const recipients = [];
+    if (diner) {
+        recipients.push({ audience: 'diner', channel: 'email', to: diner.email });
+    }
+    if (contacts.ownerEmail) {
+        recipients.push({ audience: 'restaurant', channel: 'email', to: contacts.ownerEmail });
+    }
+    if (contacts.phoneNumber) {
+        recipients.push({ audience: 'restaurant', channel: 'sms', to: contacts.phoneNumber });
+    }
+    return recipients;
+}
+
+/**
+ * Helper Function: Create Event Notifications
+ * 
+ * Turns an outbox event into stored notifications (one per recipient and channel)
+ * and marks the event as processed.
+ */
+function createEventNotifications(event) {
+    const diner = event.payload.userId ? userRepository.findById(event.payload.userId) : null;
+    const data = { ...event.payload, dinerName: diner ? diner.name : 'Guest' };
+    const now = new Date().toISOString();
+    
+    const messages = getEventRecipients(event)
+        .map(recipient => {
+            const rendered = renderNotification(event.type, recipient.audience, data);
+            return rendered && {
+                ...recipient,
+                subject: rendered.subject,
+                text: recipient.channel === 'sms' ? rendered.sms : rendered.text
+            };
+        })
+        .filter(Boolean);
+    if (NOTIFY_WEBHOOK_URL) {
+        messages.push({
+            audience: 'restaurant',
+            channel: 'webhook',
+            to: NOTIFY_WEBHOOK_URL,
+            subject: event.type,
+            text: JSON.stringify({ id: event.id, type: event.type, createdAt: event.createdAt, payload: event.payload })
+        });
+    }
+    
+    messages.forEach(message => notificationRepository.create({
+        eventId: event.id,
+        type: event.type,
+        ...message,
+        status: 'pending',
+        attempts: 0,
+        errors: [],
+        nextAttemptAt: now,
+        sentAt: null,
+        createdAt: now,
+        updatedAt: now
+    }));
+    outboxRepository.update(event.id, { status: 'processed', processedAt: now });
+}
+
+/**
+ * Helper Function: Deliver Notification
+ * 
+ * Makes one delivery attempt. A failure is recorded in the notification's errors
+ * and scheduled for a retry, until MAX_NOTIFICATION_ATTEMPTS is reached.
+ */
+async function deliverNotification(notification) {
+    const transportName = CHANNEL_TRANSPORTS[notification.channel];
+    const attempts = notification.attempts + 1;
+    
+    try {
+        await notificationTransports[transportName].send({
+            channel: notification.channel,
+            to: notification.to,
+            subject: notification.subject,
+            text: notification.text
+        });
+        const now = new Date().toISOString();
+        notificationRepository.update(notification.id, {
+            status: 'sent',
+            transport: transportName,
+            attempts,
+            nextAttemptAt: null,
+            sentAt: now,
+            updatedAt: now
+        });
+    } catch (error) {
+        const now = new Date();
+        const gaveUp = attempts >= MAX_NOTIFICATION_ATTEMPTS;
+        const retryInMs = NOTIFY_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+        notificationRepository.update(notification.id, {
+            status: gaveUp ? 'failed' : 'pending',
+            transport: transportName,
+            attempts,
+            errors: [...notification.errors, { at: now.toISOString(), transport: transportName, message: error.message }],
+            nextAttemptAt: gaveUp ? null : new Date(now.getTime() + retryInMs).toISOString(),
+            updatedAt: now.toISOString()
+        });
+        console.error(`❌ Notification ${notification.id} (${notification.channel} to ${notification.to}) failed ` +
+            `on attempt ${attempts}${gaveUp ? ', giving up' : ''}: ${error.message}`);
+    }
+}
+
+// Minutes from now until a restaurant-local date and time (negative once it has passed)
+function getMinutesUntilSlot(restaurant, date, time, now = new Date()) {
+    const local = getLocalDateTime(getRestaurantTimezone(restaurant), now);
+    const toMinutes = (day, clock) => {
+        const [year, month, dayOfMonth] = day.split('-').map(Number);
+        return Date.UTC(year, month - 1, dayOfMonth) / 60000 + timeToMinutes(clock);
+    };
+    return toMinutes(date, time) - toMinutes(local.date, local.time);
+}
+
+/**
+ * Helper Function: Schedule Reminders
+ * 
+ * Records a 'reservation.reminder' event for every confirmed reservation that
+ * starts within REMINDER_HOURS_BEFORE hours. Reservations made that close to
+ * their time already got a confirmation, so they get no reminder.
+ */
+function scheduleReminders() {
+    const reminderMinutes = REMINDER_HOURS_BEFORE * 60;
+    reservationRepository
+        .findAll(reservation => reservation.status === 'confirmed' && !reservation.reminderSentAt)
+        .forEach(reservation => {
+            const restaurant = restaurantRepository.findById(reservation.restaurantId);
+            if (!restaurant) return;
+            const minutesUntil = getMinutesUntilSlot(restaurant, reservation.date, reservation.time);
+            if (minutesUntil <= 0 || minutesUntil > reminderMinutes) return;
+            
+            const bookedAhead = getMinutesUntilSlot(restaurant, reservation.date, reservation.time,
+                new Date(reservation.createdAt));
+            if (bookedAhead > reminderMinutes) {
+                recordReservationEvent('reservation.reminder', reservation);
+            }
+            // Marked either way, so it is only checked once
+            reservationRepository.update(reservation.id, { reminderSentAt: new Date().toISOString() });
+        });
+}
+
+/**
+ * Notification Worker
+ * 
+ * Runs every NOTIFY_INTERVAL_SECONDS, and right after an event is recorded:
+ * 1. records due reminders
+ * 2. turns pending outbox events into notifications
+ * 3. delivers the notifications that are due, one at a time
+ * Only one run is active at a time.
+ */
+let notificationWorkerRunning = false;
+let notificationWorkerQueued = false;
+
+async function runNotificationWorker() {
+    if (notificationWorkerRunning) {
+        notificationWorkerQueued = true;
+        return;
+    }
+    notificationWorkerRunning = true;
+    
+    try {
+        scheduleReminders();
+        outboxRepository.findAll(event => event.status === 'pending').forEach(createEventNotifications);
+        
+        const now = new Date().toISOString();
+        const due = notificationRepository.findAll(notification =>
+            notification.status === 'pending' && notification.nextAttemptAt <= now
+        );
+        for (const notification of due) {
+            await deliverNotification(notification);
+        }
+    } catch (error) {
+        console.error('Error running notification worker:', error);
+    } finally {
+        notificationWorkerRunning = false;
+        if (notificationWorkerQueued) {
+            notificationWorkerQueued = false;
+            setImmediate(runNotificationWorker);
+        }
+    }
+}
+
+// ===================================================================================
+// 3.3 REQUEST VALIDATION
+// ===================================================================================
+
+/**
+ * Request Schemas
+ * 
+ * Every route declares the fields its body and query accept, as { field: rule },
+ * and validateRequest checks them before the handler runs. A rule can have:
+ * - type: 'string', 'integer', 'number', 'boolean', 'date' (YYYY-MM-DD), 'time' (HH:MM),
+ *   'email', 'array' or 'object', or a list of them; in a query also 'list'
+ *   (repeated or comma-separated values, see parseListParam)
+ * - required: the field must be given, and not null or blank
+ * - nullable: null (or '') is accepted, to clear the field
+ * - readOnly: the server sets the field, so sending it is an error
+ * - enum: the allowed values
+ * - min / max: bounds of a number
+ * - minLength / maxLength: bounds of a text's length or a list's size
+ * - items: the rule of every item of an array or list
+ * - fields: the schema of an object
+ * - check(value, values): any other check; returns an error message, a list of them
+ *   or null. values holds the other fields, for checks between fields
+ * 
+ * Fields a schema does not list are rejected, so a typo or a field the route does
+ * not handle never reaches the storage. Query values are read from their text
+ * ("4" for an integer, "true" for a boolean) before they are checked.
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// True for real calendar dates in YYYY-MM-DD format (so not 2026-02-30)
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(value + 'T00:00:00Z');
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const SCHEMA_TYPES = {
+    string: { test: value => typeof value === 'string', description: 'text' },
+    integer: { test: value => Number.isInteger(value), description: 'a whole number' },
+    number: { test: value => typeof value === 'number' && Number.isFinite(value), description: 'a number' },
+    boolean: { test: value => typeof value === 'boolean', description: 'true or false' },
+    date: { test: value => typeof value === 'string' && isCalendarDate(value), description: 'a date in YYYY-MM-DD format' },
+    time: { test: value => typeof value === 'string' && TIME_REGEX.test(value), description: 'a time in HH:MM format' },
+    email: { test: value => typeof value === 'string' && EMAIL_REGEX.test(value.trim()), description: 'a valid email address' },
+    array: { test: value => Array.isArray(value), description: 'a list' },
+    list: { test: value => Array.isArray(value), description: 'a list' },
+    object: { test: value => typeof value === 'object' && value !== null && !Array.isArray(value), description: 'an object' }
+};
+
+// Reads a query value from its text into the rule's type; values that cannot be read are left as they are
+function readQueryValue(rule, value) {
+    const types = [].concat(rule.type);
+    if (types.includes('list')) return parseListParam(value);
+    if (typeof value !== 'string') return value;
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Helper Function: Validate Field
+ * 
+ * @param {Object} rule - The field's rule (see Request Schemas)
+ * @param {*} value - The field's value
+ * @param {string} field - The field's path, e.g. "address.city"
+ * @param {Object} values - The object the field belongs to
+ * @returns {Object[]} - [{ field, message }] (empty when valid)
+ */
+function validateField(rule, value, field, values) {
+    const error = message => [{ field, message }];
+    
+    if (value === undefined) {
+        return rule.required ? error(`${field} is required`) : [];
+    }
+    if (rule.readOnly) {
+        return error(`${field} is set by the server and cannot be sent`);
+    }
+    if (value === null || (value === '' && rule.nullable)) {
+        if (rule.required) return error(`${field} is required`);
+        return rule.nullable ? [] : error(`${field} cannot be null`);
+    }
+    if (rule.required && typeof value === 'string' && value.trim().length === 0) {
+        return error(`${field} is required`);
+    }
+    
+    const types = [].concat(rule.type);
+    const type = types.find(name => SCHEMA_TYPES[name].test(value));
+    if (!type) {
+        return error(`${field} must be ${types.map(name => SCHEMA_TYPES[name].description).join(' or ')}`);
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return error(`${field} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (rule.min !== undefined && value < rule.min) return error(`${field} must be at least ${rule.min}`);
+        if (rule.max !== undefined && value > rule.max) return error(`${field} must be at most ${rule.max}`);
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        const unit = Array.isArray(value) ? 'items' : 'characters';
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            return error(`${field} must have at least ${rule.minLength} ${unit}`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return error(`${field} must have at most ${rule.maxLength} ${unit}`);
+        }
+    }
+    
+    // Problems inside a list or an object are reported on the items' own paths
+    const nested = [];
+    if (rule.items && Array.isArray(value)) {
+        value.forEach((item, index) => nested.push(...validateField(rule.items, item, `${field}[${index}]`, value)));
+    }
+    if (rule.fields && type === 'object') {
+        nested.push(...validateSchema(rule.fields, value, { path: field }));
+    }
+    if (nested.length > 0) {
+        return nested;
+    }
+    
+    const messages = rule.check ? [].concat(rule.check(value, values) || []) : [];
+    return messages.map(message => ({ field, message }));
+}
+
+/**
+ * Helper Function: Validate Schema
+ * 
+ * @param {Object} schema - { field: rule } (see Request Schemas)
+ * @param {*} values - A request body, a query or a nested object
+ * @param {Object} [options] - { path: path of a nested object, fromQuery: read the values from text }
+ * @returns {Object[]} - [{ field, message }] (empty when valid)
+ */
+function validateSchema(schema, values, { path = '', fromQuery = false } = {}) {
+    const fieldPath = name => path ? `${path}.${name}` : name;
+    
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        return [{ field: path || null, message: `${path || 'The request body'} must be an object` }];
+    }
+    
+    const errors = Object.keys(values)
+        .filter(name => !Object.hasOwn(schema, name))
+        .map(name => ({ field: fieldPath(name), message: `${fieldPath(name)} is not an accepted field` }));
+    
+    const read = fromQuery
+        ? Object.fromEntries(Object.entries(values).map(([name, value]) =>
+            [name, Object.hasOwn(schema, name) ? readQueryValue(schema[name], value) : value]))
+        : values;
+    
+    Object.entries(schema).forEach(([name, rule]) => {
+        if (fromQuery && Array.isArray(values[name]) && ![].concat(rule.type).includes('list')) {
+            errors.push({ field: name, message: `${name} must be given only once` });
+            return;
+        }
+        errors.push(...validateField(rule, read[name], fieldPath(name), read));
+    });
+    
+    return errors;
+}
+
+/**
+ * Helper Function: Send Validation Errors
+ * 
+ * Answers 400 VALIDATION_FAILED. A single error is also the response message,
+ * so clients that only show the message still say what is wrong.
+ * 
+ * @param {Object} res - Express response
+ * @param {Object[]} errors - [{ field, message }]
+ */
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({
+        success: false,
+        code: 'VALIDATION_FAILED',
+        message: errors.length === 1 ? errors[0].message : 'Validation failed',
+        errors
+    });
+}
+
+/**
+ * Validation Middleware Factory: Validate Request
+ * 
+ * Checks the request's body and query against their schemas and rejects the
+ * request with every error found. A part without a schema is not checked;
+ * an empty schema ({}) accepts no fields at all.
+ * 
+ * Blank query parameters (e.g. "?rating=" from an empty form field) are dropped
+ * before checking, and the route sees the query without them, as if they were never sent.
+ * 
+ * @param {Object} schemas - { body?: Object, query?: Object }
+ */
+function validateRequest({ body, query }) {
+    return (req, res, next) => {
+        const values = query
+            ? Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''))
+            : req.query;
+        const errors = [
+            ...(body ? validateSchema(body, req.body ?? {}) : []),
+            ...(query ? validateSchema(query, values, { fromQuery: true }) : [])
+        ];
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        // Express 5 parses req.query on every read, so the cleaned copy is set on the request itself
+        Object.defineProperty(req, 'query', { value: values, writable: true, configurable: true, enumerable: true });
+        next();
+    };
+}
+
+/**
+ * Route Schemas
+ * 
+ * Fields the server keeps for itself (ids, ratings, statuses...) are listed as
+ * readOnly, so sending one is answered with a clear error.
+ */
+const READ_ONLY = { readOnly: true };
+const NO_INPUT = { body: {}, query: {} };
+
+const PAGE_QUERY_SCHEMA = {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_LIMIT }
+};
+
+const REGISTER_SCHEMA = {
+    name: { type: 'string', required: true },
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true, minLength: 8 },
+    role: { type: 'string', enum: USER_ROLES }
+};
+
+const LOGIN_SCHEMA = {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+};
+
+const RESTAURANT_SEARCH_SCHEMA = {
+    q: { type: 'string', maxLength: MAX_SEARCH_QUERY_LENGTH },
+    cuisine: { type: 'string' },
+    location: { type: 'string' },
+    // Whether the date has passed depends on each restaurant's timezone, so the search filters by it instead
+    date: { type: 'date' },
+    time: { type: 'time' },
+    numGuests: { type: 'integer', min: 1 },
+    budget: { type: 'list', check: budget => parseBudget(budget).error || null },
+    rating: { type: 'number', min: 0, max: 5 },
+    dietaryOptions: { type: 'list' },
+    features: { type: 'list' },
+    dietaryMatch: { type: 'string', enum: ['all', 'any'] },
+    featuresMatch: { type: 'string', enum: ['all', 'any'] },
+    lat: {
+        type: 'number', min: -90, max: 90,
+        check: (lat, query) => query.lng === undefined ? 'lat and lng must be given together' : null
+    },
+    lng: {
+        type: 'number', min: -180, max: 180,
+        check: (lng, query) => query.lat === undefined ? 'lat and lng must be given together' : null
+    },
+    radius: {
+        type: 'number',
+        check: (radius, query) => radius <= 0 || query.lat === undefined
+            ? 'radius must be a positive number of kilometers and needs lat and lng'
+            : null
+    },
+    seatingArea: { type: 'string', enum: TABLE_AREAS },
+    accessibility: { type: 'list', items: { type: 'string', enum: Object.keys(ACCESSIBILITY_NEEDS) } },
+    sort: {
+        type: 'string',
+        check: (sort, query) => {
+            const sortOptions = parseSortParam(sort);
+            if (!sortOptions.isValid) return sortOptions.error;
+            return sortOptions.field === 'distance' && query.lat === undefined ? 'sort=distance needs lat and lng' : null;
+        }
+    },
+    fields: { type: 'string', check: fields => parseFieldsParam(fields).error || null },
+    ...PAGE_QUERY_SCHEMA
+};
+
+const SUGGEST_QUERY_SCHEMA = {
+    field: { type: 'string', required: true, enum: SUGGEST_FIELDS },
+    prefix: { type: 'string', maxLength: MAX_SEARCH_QUERY_LENGTH },
+    limit: { type: 'integer', min: 1, max: MAX_SUGGESTION_LIMIT }
+};
+
+const AVAILABILITY_QUERY_SCHEMA = {
+    date: { type: 'date', required: true },
+    numGuests: { type: 'integer', min: 1 },
+    seatingArea: { type: 'string', enum: TABLE_AREAS }
+};
+
+// Address in the frontend format; a "Street 12, City" string is accepted too
+const ADDRESS_SCHEMA = {
+    street: { type: 'string', required: true },
+    number: { type: ['string', 'integer'], nullable: true },
+    city: { type: 'string', required: true }
+};
+
+// Restaurants in the frontend format; price_range and hours_of_operation are the stored names
+const RESTAURANT_SCHEMA = {
+    name: { type: 'string', required: true },
+    cuisine: { type: 'string', required: true },
+    address: { type: ['string', 'object'], required: true, fields: ADDRESS_SCHEMA },
+    latitude: {
+        type: 'number', nullable: true, min: -90, max: 90,
+        check: (latitude, restaurant) => restaurant.longitude == null ? 'Latitude and longitude must be given together' : null
+    },
+    longitude: {
+        type: 'number', nullable: true, min: -180, max: 180,
+        check: (longitude, restaurant) => restaurant.latitude == null ? 'Latitude and longitude must be given together' : null
+    },
+    timezone: {
+        type: 'string', nullable: true,
+        check: timezone => isValidTimezone(timezone) ? null : 'Timezone must be a valid IANA timezone, e.g. "Asia/Jerusalem"'
+    },
+    priceRange: { type: 'string', nullable: true, enum: PRICE_RANGES },
+    price_range: { type: 'string', nullable: true, enum: PRICE_RANGES },
+    // Opening hours can also be given as text ("Mon-Fri: 12:00-23:00"), see parseOpeningHours
+    openingHours: {
+        type: ['string', 'object'], nullable: true,
+        check: hours => typeof hours === 'string' ? parseOpeningHours(hours).errors : validateOpeningHours(hours)
+    },
+    hours_of_operation: { type: 'string', nullable: true, check: hours => parseOpeningHours(hours).errors },
+    imageUrl: { type: 'string', nullable: true },
+    phoneNumber: { type: 'string', nullable: true },
+    website: { type: 'string', nullable: true },
+    description: { type: 'string', nullable: true },
+    dietaryOptions: { type: 'array', nullable: true, items: { type: 'string' } },
+    features: { type: 'array', nullable: true, items: { type: 'string' } },
+    tables: { type: 'array', nullable: true, check: validateTables },
+    maxGuests: { type: 'integer', min: 1 },
+    seatingDuration: { type: 'integer', nullable: true, min: 1 },
+    ownerId: { type: 'integer', nullable: true },
+    id: READ_ONLY,
+    rating: READ_ONLY,
+    reviewCount: READ_ONLY,
+    specialHours: READ_ONLY,
+    distance: READ_ONLY
+};
+
+// ownerId is in RESTAURANT_SCHEMA for admins; the routes reject it from everyone else
+const OWNER_ID_ADMIN_ONLY_ERROR = { field: 'ownerId', message: 'ownerId can only be set by admins' };
+
+const RESTAURANT_EXPORT_QUERY_SCHEMA = {
+    format: { type: 'string', enum: ['json', 'csv'] }
+};
+
+const RESTAURANT_IMPORT_QUERY_SCHEMA = {
+    dryRun: { type: 'boolean' }
+};
+
+const REVIEW_SCHEMA = {
+    rating: { type: 'integer', required: true, min: 1, max: 5 },
+    text: { type: 'string', required: true, maxLength: MAX_REVIEW_TEXT_LENGTH },
+    reservationId: { type: 'integer', min: 1 }
+};
+
+const REVIEW_REPLY_SCHEMA = {
+    text: { type: 'string', required: true, maxLength: MAX_REVIEW_TEXT_LENGTH }
+};
+
+const REVIEW_MODERATION_SCHEMA = {
+    hidden: { type: 'boolean', required: true }
+};
+
+// The cross-field rules (date or startDate, open and close unless closed) are in validateSpecialHours
+const SPECIAL_HOURS_SCHEMA = {
+    date: { type: 'date' },
+    startDate: { type: 'date' },
+    endDate: { type: 'date' },
+    closed: { type: 'boolean' },
+    open: { type: 'time' },
+    close: { type: 'time' },
+    note: { type: 'string', nullable: true },
+    id: READ_ONLY
+};
+
+const SPECIAL_HOURS_QUERY_SCHEMA = {
+    upcoming: { type: 'boolean' }
+};
+
+// What the restaurant offers is checked by validateReservationPreferences
+const RESERVATION_PREFERENCES_SCHEMA = {
+    seatingArea: { type: 'string', nullable: true, enum: TABLE_AREAS },
+    accessibility: { type: 'array', nullable: true, items: { type: 'string', enum: Object.keys(ACCESSIBILITY_NEEDS) } },
+    occasion: { type: 'string', nullable: true, enum: OCCASIONS },
+    notes: { type: 'string', nullable: true, maxLength: MAX_RESERVATION_NOTES_LENGTH }
+};
+
+const RESERVATION_SERVER_FIELDS = {
+    id: READ_ONLY,
+    userId: READ_ONLY,
+    tableIds: READ_ONLY,
+    duration: READ_ONLY,
+    reminderSentAt: READ_ONLY,
+    calendarSequence: READ_ONLY,
+    createdAt: READ_ONLY,
+    updatedAt: READ_ONLY
+};
+
+const RESERVATION_SCHEMA = {
+    restaurantId: { type: 'integer', required: true, min: 1 },
+    date: { type: 'date', required: true },
+    time: { type: 'time', required: true },
+    numGuests: { type: 'integer', required: true, min: 1 },
+    ...RESERVATION_PREFERENCES_SCHEMA,
+    ...RESERVATION_SERVER_FIELDS,
+    status: READ_ONLY
+};
+
+const RESERVATION_UPDATE_SCHEMA = {
+    date: { type: 'date' },
+    time: { type: 'time' },
+    numGuests: { type: 'integer', min: 1 },
+    status: { type: 'string', enum: RESERVATION_STATUSES },
+    ...RESERVATION_PREFERENCES_SCHEMA,
+    ...RESERVATION_SERVER_FIELDS,
+    restaurantId: READ_ONLY
+};
+
+const RESERVATION_LIST_QUERY_SCHEMA = {
+    restaurantId: { type: 'integer', min: 1 },
+    date: { type: 'date' },
+    status: { type: 'string', enum: RESERVATION_STATUSES }
+};
+
+const WAITLIST_SCHEMA = {
+    ...RESERVATION_SCHEMA,
+    reservationId: READ_ONLY,
+    position: READ_ONLY
+};
+
+const WAITLIST_LIST_QUERY_SCHEMA = {
+    ...RESERVATION_LIST_QUERY_SCHEMA,
+    status: { type: 'string', enum: WAITLIST_STATUSES }
+};
+
+const NOTIFICATION_LIST_QUERY_SCHEMA = {
+    status: { type: 'string', enum: NOTIFICATION_STATUSES },
+    limit: PAGE_QUERY_SCHEMA.limit
+};
+
+// ===================================================================================
+// 4. API ENDPOINTS
+// ===================================================================================
+
+/**
+ * Authentication Middleware
+ * 
+ * Reads the "Authorization: Bearer <token>" header on every request and, when
+ * the token belongs to a live session, attaches the user as req.user.
+ * Requests without the header continue anonymously; requests with an invalid
+ * or expired token are rejected with 401.
+ */
+app.use((req, res, next) => {
+    const header = req.get('Authorization');
+    if (!header) {
+        return next();
+    }
+    
+    const [scheme, token] = header.split(' ');
+    const session = scheme === 'Bearer' && token
+        ? sessionRepository.findAll(s => s.tokenHash === hashToken(token))[0]
+        : undefined;
+    const user = session && new Date(session.expiresAt) > new Date()
+        ? userRepository.findById(session.userId)
+        : undefined;
+    
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            code: 'INVALID_TOKEN',
+            message: 'Invalid or expired token'
+        });
+    }
+    
+    req.user = user;
+    req.session = session;
+    next();
+});
+
+/**
+ * Authorization Middleware: Require Authentication
+ * 
+ * Rejects anonymous requests with 401.
+ */
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required'
+        });
+    }
+    next();
+}
+
+/**
+ * Authorization Middleware Factory: Require Role
+ * 
+ * Rejects anonymous requests with 401 and users without one of the given roles with 403.
+ * 
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+    return (req, res, next) => requireAuth(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action'
+            });
+        }
+        next();
+    });
+}
+
+/**
+ * GET /api/health
+ * 
+ * WHY THIS CHANGE: Health check endpoints are essential for:
+ * - Monitoring service status
+ * - Load balancers to check if server is alive
+ * - Deployment platforms to verify successful deployment
+ * 
+ * Returns server status and basic information.
+ */
+app.get('/api/health', (req, res) => {
+    res.status(200).json({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        environment: process.env.NODE_ENV || 'development'
+    });
+});
+
+/**
+ * POST /api/auth/register
+ * 
+ * Creates a user account. Anyone can sign up as a diner; creating an owner or
+ * admin account requires an admin token.
+ * 
+ * REQUEST BODY:
+ * {
+ *   name: string,
+ *   email: string,
+ *   password: string (at least 8 characters),
+ *   role?: 'diner' | 'owner' | 'admin' (defaults to 'diner')
+ * }
+ * 
+ * RETURNS: Created user (without password)
+ * STATUS: 201 if created, 400 if validation fails, 403 if the role is not allowed, 409 if the email is taken
+ */
+app.post('/api/auth/register', validateRequest({ body: REGISTER_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const role = req.body.role || 'diner';
+        if (role !== 'diner' && (!req.user || req.user.role !== 'admin')) {
+            return res.status(403).json({
+                success: false,
+                message: `Only admins can create ${role} accounts`
+            });
+        }
+        
+        if (findUserByEmail(req.body.email)) {
+            return res.status(409).json({
+                success: false,
+                code: 'EMAIL_TAKEN',
+                message: 'An account with this email already exists',
+                errors: [{ field: 'email', message: 'An account with this email already exists' }]
+            });
+        }
+        
+        const newUser = userRepository.create({
+            name: req.body.name.trim(),
+            email: req.body.email.trim().toLowerCase(),
+            role,
+            passwordHash: hashPassword(req.body.password),
+            createdAt: new Date().toISOString()
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            data: transformUserToResponseFormat(newUser)
+        });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while registering user'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * 
+ * REQUEST BODY: { email: string, password: string }
+ * 
+ * RETURNS: { token, expiresAt, user } - send the token as "Authorization: Bearer <token>"
+ * STATUS: 200 if logged in, 400 if fields are missing, 401 if the credentials are wrong
+ */
+app.post('/api/auth/login', validateRequest({ body: LOGIN_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const { email, password } = req.body;
+        
+        const user = findUserByEmail(email);
+        
+        // Same message for unknown email and wrong password, so accounts cannot be probed
+        if (!user || !verifyPassword(password, user.passwordHash)) {
+            return res.status(401).json({
+                success: false,
+                code: 'INVALID_CREDENTIALS',
+                message: 'Invalid email or password'
+            });
+        }
+        
+        const { token, expiresAt } = createSession(user);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Logged in successfully',
+            data: {
+                token,
+                expiresAt,
+                user: transformUserToResponseFormat(user)
+            }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while logging in'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * 
+ * Ends the session of the token used for this request.
+ * STATUS: 200 if logged out, 401 if not logged in
+ */
+app.post('/api/auth/logout', requireAuth, validateRequest(NO_INPUT), (req, res) => {
+    try {
+        sessionRepository.remove(req.session.id);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while logging out'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * 
+ * RETURNS: The logged-in user
+ * STATUS: 200 if logged in, 401 if not
+ */
+app.get('/api/auth/me', requireAuth, validateRequest(NO_INPUT), (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: transformUserToResponseFormat(req.user)
+    });
+});
+
+/**
+ * GET /api/restaurants
+ * 
+ * RETURNS: Array of all restaurants matching the filters
+ * 
+ * IMPROVEMENTS:
+ * - Changed route to /api/restaurants for better REST API conventions
+ * - Added error handling
+ * - Returns proper HTTP status codes
+ * - Can filter by cuisine via query parameter (future enhancement ready)
+ * 
+ * BUDGET:
+ * - budget: "$$" (exact), "$,$$$" (set), "$$-$$$" (range) or "<=$$$" (maximum)
+ * - When nothing is within budget, the response includes `cheaperAlternatives`:
+ *   up to 5 cheaper restaurants that match all the other filters, closest price first
+ * 
+ * DISTANCE:
+ * - lat, lng: search origin (e.g. the user's location); every result then includes
+ *   `distance` in kilometers (null for restaurants without coordinates)
+ * - radius: only return restaurants within this many kilometers of lat/lng
+ * 
+ * TAG FILTERS:
+ * - dietaryOptions, features: one or more values, repeated or comma-separated
+ *   (e.g. ?dietaryOptions=vegan,gluten-free&features=parking)
+ * - dietaryMatch, featuresMatch: "all" (default) requires every value, "any" at least one
+ * 
+ * TEXT SEARCH:
+ * - q: free text, matched word by word against name, cuisine, description and address.
+ *   Typos, half-typed words and Hebrew cuisine / city names are accepted
+ *   (see CUISINE_SYNONYMS). Every word must match; results are ranked by relevance
+ *   unless sort is given.
+ * - cuisine: also accepts the cuisine's synonyms (e.g. ?cuisine=איטלקי)
+ * 
+ * SEATING PREFERENCES:
+ * - seatingArea: only restaurants with tables in this area (see TABLE_AREAS); numGuests
+ *   is then checked against that area's tables
+ * - accessibility: needs every restaurant must cater for (see ACCESSIBILITY_NEEDS),
+ *   e.g. ?accessibility=wheelchair&seatingArea=terrace
+ * 
+ * LIST OPTIONS (all optional, combine freely with the filters):
+ * - sort: rating | -rating | name | -name | price | -price | distance | -distance
+ * - page, limit: return one page (limit defaults to 20, max 100); the response then
+ *   includes `pagination` with `next` / `prev` links. Without them, all matches are returned.
+ * - fields: comma-separated list of fields to return (id is always included)
+ * 
+ * The response always includes `total` (all matches) and `count` (items in this response).
+ */
+app.get('/api/restaurants', validateRequest({ query: RESTAURANT_SEARCH_SCHEMA }), (req, res) => {
+    try {
+        let filteredData = restaurantRepository.findAll();
+        
+        // 1. Extract search parameters from query string (checked by RESTAURANT_SEARCH_SCHEMA)
+        const { cuisine, date, time, budget, location, rating, numGuests } = req.query;
+        const { dietaryOptions, features, dietaryMatch = 'all', featuresMatch = 'all' } = req.query;
+        const { lat, lng, radius } = req.query;
+        const { seatingArea, accessibility } = req.query;
+        const { q, sort, page, limit, fields } = req.query;
+        
+        // Search origin for distance filtering and sorting ("near me")
+        const origin = lat !== undefined ? { latitude: Number(lat), longitude: Number(lng) } : null;
+        const radiusKm = radius === undefined ? null : Number(radius);
+        const accessibilityNeeds = accessibility ? parseListParam(accessibility) : [];
+        const budgetLevels = budget ? parseBudget(budget).levels : null;
+        const sortOptions = sort ? parseSortParam(sort) : null;
+        const selectedFields = fields ? parseFieldsParam(fields).fields : null;
+        
+        const paginate = page !== undefined || limit !== undefined;
+        const pageNum = page === undefined ? 1 : Number(page);
+        const limitNum = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+        
+        // 2. Filter by free text and cuisine type
+        // Relevance is kept per restaurant ID for ranking the results (step 9)
+        let relevance = null;
+        const queryWords = q ? parseSearchQuery(q) : [];
+        if (queryWords.length > 0) {
+            relevance = new Map();
+            filteredData = filteredData.filter(restaurant => {
+                const score = scoreSearchMatch(queryWords, getSearchFields(restaurant));
+                relevance.set(restaurant.id, score);
+                return score > 0;
+            });
+        }
+        if (cuisine) {
+            filteredData = filteredData.filter(restaurant => matchesCuisine(restaurant, cuisine));
+        }
+        
+        // 3. Filter by availability (date and time) - critical filter
+        if (date && time) {
+            // Today's searches skip restaurants where the time has already passed locally
+            filteredData = filteredData.filter(restaurant => 
+                !hasSlotPassed(restaurant, date, time) && isRestaurantOpen(restaurant, date, time)
+            );
+        } else if (date) {
+            // Without a time, skip restaurants where the whole day has already passed locally
+            filteredData = filteredData.filter(restaurant =>
+                date >= getLocalDateTime(getRestaurantTimezone(restaurant)).date
+            );
+        }
+        
+        // 4. Filter by location (city text and/or distance from lat/lng)
+        if (location) {
+            filteredData = filteredData.filter(restaurant => {
+                const address = typeof restaurant.address === 'string' 
+                    ? restaurant.address 
+                    : `${restaurant.address.street} ${restaurant.address.number}, ${restaurant.address.city}`;
+                return address.toLowerCase().includes(location.toLowerCase());
+            });
+        }
+        if (origin) {
+            // Repository records are copies, so the distance can be kept on them for sorting.
+            // Restaurants without coordinates get no distance and fall outside any radius
+            filteredData.forEach(restaurant => {
+                restaurant.distance = hasCoordinates(restaurant)
+                    ? Math.round(getDistanceKm(origin.latitude, origin.longitude,
+                        restaurant.latitude, restaurant.longitude) * 100) / 100
+                    : null;
+            });
+            if (radiusKm !== null) {
+                filteredData = filteredData.filter(restaurant =>
+                    restaurant.distance !== null && restaurant.distance <= radiusKm
+                );
+            }
+        }
+        
+        // 5. Filter by minimum rating
+        if (rating) {
+            const minRating = Number(rating);
+            filteredData = filteredData.filter(restaurant => 
+                restaurant.rating && restaurant.rating >= minRating
+            );
+        }
+        
+        // 6. Filter by number of guests (capacity check)
+        // With a date and time the check is made against that seating's bookings;
+        // without them we can only check that the party fits the restaurant at all
+        if (numGuests) {
+            const requestedGuests = Number(numGuests);
+            filteredData = filteredData.filter(restaurant => {
+                const availableCapacity = date && time
+                    ? getAvailableCapacity(restaurant, date, time, undefined, seatingArea)
+                    : getMaxPartySize(restaurant, seatingArea);
+                return availableCapacity >= requestedGuests;
+            });
+        }
+        
+        // 7. Filter by dietary options, features and seating preferences
+        // dietaryMatch / featuresMatch choose between "all" (default) and "any" of the values
+        if (dietaryOptions) {
+            const requested = parseListParam(dietaryOptions);
+            filteredData = filteredData.filter(restaurant =>
+                hasTags(restaurant.dietaryOptions, requested, dietaryMatch)
+            );
+        }
+        if (features) {
+            const requested = parseListParam(features);
+            filteredData = filteredData.filter(restaurant =>
+                hasTags(restaurant.features, requested, featuresMatch)
+            );
+        }
+        
+        // Seating preferences: the area must exist and every accessibility need be catered for
+        if (seatingArea) {
+            filteredData = filteredData.filter(restaurant =>
+                getRestaurantAreas(restaurant).includes(seatingArea)
+            );
+        }
+        if (accessibilityNeeds.length > 0) {
+            const requested = accessibilityNeeds.map(need => ACCESSIBILITY_NEEDS[need]);
+            filteredData = filteredData.filter(restaurant =>
+                hasTags(restaurant.features, requested, 'all')
+            );
+        }
+        
+        // 8. Filter by budget/price range
+        // Runs after every other filter, so when nothing is within budget we can
+        // suggest the closest cheaper restaurants that match everything else
+        let cheaperAlternatives = null;
+        if (budgetLevels) {
+            const withinBudget = filteredData.filter(restaurant => 
+                isOnBudget(restaurant, budgetLevels)
+            );
+            if (withinBudget.length === 0) {
+                const cheapestAccepted = PRICE_RANGES.indexOf(budgetLevels[0]);
+                cheaperAlternatives = filteredData
+                    .filter(restaurant => {
+                        const level = getPriceLevel(restaurant);
+                        return level !== -1 && level < cheapestAccepted;
+                    })
+                    .sort((a, b) => getPriceLevel(b) - getPriceLevel(a) || (b.rating || 0) - (a.rating || 0))
+                    .slice(0, MAX_CHEAPER_ALTERNATIVES);
+            }
+            filteredData = withinBudget;
+        }
+        
+        // 9. Sort (text searches are ranked by relevance unless another order is asked for)
+        if (sortOptions) {
+            filteredData = sortRestaurants(filteredData, sortOptions);
+        } else if (relevance) {
+            filteredData = [...filteredData].sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+        }
+        
+        // 10. Paginate
+        const total = filteredData.length;
+        let pagination;
+        if (paginate) {
+            const totalPages = Math.max(1, Math.ceil(total / limitNum));
+            filteredData = filteredData.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+            pagination = {
+                page: pageNum,
+                limit: limitNum,
+                totalPages,
+                next: pageNum < totalPages ? buildPageLink(req, pageNum + 1, limitNum) : null,
+                prev: pageNum > 1 ? buildPageLink(req, Math.min(pageNum - 1, totalPages), limitNum) : null
+            };
+        }
+        
+        // Transform data to match frontend format (and keep only the requested fields)
+        const toResponseFormat = restaurant => {
+            const transformed = transformRestaurantToFrontendFormat(restaurant);
+            if (origin) {
+                transformed.distance = restaurant.distance;
+            }
+            return selectedFields ? pickFields(transformed, selectedFields) : transformed;
+        };
+        const transformedData = filteredData.map(toResponseFormat);
+        
+        res.status(200).json({
+            success: true,
+            count: transformedData.length,
+            total,
+            ...(pagination && { pagination }),
+            ...(cheaperAlternatives && { cheaperAlternatives: cheaperAlternatives.map(toResponseFormat) }),
+            data: transformedData
+        });
+    } catch (error) {
+        console.error('Error fetching restaurants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching restaurants'
+        });
+    }
+});
+
+/**
+ * GET /api/suggest
+ * 
+ * Autocomplete for the search form fields, built from the restaurant data.
+ * 
+ * QUERY PARAMS:
+ * - field: "cuisine", "city" or "name", required
+ * - prefix: what the user typed so far, optional (empty suggests the most common values)
+ * - limit: number of suggestions, optional (defaults to 8, max 20)
+ * 
+ * RETURNS: [{ value, count }] - count is the number of restaurants with that value
+ * STATUS: 200 on success, 400 if the query is invalid
+ */
+app.get('/api/suggest', validateRequest({ query: SUGGEST_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const { field, prefix = '', limit } = req.query;
+        const limitNum = limit === undefined ? DEFAULT_SUGGESTION_LIMIT : Number(limit);
+        
+        const suggestions = getSuggestions(field, prefix, limitNum);
+        
+        res.status(200).json({
+            success: true,
+            count: suggestions.length,
+            data: suggestions
+        });
+    } catch (error) {
+        console.error('Error fetching suggestions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching suggestions'
+        });
+    }
+});
+
+/**
+ * GET /api/restaurants/export
+ * 
+ * Downloads restaurants in the format POST /api/restaurants/import reads, so the
+ * file can be edited and imported again.
+ * 
+ * Query parameters:
+ * - format: 'json' (default) or 'csv'. CSV has no tables column, writes hours as
+ *   text ("Mon-Fri: 12:00-23:00") and joins lists with ";".
+ * 
+ * ACCESS: owners (their own restaurants) and admins (all restaurants)
+ * RETURNS: restaurants.json (array of restaurants) or restaurants.csv
+ * STATUS: 200, 400 if the format is unknown, 401/403 if not allowed
+ */
+app.get('/api/restaurants/export', requireRole('owner', 'admin'), validateRequest({ query: RESTAURANT_EXPORT_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const format = req.query.format ?? 'json';
+        
+        const rows = restaurantRepository.findAll(restaurant => canManageRestaurant(req.user, restaurant))
+            .map(restaurant => toRestaurantExportRow(restaurant, format));
+        
+        if (format === 'csv') {
+            const lines = [
+                CSV_RESTAURANT_FIELDS.join(','),
+                ...rows.map(row => CSV_RESTAURANT_FIELDS.map(field => toCsvField(row[field])).join(','))
+            ];
+            // The byte order mark makes spreadsheet apps read the Hebrew text as UTF-8
+            return res.status(200)
+                .set('Content-Type', 'text/csv; charset=utf-8')
+                .set('Content-Disposition', 'attachment; filename="restaurants.csv"')
+                .send('\uFEFF' + lines.join('\r\n') + '\r\n');
+        }
+        
+        res.status(200)
+            .set('Content-Type', 'application/json; charset=utf-8')
+            .set('Content-Disposition', 'attachment; filename="restaurants.json"')
+            .send(JSON.stringify(rows, null, 2));
+    } catch (error) {
+        console.error('Error exporting restaurants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while exporting restaurants'
+        });
+    }
+});
+
+/**
+ * POST /api/restaurants/import
+ * 
+ * Adds or updates many restaurants at once. Accepts:
+ * - CSV (Content-Type: text/csv) with a header line of RESTAURANT_TRANSFER_FIELDS columns
+ *   (all but tables), address as text and hours like "Mon-Fri: 12:00-23:00"
+ * - JSON: an array of restaurants, or { restaurants: [...] }
+ * 
+ * Every row is checked like POST /api/restaurants (RESTAURANT_SCHEMA). A row with
+ * the same name and address as an existing restaurant updates it (its empty cells
+ * keep the current values); other rows create restaurants. Owners import as the
+ * owner of the new restaurants and can only update their own; admins may set ownerId.
+ * 
+ * Nothing is imported unless every row is valid. With ?dryRun=true nothing is
+ * written either way, and the report tells what an import would do.
+ * 
+ * ACCESS: owners and admins
+ * RETURNS: { dryRun, total, created, updated, failed, rows: [{ row, name, action, id, errors }] }
+ *          action is 'create' or 'update' (null for rows with errors); id is the restaurant's;
+ *          errors are the row's [{ field, message }]
+ * STATUS: 200 if imported (or checked), 400 if the file or any row is invalid, 401/403 if not allowed
+ */
+app.post('/api/restaurants/import', requireRole('owner', 'admin'), express.text({ type: 'text/csv', limit: '10mb' }), validateRequest({ query: RESTAURANT_IMPORT_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        let rows;
+        // Number of cells on each CSV line, to catch lines whose columns shifted
+        let cellCounts = null;
+        let columnCount = null;
+        
+        if (req.is('text/csv')) {
+            const csv = parseCsv(typeof req.body === 'string' ? req.body : '');
+            if (csv.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: csv.error
+                });
+            }
+            const unknownColumns = csv.header.filter(column => !CSV_RESTAURANT_FIELDS.includes(column));
+            if (unknownColumns.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown CSV columns: ${unknownColumns.join(', ')}. Valid columns: ${CSV_RESTAURANT_FIELDS.join(', ')}`
+                });
+            }
+            rows = csv.rows.map(values => Object.fromEntries(csv.header.map((column, index) => [column, values[index] ?? ''])));
+            cellCounts = csv.rows.map(values => values.length);
+            columnCount = csv.header.length;
+        } else {
+            rows = Array.isArray(req.body) ? req.body : req.body?.restaurants;
+            if (!Array.isArray(rows)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Send a CSV file (Content-Type: text/csv) or a JSON array of restaurants'
+                });
+            }
+        }
+        
+        if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                message: `An import must have between 1 and ${MAX_IMPORT_ROWS} rows`
+            });
+        }
+        
+        const existingByKey = new Map(restaurantRepository.findAll()
+            .map(restaurant => [getRestaurantImportKey(restaurant.name, restaurant.address), restaurant]));
+        const rowByKey = new Map();
+        
+        const report = rows.map((row, index) => {
+            const result = { row: index + 1, name: null, action: null, id: null, errors: [] };
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                result.errors.push({ field: null, message: 'Row must be an object' });
+                return result;
+            }
+            
+            const { restaurant, errors } = normalizeImportRow(row);
+            result.name = restaurant.name ?? null;
+            result.errors = [...errors, ...validateSchema(RESTAURANT_SCHEMA, restaurant)];
+            if (cellCounts && cellCounts[index] !== columnCount) {
+                // e.g. an unquoted comma in the address, which moves every following cell
+                result.errors.unshift({
+                    field: null,
+                    message: `Row has ${cellCounts[index]} cells but the header has ${columnCount} columns (quote cells that contain commas)`
+                });
+            }
+            // Owners may keep their own id (it is in their export), but cannot name another owner
+            if (req.user.role !== 'admin' && restaurant.ownerId != null && restaurant.ownerId !== req.user.id) {
+                result.errors.push(OWNER_ID_ADMIN_ONLY_ERROR);
+            }
+            if (result.errors.length > 0) return result;
+            
+            const key = getRestaurantImportKey(restaurant.name, restaurant.address);
+            const existing = existingByKey.get(key);
+            if (rowByKey.has(key)) {
+                result.errors.push({ field: 'name', message: `Same name and address as row ${rowByKey.get(key).row}` });
+            } else if (existing && !canManageRestaurant(req.user, existing)) {
+                result.errors.push({ field: 'name', message: 'A restaurant with this name and address belongs to another owner' });
+            }
+            rowByKey.set(key, result);
+            
+            result.action = result.errors.length > 0 ? null : (existing ? 'update' : 'create');
+            result.id = existing ? existing.id : null;
+            result.restaurant = restaurant;
+            return result;
+        });
+        
+        const failed = report.filter(result => result.errors.length > 0);
+        
+        if (!dryRun && failed.length === 0) {
+            report.forEach(result => {
+                const fields = toStoredRestaurantFields(result.restaurant);
+                // Only admins can choose the owner (an owner's rows can only carry their own id)
+                const ownerId = req.user.role === 'admin' ? result.restaurant.ownerId : undefined;
+                
+                if (result.action === 'update') {
+                    const existing = restaurantRepository.findById(result.id);
+                    // With a table inventory, maxGuests follows the number of seats
+                    const tables = fields.tables ?? existing.tables;
+                    if (Array.isArray(tables) && tables.length > 0) {
+                        fields.maxGuests = getTotalSeats(tables);
+                    }
+                    restaurantRepository.update(result.id, { ...fields, ...(ownerId !== undefined && { ownerId }) });
+                } else {
+                    result.id = restaurantRepository.create({
+                        latitude: null,
+                        longitude: null,
+                        timezone: null,
+                        specialHours: [], // Managed through /api/restaurants/:id/special-hours
+                        rating: null, // Derived from reviews (see updateRestaurantRating)
+                        reviewCount: 0,
+                        price_range: null,
+                        hours_of_operation: null,
+                        openingHours: null,
+                        imageUrl: null,
+                        phoneNumber: null,
+                        website: null,
+                        description: null,
+                        dietaryOptions: null,
+                        features: null,
+                        tables: null,
+                        maxGuests: 50,
+                        ...fields,
+                        ...(fields.tables && { maxGuests: getTotalSeats(fields.tables) }),
+                        ownerId: req.user.role === 'admin' ? (ownerId ?? null) : req.user.id
+                    }).id;
+                }
+            });
+        }
+        
+        const data = {
+            dryRun,
+            total: report.length,
+            created: report.filter(result => result.action === 'create').length,
+            updated: report.filter(result => result.action === 'update').length,
+            failed: failed.length,
+            rows: report.map(({ restaurant, ...result }) => result)
+        };
+        
+        if (failed.length > 0 && !dryRun) {
+            // rows[0] is the first row of the file (its row number is 1)
+            return res.status(400).json({
+                success: false,
+                code: 'VALIDATION_FAILED',
+                message: `${failed.length} of ${report.length} rows are invalid; nothing was imported`,
+                errors: failed.flatMap(result => result.errors.map(error => ({
+                    field: `rows[${result.row - 1}]${error.field ? `.${error.field}` : ''}`,
+                    message: `Row ${result.row}: ${error.message}`
+                }))),
+                data
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${data.created} to create, ${data.updated} to update, ${data.failed} invalid`
+                : `Imported ${report.length} restaurants (${data.created} created, ${data.updated} updated)`,
+            data
+        });
+    } catch (error) {
+        console.error('Error importing restaurants:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while importing restaurants'
+        });
+    }
+});
+
+/**
+ * GET /api/restaurants/:id
+ * 
+ * WHY THIS CHANGE: RESTful API best practice - individual resource retrieval.
+ * 
+ * RETURNS: Single restaurant by ID
+ * STATUS: 200 if found, 404 if not found
+ */
+app.get('/api/restaurants/:id', validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        // Transform data to match frontend format
+        const transformedRestaurant = transformRestaurantToFrontendFormat(restaurant);
+        
+        res.status(200).json({
+            success: true,
+            data: transformedRestaurant
+        });
+    } catch (error) {
+        console.error('Error fetching restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching restaurant'
+        });
+        
+    }
+});
+
+/**
+ * GET /api/restaurants/:id/availability
+ * 
+ * Lists the bookable start times for a restaurant on a given day.
+ * 
+ * QUERY PARAMS:
+ * - date: string (YYYY-MM-DD), required
+ * - numGuests: number, optional (defaults to 1)
+ * - seatingArea: string, optional - only count tables in this area (see TABLE_AREAS)
+ * 
+ * Times are the restaurant's local time; for today, slots that have passed are left out.
+ * 
+ * RETURNS: { restaurantId, date, numGuests, seatingArea, timezone, seatingDuration, specialHours, slots: [{ time, availableCapacity }] }
+ *          specialHours is the entry that overrides the weekly hours on that date, or null
+ * STATUS: 200 if found, 400 if the query is invalid, 404 if not found
+ */
+app.get('/api/restaurants/:id/availability', validateRequest({ query: AVAILABILITY_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const { date, numGuests, seatingArea } = req.query;
+        const guests = numGuests === undefined ? 1 : Number(numGuests);
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        // "Today" is the restaurant's local date
+        const dateValidation = validateDate(date, getRestaurantTimezone(restaurant));
+        if (!dateValidation.isValid) {
+            return sendValidationErrors(res, [{ field: 'date', message: dateValidation.error }]);
+        }
+        
+        if (seatingArea && !getRestaurantAreas(restaurant).includes(seatingArea)) {
+            return sendValidationErrors(res, [{ field: 'seatingArea', message: `This restaurant has no ${seatingArea} seating` }]);
+        }
+        
+        const slots = getBookableSlots(restaurant, date, guests, undefined, seatingArea);
+        
+        res.status(200).json({
+            success: true,
+            count: slots.length,
+            data: {
+                restaurantId: id,
+                date,
+                numGuests: guests,
+                seatingArea: seatingArea || null,
+                timezone: getRestaurantTimezone(restaurant),
+                seatingDuration: getSeatingDuration(restaurant),
+                specialHours: getSpecialHoursForDate(restaurant, date),
+                slots
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching availability:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching availability'
+        });
+    }
+});
+
+/**
+ * POST /api/restaurants
+ * 
+ * WHY THIS CHANGE: Allows creating new restaurants (CRUD - Create operation).
+ * 
+ * CREATES: New restaurant
+ * ACCESS: owners (who become the restaurant's owner) and admins (who may set ownerId;
+ * an owner sending it gets a validation error)
+ * RETURNS: Created restaurant with assigned ID
+ * STATUS: 201 if created, 400 if validation fails, 401/403 if not allowed
+ */
+app.post('/api/restaurants', requireRole('owner', 'admin'), validateRequest({ body: RESTAURANT_SCHEMA, query: {} }), (req, res) => {
+    try {
+        // Owners always own the restaurants they create
+        if (req.user.role !== 'admin' && req.body.ownerId !== undefined) {
+            return sendValidationErrors(res, [OWNER_ID_ADMIN_ONLY_ERROR]);
+        }
+        
+        const tables = req.body.tables ? normalizeTables(req.body.tables) : null;
+        
+        // Create new restaurant - accept both frontend and backend formats
+        const newRestaurant = restaurantRepository.create({
+            name: req.body.name.trim(),
+            cuisine: req.body.cuisine.trim(),
+            address: typeof req.body.address === 'object' 
+                ? req.body.address 
+                : req.body.address.trim(),
+            latitude: req.body.latitude ?? null,
+            longitude: req.body.longitude ?? null,
+            timezone: req.body.timezone || null,
+            specialHours: [], // Managed through /api/restaurants/:id/special-hours
+            rating: null, // Derived from reviews (see updateRestaurantRating)
+            reviewCount: 0,
+            price_range: req.body.priceRange || req.body.price_range || null,
+            hours_of_operation: req.body.openingHours 
+                ? null // Will be converted from openingHours if needed
+                : req.body.hours_of_operation || null,
+            openingHours: req.body.openingHours || req.body.hours_of_operation
+                ? toOpeningHours(req.body.openingHours || req.body.hours_of_operation)
+                : null,
+            imageUrl: req.body.imageUrl || null,
+            phoneNumber: req.body.phoneNumber || null,
+            website: req.body.website || null,
+            description: req.body.description || null,
+            dietaryOptions: req.body.dietaryOptions || null,
+            features: req.body.features || null,
+            // With a table inventory, the capacity is its number of seats
+            tables,
+            maxGuests: tables ? getTotalSeats(tables) : (req.body.maxGuests || 50),
+            seatingDuration: req.body.seatingDuration ?? null,
+            ownerId: req.user.role === 'admin' ? (req.body.ownerId ?? null) : req.user.id
+        });
+        
+        // Transform to frontend format for response
+        const transformedRestaurant = transformRestaurantToFrontendFormat(newRestaurant);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Restaurant created successfully',
+            data: transformedRestaurant
+        });
+    } catch (error) {
+        console.error('Error creating restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while creating restaurant'
+        });
+    }
+});
+
+/**
+ * PUT /api/restaurants/:id
+ * 
+ * WHY THIS CHANGE: Allows updating existing restaurants (CRUD - Update operation).
+ * 
+ * UPDATES: Restaurant by ID
+ * ACCESS: the restaurant's owner and admins (only admins can send ownerId; an owner
+ * sending it gets a validation error, as for read-only fields)
+ * RETURNS: Updated restaurant
+ * STATUS: 200 if updated, 404 if not found, 400 if validation fails, 401/403 if not allowed
+ */
+app.put('/api/restaurants/:id', requireRole('owner', 'admin'), validateRequest({ body: RESTAURANT_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit restaurants you own'
+            });
+        }
+        
+        // Only admins can hand a restaurant over to another owner
+        if (req.user.role !== 'admin' && req.body.ownerId !== undefined) {
+            return sendValidationErrors(res, [OWNER_ID_ADMIN_ONLY_ERROR]);
+        }
+        
+        // Update restaurant - handle both frontend and backend formats.
+        // RESTAURANT_SCHEMA only lets editable fields through: the ID, the rating (from
+        // reviews) and special hours (their own endpoints) are rejected as read-only
+        const updateData = { ...req.body };
+        
+        // With a table inventory, maxGuests follows the number of seats
+        if (req.body.tables) {
+            updateData.tables = normalizeTables(req.body.tables);
+        }
+        const tables = 'tables' in updateData ? updateData.tables : restaurant.tables;
+        if (Array.isArray(tables) && tables.length > 0) {
+            updateData.maxGuests = getTotalSeats(tables);
+        }
+        
+        // Convert frontend format to backend format if needed
+        if (req.body.priceRange && !req.body.price_range) {
+            updateData.price_range = req.body.priceRange;
+        }
+        if (req.body.openingHours || req.body.hours_of_operation) {
+            // Keep openingHours for transformation, always as lists of windows (text is parsed)
+            updateData.openingHours = toOpeningHours(req.body.openingHours || req.body.hours_of_operation);
+        }
+        
+        const updatedRestaurant = restaurantRepository.update(id, updateData);
+        
+        // Transform to frontend format for response
+        const transformedRestaurant = transformRestaurantToFrontendFormat(updatedRestaurant);
+        
+        res.status(200).json({
+            success: true,
+            message: 'Restaurant updated successfully',
+            data: transformedRestaurant
+        });
+    } catch (error) {
+        console.error('Error updating restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while updating restaurant'
+        });
+    }
+});
+
+/**
+ * DELETE /api/restaurants/:id
+ * 
+ * WHY THIS CHANGE: Allows deleting restaurants (CRUD - Delete operation).
+ * 
+ * DELETES: Restaurant by ID, together with what only makes sense while it exists:
+ * - its upcoming reservations are cancelled (diners are notified as for any cancellation)
+ * - its waitlist entries that are still waiting expire
+ * - its reviews are deleted
+ * Past reservations are kept as the diners' history.
+ * ACCESS: the restaurant's owner and admins
+ * RETURNS: Success message and { cancelledReservations, expiredWaitlistEntries, deletedReviews }
+ * STATUS: 200 if deleted, 404 if not found, 401/403 if not allowed
+ */
+app.delete('/api/restaurants/:id', requireRole('owner', 'admin'), validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete restaurants you own'
+            });
+        }
+        
+        // Cancelled before the restaurant is removed, so the events still carry its name and contacts
+        const now = new Date().toISOString();
+        const upcoming = reservationRepository.findAll(reservation =>
+            reservation.restaurantId === id &&
+            RESERVATION_STATUS_TRANSITIONS[reservation.status].includes('cancelled') &&
+            !hasSlotPassed(restaurant, reservation.date, reservation.time)
+        );
+        upcoming.forEach(reservation => {
+            const cancelledReservation = reservationRepository.update(reservation.id, {
+                status: 'cancelled',
+                calendarSequence: nextCalendarSequence(reservation, { status: 'cancelled' }),
+                updatedAt: now
+            });
+            recordReservationEvent('reservation.cancelled', cancelledReservation);
+        });
+        
+        const waiting = waitlistRepository.findAll(entry => entry.restaurantId === id && entry.status === 'waiting');
+        waiting.forEach(entry => waitlistRepository.update(entry.id, { status: 'expired', updatedAt: now }));
+        
+        const reviews = reviewRepository.findAll(review => review.restaurantId === id);
+        reviews.forEach(review => reviewRepository.remove(review.id));
+        
+        restaurantRepository.remove(id);
+        
+        res.status(200).json({
+            success: true,
+            message: `Restaurant with ID ${id} deleted successfully`,
+            data: {
+                cancelledReservations: upcoming.length,
+                expiredWaitlistEntries: waiting.length,
+                deletedReviews: reviews.length
+            }
+        });
+    } catch (error) {
+        console.error('Error deleting restaurant:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting restaurant'
+        });
+    }
+});
+
+/**
+ * Review Endpoints
+ * 
+ * Diners with a completed reservation review the restaurant (1-5 stars plus text).
+ * The restaurant's owner can reply, admins can hide reviews. Every change that
+ * affects which reviews are visible recomputes the restaurant's rating.
+ */
+
+/**
+ * GET /api/restaurants/:id/reviews
+ * 
+ * QUERY PARAMS:
+ * - page, limit: which page to return (limit defaults to 20, max 100)
+ * 
+ * RETURNS: Reviews, newest first, with `pagination` (next / prev links).
+ *          Hidden reviews are only listed for admins.
+ * STATUS: 200 if found, 400 if the query is invalid, 404 if not found
+ */
+app.get('/api/restaurants/:id/reviews', validateRequest({ query: PAGE_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const pageNum = req.query.page === undefined ? 1 : Number(req.query.page);
+        const limitNum = req.query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(req.query.limit);
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        const isAdmin = req.user && req.user.role === 'admin';
+        const reviews = reviewRepository
+            .findAll(review => review.restaurantId === id && (isAdmin || !review.hidden))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+        
+        const total = reviews.length;
+        const totalPages = Math.max(1, Math.ceil(total / limitNum));
+        const page = reviews.slice((pageNum - 1) * limitNum, pageNum * limitNum);
+        
+        res.status(200).json({
+            success: true,
+            count: page.length,
+            total,
+            pagination: {
+                page: pageNum,
+                limit: limitNum,
+                totalPages,
+                next: pageNum < totalPages ? buildPageLink(req, pageNum + 1, limitNum) : null,
+                prev: pageNum > 1 ? buildPageLink(req, Math.min(pageNum - 1, totalPages), limitNum) : null
+            },
+            data: page.map(transformReviewToResponseFormat)
+        });
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching reviews'
+        });
+    }
+});
+
+/**
+ * POST /api/restaurants/:id/reviews
+ * 
+ * REQUEST BODY:
+ * {
+ *   rating: number (1-5, whole stars),
+ *   text: string,
+ *   reservationId: number (optional) - the visit being reviewed; defaults to
+ *                  the user's earliest completed reservation not reviewed yet
+ * }
+ * 
+ * ACCESS: diners with a completed reservation at the restaurant, one review per reservation
+ * RETURNS: Created review
+ * STATUS: 201 if created, 400 if validation fails, 403 if the user has no completed
+ *         reservation there, 404 if not found, 409 if the visit was already reviewed
+ */
+app.post('/api/restaurants/:id/reviews', requireAuth, validateRequest({ body: REVIEW_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        const { rating, text, reservationId } = req.body;
+        
+        const completed = reservationRepository
+            .findAll(reservation => reservation.userId === req.user.id &&
+                reservation.restaurantId === id &&
+                reservation.status === 'completed')
+            .sort((a, b) => a.id - b.id);
+        
+        if (completed.length === 0) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only diners with a completed reservation at this restaurant can review it'
+            });
+        }
+        
+        const reviewed = new Set(
+            reviewRepository.findAll(review => review.userId === req.user.id && review.restaurantId === id)
+                .map(review => review.reservationId)
+        );
+        
+        let reservation;
+        if (reservationId !== undefined) {
+            reservation = completed.find(r => r.id === reservationId);
+            if (!reservation) {
+                return sendValidationErrors(res, [{
+                    field: 'reservationId',
+                    message: 'reservationId must be one of your completed reservations at this restaurant'
+                }]);
+            }
+        } else {
+            reservation = completed.find(r => !reviewed.has(r.id)) || completed[0];
+        }
+        
+        if (reviewed.has(reservation.id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'You have already reviewed this visit'
+            });
+        }
+        
+        const now = new Date().toISOString();
+        const review = reviewRepository.create({
+            restaurantId: id,
+            userId: req.user.id,
+            reservationId: reservation.id,
+            rating,
+            text: text.trim(),
+            reply: null,
+            hidden: false,
+            createdAt: now,
+            updatedAt: now
+        });
+        updateRestaurantRating(id);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Review posted successfully',
+            data: transformReviewToResponseFormat(review)
+        });
+    } catch (error) {
+        console.error('Error posting review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while posting review'
+        });
+    }
+});
+
+/**
+ * PUT /api/restaurants/:id/reviews/:reviewId/reply
+ * 
+ * Sets (or replaces) the restaurant's public reply to a review.
+ * 
+ * REQUEST BODY: { text: string }
+ * 
+ * ACCESS: the restaurant's owner and admins
+ * RETURNS: Updated review
+ * STATUS: 200 if updated, 400 if validation fails, 404 if not found, 401/403 if not allowed
+ */
+app.put('/api/restaurants/:id/reviews/:reviewId/reply', requireRole('owner', 'admin'), validateRequest({ body: REVIEW_REPLY_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const reviewId = parseInt(req.params.reviewId);
+        
+        if (isNaN(id) || isNaN(reviewId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant or review ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        const review = reviewRepository.findById(reviewId);
+        
+        if (!restaurant || !review || review.restaurantId !== id) {
+            return res.status(404).json({
+                success: false,
+                message: `Review with ID ${reviewId} not found for restaurant ${id}`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only reply to reviews of restaurants you own'
+            });
+        }
+        
+        const { text } = req.body;
+        
+        const now = new Date().toISOString();
+        const updatedReview = reviewRepository.update(reviewId, {
+            reply: { text: text.trim(), createdAt: now },
+            updatedAt: now
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Reply saved successfully',
+            data: transformReviewToResponseFormat(updatedReview)
+        });
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while replying to review'
+        });
+    }
+});
+
+/**
+ * PATCH /api/restaurants/:id/reviews/:reviewId
+ * 
+ * Hides a review (e.g. abusive or off-topic) or shows it again. Hidden reviews
+ * do not count towards the restaurant's rating.
+ * 
+ * REQUEST BODY: { hidden: boolean }
+ * 
+ * ACCESS: admins
+ * RETURNS: Updated review
+ * STATUS: 200 if updated, 400 if validation fails, 404 if not found, 401/403 if not allowed
+ */
+app.patch('/api/restaurants/:id/reviews/:reviewId', requireRole('admin'), validateRequest({ body: REVIEW_MODERATION_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const reviewId = parseInt(req.params.reviewId);
+        
+        if (isNaN(id) || isNaN(reviewId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant or review ID format'
+            });
+        }
+        
+        const review = reviewRepository.findById(reviewId);
+        
+        if (!review || review.restaurantId !== id) {
+            return res.status(404).json({
+                success: false,
+                message: `Review with ID ${reviewId} not found for restaurant ${id}`
+            });
+        }
+        
+        const updatedReview = reviewRepository.update(reviewId, {
+            hidden: req.body.hidden,
+            updatedAt: new Date().toISOString()
+        });
+        updateRestaurantRating(id);
+        
+        res.status(200).json({
+            success: true,
+            message: req.body.hidden ? 'Review hidden' : 'Review shown',
+            data: transformReviewToResponseFormat(updatedReview)
+        });
+    } catch (error) {
+        console.error('Error moderating review:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while moderating review'
+        });
+    }
+});
+
+/**
+ * Special Hours Endpoints
+ * 
+ * Dated exceptions to a restaurant's weekly openingHours: closed all day
+ * (Yom Kippur, private events) or custom hours (holiday eves). They override the
+ * weekly schedule everywhere the opening hours are checked: search, reservations
+ * and availability. Entries of one restaurant cannot overlap.
+ */
+
+/**
+ * GET /api/restaurants/:id/special-hours
+ * 
+ * QUERY PARAMS:
+ * - upcoming: "true" to leave out entries that are already over
+ * 
+ * RETURNS: Array of special hours entries, ordered by startDate
+ * STATUS: 200 if found, 404 if not found
+ */
+app.get('/api/restaurants/:id/special-hours', validateRequest({ query: SPECIAL_HOURS_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        let specialHours = restaurant.specialHours || [];
+        if (req.query.upcoming === 'true') {
+            const today = getLocalDateTime(getRestaurantTimezone(restaurant)).date;
+            specialHours = specialHours.filter(entry => entry.endDate >= today);
+        }
+        
+        res.status(200).json({
+            success: true,
+            count: specialHours.length,
+            data: specialHours
+        });
+    } catch (error) {
+        console.error('Error fetching special hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching special hours'
+        });
+    }
+});
+
+/**
+ * POST /api/restaurants/:id/special-hours
+ * 
+ * REQUEST BODY:
+ * {
+ *   date: string (YYYY-MM-DD)          - a single day, or
+ *   startDate, endDate: string         - an inclusive date range
+ *   closed: true                       - closed all day, or
+ *   open, close: string (HH:MM)        - custom hours
+ *   note: string (optional)            - e.g. "Yom Kippur"
+ * }
+ * 
+ * ACCESS: the restaurant's owner and admins
+ * RETURNS: Created special hours entry
+ * STATUS: 201 if created, 400 if validation fails, 404 if not found,
+ *         409 if it overlaps an existing entry, 401/403 if not allowed
+ */
+app.post('/api/restaurants/:id/special-hours', requireRole('owner', 'admin'), validateRequest({ body: SPECIAL_HOURS_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid restaurant ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit restaurants you own'
+            });
+        }
+        
+        const validation = validateSpecialHours(req.body, getRestaurantTimezone(restaurant));
+        if (!validation.isValid) {
+            return sendValidationErrors(res, validation.errors);
+        }
+        
+        const specialHours = restaurant.specialHours || [];
+        const overlapping = findOverlappingSpecialHours(specialHours, validation.value);
+        if (overlapping.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Overlaps existing special hours: ${overlapping.map(entry => `${entry.startDate} to ${entry.endDate}`).join(', ')}`
+            });
+        }
+        
+        const entry = { id: getNextId('specialHours'), ...validation.value };
+        restaurantRepository.update(id, {
+            specialHours: [...specialHours, entry].sort((a, b) => a.startDate.localeCompare(b.startDate))
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Special hours added successfully',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error adding special hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while adding special hours'
+        });
+    }
+});
+
+/**
+ * PUT /api/restaurants/:id/special-hours/:entryId
+ * 
+ * Replaces a special hours entry (same body as POST).
+ * 
+ * ACCESS: the restaurant's owner and admins
+ * RETURNS: Updated special hours entry
+ * STATUS: 200 if updated, 400 if validation fails, 404 if not found,
+ *         409 if it overlaps another entry, 401/403 if not allowed
+ */
+app.put('/api/restaurants/:id/special-hours/:entryId', requireRole('owner', 'admin'), validateRequest({ body: SPECIAL_HOURS_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const entryId = parseInt(req.params.entryId);
+        
+        if (isNaN(id) || isNaN(entryId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit restaurants you own'
+            });
+        }
+        
+        const specialHours = restaurant.specialHours || [];
+        if (!specialHours.some(entry => entry.id === entryId)) {
+            return res.status(404).json({
+                success: false,
+                message: `Special hours with ID ${entryId} not found`
+            });
+        }
+        
+        const validation = validateSpecialHours(req.body, getRestaurantTimezone(restaurant));
+        if (!validation.isValid) {
+            return sendValidationErrors(res, validation.errors);
+        }
+        
+        const overlapping = findOverlappingSpecialHours(specialHours, validation.value, entryId);
+        if (overlapping.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Overlaps existing special hours: ${overlapping.map(entry => `${entry.startDate} to ${entry.endDate}`).join(', ')}`
+            });
+        }
+        
+        const updatedEntry = { id: entryId, ...validation.value };
+        restaurantRepository.update(id, {
+            specialHours: specialHours
+                .map(entry => entry.id === entryId ? updatedEntry : entry)
+                .sort((a, b) => a.startDate.localeCompare(b.startDate))
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: 'Special hours updated successfully',
+            data: updatedEntry
+        });
+    } catch (error) {
+        console.error('Error updating special hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while updating special hours'
+        });
+    }
+});
+
+/**
+ * DELETE /api/restaurants/:id/special-hours/:entryId
+ * 
+ * Removes a special hours entry; the weekly hours apply again on those dates.
+ * 
+ * ACCESS: the restaurant's owner and admins
+ * STATUS: 200 if deleted, 404 if not found, 401/403 if not allowed
+ */
+app.delete('/api/restaurants/:id/special-hours/:entryId', requireRole('owner', 'admin'), validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const entryId = parseInt(req.params.entryId);
+        
+        if (isNaN(id) || isNaN(entryId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid ID format'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(id);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${id} not found`
+            });
+        }
+        
+        if (!canManageRestaurant(req.user, restaurant)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only edit restaurants you own'
+            });
+        }
+        
+        const specialHours = restaurant.specialHours || [];
+        if (!specialHours.some(entry => entry.id === entryId)) {
+            return res.status(404).json({
+                success: false,
+                message: `Special hours with ID ${entryId} not found`
+            });
+        }
+        
+        restaurantRepository.update(id, {
+            specialHours: specialHours.filter(entry => entry.id !== entryId)
+        });
+        
+        res.status(200).json({
+            success: true,
+            message: `Special hours with ID ${entryId} deleted successfully`
+        });
+    } catch (error) {
+        console.error('Error deleting special hours:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while deleting special hours'
+        });
+    }
+});
+
+/**
+ * POST /api/reservations
+ * 
+ * Creates a new reservation for a seating that starts at the requested time and
+ * lasts the restaurant's seating duration. Capacity is checked against the
+ * bookings that overlap that seating only.
+ * 
+ * REQUEST BODY:
+ * {
+ *   restaurantId: number,
+ *   date: string (YYYY-MM-DD),
+ *   time: string (HH:MM),
+ *   numGuests: number,
+ *   seatingArea?: string (see TABLE_AREAS),
+ *   accessibility?: string[] (see ACCESSIBILITY_NEEDS),
+ *   occasion?: string (see OCCASIONS),
+ *   notes?: string
+ * }
+ * 
+ * The preferences are checked against the restaurant's tables and features,
+ * and are shown to the restaurant with the reservation.
+ * 
+ * The diner and the restaurant are notified (see 3.2 NOTIFICATIONS), as they are
+ * when the reservation is changed or cancelled.
+ * 
+ * ACCESS: any logged-in user; the reservation belongs to them
+ * RETURNS: Created reservation with assigned ID and status
+ * STATUS: 201 if created, 400 if validation fails, 401 if not logged in, 404 if restaurant not found
+ * 
+ * If the restaurant is closed or full at the requested time, the 400 response
+ * also carries `alternatives`: [{ date, time, availableCapacity }], and
+ * `canJoinWaitlist: true` when the slot is only full (see POST /api/waitlist)
+ */
+app.post('/api/reservations', requireAuth, validateRequest({ body: RESERVATION_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const { restaurantId, date, time, numGuests: guests } = req.body;
+        
+        const restaurant = restaurantRepository.findById(restaurantId);
+        
+        if (!restaurant) {
+            return res.status(404).json({
+                success: false,
+                message: `Restaurant with ID ${restaurantId} not found`
+            });
+        }
+        
+        // Check the date is not in the past (in the restaurant's timezone)
+        const dateValidation = validateDate(date, getRestaurantTimezone(restaurant));
+        if (!dateValidation.isValid) {
+            return sendValidationErrors(res, [{ field: 'date', message: dateValidation.error }]);
+        }
+        
+        const preferences = validateReservationPreferences(restaurant, req.body);
+        if (preferences.errors.length > 0) {
+            return sendValidationErrors(res, preferences.errors);
+        }
+        const { seatingArea } = preferences.value;
+        
+        // Check opening hours and capacity for the requested seating.
+        // When it cannot be booked, suggest the nearest slots that can.
+        const slot = { date, time, numGuests: guests, seatingArea };
+        const slotValidation = validateReservationSlot(restaurant, slot);
+        if (!slotValidation.isValid) {
+            return res.status(400).json({
+                success: false,
+                code: SLOT_ERROR_CODES[slotValidation.reason],
+                message: slotValidation.error,
+                alternatives: findNearestAlternatives(restaurant, slot),
+                // A full slot can be waited for with POST /api/waitlist
+                canJoinWaitlist: slotValidation.reason === 'full' && guests <= getMaxPartySize(restaurant, seatingArea)
+            });
+        }
+        
+        // Store the reservation so it counts against overlapping seatings.
+        // Seats are held immediately, so new reservations start out confirmed.
+        const now = new Date().toISOString();
+        const newReservation = reservationRepository.create({
+            restaurantId,
+            userId: req.user.id,
+            date,
+            time,
+            numGuests: guests,
+            duration: getSeatingDuration(restaurant),
+            tableIds: slotValidation.tableIds,
+            ...DEFAULT_RESERVATION_PREFERENCES,
+            ...preferences.value,
+            status: 'confirmed',
+            reminderSentAt: null,
+            calendarSequence: 0,
+            createdAt: now,
+            updatedAt: now
+        });
+        recordReservationEvent('reservation.created', newReservation);
+        
+        res.status(201).json({
+            success: true,
+            message: 'Reservation created successfully',
+            data: transformReservationToResponseFormat(newReservation, true)
+        });
+    } catch (error) {
+        console.error('Error creating reservation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while creating reservation'
+        });
+    }
+});
+
+/**
+ * GET /api/reservations
+ * 
+ * RETURNS: Array of reservations the user may see:
+ * - diners: their own reservations
+ * - owners: their own reservations and those of the restaurants they own
+ * - admins: all reservations
+ * QUERY PARAMS (all optional): restaurantId, date (YYYY-MM-DD), status
+ */
+app.get('/api/reservations', requireAuth, validateRequest({ query: RESERVATION_LIST_QUERY_SCHEMA }), (req, res) => {
+    try {
+        let filteredData = reservationRepository.findAll(reservation => 
+            canAccessReservation(req.user, reservation)
+        );
+        const { restaurantId, date, status } = req.query;
+        
+        if (restaurantId) {
+            const restaurantIdNum = Number(restaurantId);
+            filteredData = filteredData.filter(r => r.restaurantId === restaurantIdNum);
+        }
+        
+        if (date) {
+            filteredData = filteredData.filter(r => r.date === date);
+        }
+        
+        if (status) {
+            filteredData = filteredData.filter(r => r.status === status);
+        }
+        
+        const transformedData = filteredData.map(reservation => 
+            transformReservationToResponseFormat(reservation)
+        );
+        
+        res.status(200).json({
+            success: true,
+            count: transformedData.length,
+            data: transformedData
+        });
+    } catch (error) {
+        console.error('Error fetching reservations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching reservations'
+        });
+    }
+});
+
+/**
+ * GET /api/reservations/:id
+ * 
+ * ACCESS: the reservation's diner, the restaurant's owner and admins
+ * RETURNS: Single reservation by ID, including its restaurant
+ * STATUS: 200 if found, 401/403 if not allowed, 404 if not found
+ */
+app.get('/api/reservations/:id', requireAuth, validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reservation ID format'
+            });
+        }
+        
+        const reservation = reservationRepository.findById(id);
+        
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: `Reservation with ID ${id} not found`
+            });
+        }
+        
+        if (!canAccessReservation(req.user, reservation)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to access this reservation'
+            });
+        }
+        
+        res.status(200).json({
+            success: true,
+            data: transformReservationToResponseFormat(reservation, true)
+        });
+    } catch (error) {
+        console.error('Error fetching reservation:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching reservation'
+        });
+    }
+});
+
+/**
+ * GET /api/reservations/:id/calendar.ics
+ * 
+ * The reservation as an iCalendar file, for adding it to a calendar app.
+ * The event keeps the same UID through changes; a cancelled reservation is
+ * exported as a cancelled event, so importing it removes the booked one.
+ * 
+ * ACCESS: the reservation's diner, the restaurant's owner and admins
+ * RETURNS: text/calendar file with one VEVENT
+ * STATUS: 200 if found, 401/403 if not allowed, 404 if not found
+ */
+app.get('/api/reservations/:id/calendar.ics', requireAuth, validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reservation ID format'
+            });
+        }
+        
+        const reservation = reservationRepository.findById(id);
+        
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: `Reservation with ID ${id} not found`
+            });
+        }
+        
+        if (!canAccessReservation(req.user, reservation)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to access this reservation'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(reservation.restaurantId);
+        
+        res.status(200)
+            .set('Content-Type', 'text/calendar; charset=utf-8')
+            .set('Content-Disposition', `attachment; filename="reservation-${id}.ics"`)
+            .send(buildReservationCalendar(reservation, restaurant));
+    } catch (error) {
+        console.error('Error exporting reservation calendar:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while exporting reservation'
+        });
+    }
+});
+
+/**
+ * PATCH /api/reservations/:id
+ * 
+ * Modifies a reservation. Changing the date, time, party size or seating area
+ * re-checks the opening hours and capacity (the reservation's own tables are not counted).
+ * Changing the status must follow RESERVATION_STATUS_TRANSITIONS. Diners can
+ * only cancel; confirming, seating, completing and no-shows are up to the
+ * restaurant's owner (or an admin).
+ * 
+ * REQUEST BODY (all optional):
+ * {
+ *   date: string (YYYY-MM-DD),
+ *   time: string (HH:MM),
+ *   numGuests: number,
+ *   status: string,
+ *   seatingArea, accessibility, occasion, notes (see POST /api/reservations)
+ * }
+ * 
+ * ACCESS: the reservation's diner, the restaurant's owner and admins
+ * RETURNS: Updated reservation
+ * STATUS: 200 if updated, 400 if validation fails, 401/403 if not allowed, 404 if not found
+ */
+app.patch('/api/reservations/:id', requireAuth, validateRequest({ body: RESERVATION_UPDATE_SCHEMA, query: {} }), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid reservation ID format'
+            });
+        }
+        
+        const reservation = reservationRepository.findById(id);
+        
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: `Reservation with ID ${id} not found`
+            });
+        }
+        
+        if (!canAccessReservation(req.user, reservation)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to access this reservation'
+            });
+        }
+        
+        const { date, time, numGuests, status } = req.body;
+        // Moving the party to another area needs a new table, just like another time
+        const changesSlot = date !== undefined || time !== undefined || numGuests !== undefined ||
+            req.body.seatingArea !== undefined;
+        const changesPreferences = Object.keys(DEFAULT_RESERVATION_PREFERENCES)
+            .some(field => req.body[field] !== undefined);
+        
+        if (!changesSlot && !changesPreferences && status === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update: provide date, time, numGuests, status or preferences'
+            });
+        }
+        
+        const restaurant = restaurantRepository.findById(reservation.restaurantId);
+        const updates = {};
+        
+        if (status !== undefined && status !== reservation.status) {
+            if (!RESERVATION_STATUS_TRANSITIONS[reservation.status].includes(status)) {
+                return sendValidationErrors(res, [{
+                    field: 'status',
+                    message: `Cannot change reservation status from ${reservation.status} to ${status}`
+                }]);
+            }
+            const managesRestaurant = canManageRestaurant(req.user, restaurant);
+            if (status !== 'cancelled' && !managesRestaurant) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Only the restaurant can mark a reservation as ${status}`
+                });
+            }
+            updates.status = status;
+        }
+        
+        if (changesSlot || changesPreferences) {
+            // Only reservations that have not been seated yet can be moved, resized or changed
+            if (!['pending', 'confirmed'].includes(reservation.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot modify a reservation that is ${reservation.status}`
+                });
+            }
+        }
+        
+        if (changesPreferences) {
+            if (!restaurant) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Restaurant with ID ${reservation.restaurantId} not found`
+                });
+            }
+            
+            const preferences = validateReservationPreferences(restaurant, req.body);
+            if (preferences.errors.length > 0) {
+                return sendValidationErrors(res, preferences.errors);
+            }
+            Object.assign(updates, preferences.value);
+        }
+        
+        if (changesSlot) {
+            const slot = {
+                date: date !== undefined ? date : reservation.date,
+                time: time !== undefined ? time : reservation.time,
+                numGuests: numGuests !== undefined ? numGuests : reservation.numGuests,
+                seatingArea: updates.seatingArea !== undefined ? updates.seatingArea : reservation.seatingArea
+            };
+            
+            if (!restaurant) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Restaurant with ID ${reservation.restaurantId} not found`
+                });
+            }
+            
+            if (date !== undefined) {
+                const dateValidation = validateDate(slot.date, getRestaurantTimezone(restaurant));
+                if (!dateValidation.isValid) {
+                    return sendValidationErrors(res, [{ field: 'date', message: dateValidation.error }]);
+                }
+            }
+            
+            const slotValidation = validateReservationSlot(restaurant, slot, reservation.id);
+            if (!slotValidation.isValid) {
                 return res.status(400).json({
                     success: false,
-                    message: dateValidation.error
+                    code: SLOT_ERROR_CODES[slotValidation.reason],
+                    message: slotValidation.error,
+                    alternatives: findNearestAlternatives(restaurant, slot, reservation.id)
                 });
             }
             
-            filteredData = filteredData.filter(restaurant => 
-                isRestaurantOpen(restaurant, date, time)
-            );
-        }
-        
-        // 4. Filter by budget/price range
-        if (budget) {
-            filteredData = filteredData.filter(restaurant => 
-                isOnBudget(restaurant, budget)
-            );
-        }
-        
-        // 5. Filter by location (city)
-        if (location) {
-            filteredData = filteredData.filter(restaurant => {
-                const address = typeof restaurant.address === 'string' 
-                    ? restaurant.address 
-                    : `${restaurant.address.street} ${restaurant.address.number}, ${restaurant.address.city}`;
-                return address.toLowerCase().includes(location.toLowerCase());
+            Object.assign(updates, slot, {
+                duration: getSeatingDuration(restaurant),
+                tableIds: slotValidation.tableIds,
+                // The new time gets its own reminder
+                reminderSentAt: null
             });
         }
         
-        // 6. Filter by minimum rating
-        if (rating) {
-            const minRating = parseFloat(rating);
-            if (!isNaN(minRating)) {
-                filteredData = filteredData.filter(restaurant => 
-                    restaurant.rating && restaurant.rating >= minRating
-                );
-            }
-        }
+        const updatedReservation = reservationRepository.update(id, {
+            ...updates,
+            calendarSequence: nextCalendarSequence(reservation, updates),
+            updatedAt: new Date().toISOString()
+        });
         
-        // 7. Filter by number of guests (capacity check)
-        if (numGuests) {
-            const requestedGuests = parseInt(numGuests);
-            if (!isNaN(requestedGuests) && requestedGuests > 0) {
-                filteredData = filteredData.filter(restaurant => {
-                    const maxGuests = restaurant.maxGuests || 50;
-                    const currGuests = restaurant.currGuests || 0;
-                    const availableCapacity = maxGuests - currGuests;
-                    return availableCapacity >= requestedGuests;
-                });
-            }
+        if (updates.status === 'cancelled') {
+            recordReservationEvent('reservation.cancelled', updatedReservation);
+        } else if (changesSlot || changesPreferences) {
+            recordReservationEvent('reservation.modified', updatedReservation, {
+                previous: { date: reservation.date, time: reservation.time, numGuests: reservation.numGuests }
+            });
         }
         
-        // Transform data to match frontend format
-        const transformedData = filteredData.map(restaurant => 
-            transformRestaurantToFrontendFormat(restaurant)
-        );
+        // A cancellation, no-show or smaller/moved booking may free seats for the waitlist
+        promoteWaitlist(reservation.restaurantId);
         
         res.status(200).json({
             success: true,
-            count: transformedData.length,
-            data: transformedData
+            message: 'Reservation updated successfully',
+            data: transformReservationToResponseFormat(updatedReservation, true)
         });
     } catch (error) {
-        console.error('Error fetching restaurants:', error);
+        console.error('Error updating reservation:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while fetching restaurants'
+            message: 'Internal server error while updating reservation'
         });
     }
 });
 
 /**
- * GET /api/restaurants/:id
+ * DELETE /api/reservations/:id
  * 
- * WHY THIS CHANGE: RESTful API best practice - individual resource retrieval.
+ * Cancels a reservation and frees its seats. The reservation is kept with
+ * status "cancelled" so it can still be looked up.
  * 
- * RETURNS: Single restaurant by ID
- * STATUS: 200 if found, 404 if not found
+ * ACCESS: the reservation's diner, the restaurant's owner and admins
+ * RETURNS: Cancelled reservation
+ * STATUS: 200 if cancelled, 400 if it can no longer be cancelled, 401/403 if not allowed, 404 if not found
  */
-app.get('/api/restaurants/:id', (req, res) => {
+app.delete('/api/reservations/:id', requireAuth, validateRequest(NO_INPUT), (req, res) => {
     try {
         const id = parseInt(req.params.id);
         
         if (isNaN(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid restaurant ID format'
+                message: 'Invalid reservation ID format'
             });
         }
         
-        const restaurant = restaurantsData.find(r => 
-            (typeof r.id === 'string' ? parseInt(r.id) : r.id) === id
-        );
+        const reservation = reservationRepository.findById(id);
         
-        if (!restaurant) {
+        if (!reservation) {
             return res.status(404).json({
                 success: false,
-                message: `Restaurant with ID ${id} not found`
+                message: `Reservation with ID ${id} not found`
             });
         }
         
-        // Transform data to match frontend format
-        const transformedRestaurant = transformRestaurantToFrontendFormat(restaurant);
+        if (!canAccessReservation(req.user, reservation)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to access this reservation'
+            });
+        }
+        
+        if (!RESERVATION_STATUS_TRANSITIONS[reservation.status].includes('cancelled')) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot cancel a reservation that is ${reservation.status}`
+            });
+        }
+        
+        const cancelledReservation = reservationRepository.update(id, {
+            status: 'cancelled',
+            calendarSequence: nextCalendarSequence(reservation, { status: 'cancelled' }),
+            updatedAt: new Date().toISOString()
+        });
+        recordReservationEvent('reservation.cancelled', cancelledReservation);
+        
+        // The freed seats go to the first waitlisted parties that fit
+        promoteWaitlist(reservation.restaurantId);
         
         res.status(200).json({
             success: true,
-            data: transformedRestaurant
+            message: `Reservation with ID ${id} cancelled successfully`,
+            data: transformReservationToResponseFormat(cancelledReservation)
         });
     } catch (error) {
-        console.error('Error fetching restaurant:', error);
+        console.error('Error cancelling reservation:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while fetching restaurant'
+            message: 'Internal server error while cancelling reservation'
         });
-        
     }
 });
 
 /**
- * POST /api/restaurants
+ * POST /api/waitlist
  * 
- * WHY THIS CHANGE: Allows creating new restaurants (CRUD - Create operation).
+ * Joins the waitlist for a slot that is fully booked. When seats are freed the
+ * entry is promoted to a confirmed reservation automatically (first come, first
+ * served among the parties that fit).
  * 
- * CREATES: New restaurant
- * RETURNS: Created restaurant with assigned ID
- * STATUS: 201 if created, 400 if validation fails
+ * REQUEST BODY: { restaurantId, date (YYYY-MM-DD), time (HH:MM), numGuests }, plus the
+ * optional preferences of POST /api/reservations; they carry over to the reservation
+ * 
+ * ACCESS: any logged-in user; the entry belongs to them
+ * RETURNS: Created waitlist entry, including its position
+ * STATUS: 201 if created, 400 if validation fails or the slot is closed/passed,
+ *         404 if restaurant not found, 409 if the slot has room or the user already waits for it
  */
-app.post('/api/restaurants', (req, res) => {
+app.post('/api/waitlist', requireAuth, validateRequest({ body: WAITLIST_SCHEMA, query: {} }), (req, res) => {
     try {
-        // Validate input data
-        const validation = validateRestaurant(req.body);
+        const { restaurantId, date, time, numGuests: guests } = req.body;
         
-        if (!validation.isValid) {
-            return res.status(400).json({
+        const restaurant = restaurantRepository.findById(restaurantId);
+        
+        if (!restaurant) {
+            return res.status(404).json({
                 success: false,
-                message: 'Validation failed',
-                errors: validation.errors
+                message: `Restaurant with ID ${restaurantId} not found`
             });
         }
         
-        // Create new restaurant - accept both frontend and backend formats
-        const newRestaurant = {
-            id: getNextId(),
-            name: req.body.name.trim(),
-            cuisine: req.body.cuisine.trim(),
-            address: typeof req.body.address === 'object' 
-                ? req.body.address 
-                : req.body.address.trim(),
-            rating: req.body.rating ? parseFloat(req.body.rating) : null,
-            price_range: req.body.priceRange || req.body.price_range || null,
-            hours_of_operation: req.body.openingHours 
-                ? null // Will be converted from openingHours if needed
-                : req.body.hours_of_operation || null,
-            openingHours: req.body.openingHours || null,
-            imageUrl: req.body.imageUrl || null,
-            phoneNumber: req.body.phoneNumber || null,
-            website: req.body.website || null,
-            description: req.body.description || null,
-            dietaryOptions: req.body.dietaryOptions || null,
-            features: req.body.features || null
-        };
+        const dateValidation = validateDate(date, getRestaurantTimezone(restaurant));
+        if (!dateValidation.isValid) {
+            return sendValidationErrors(res, [{ field: 'date', message: dateValidation.error }]);
+        }
         
-        restaurantsData.push(newRestaurant);
+        const preferences = validateReservationPreferences(restaurant, req.body);
+        if (preferences.errors.length > 0) {
+            return sendValidationErrors(res, preferences.errors);
+        }
+        const { seatingArea } = preferences.value;
         
-        // Transform to frontend format for response
-        const transformedRestaurant = transformRestaurantToFrontendFormat(newRestaurant);
+        if (guests > getMaxPartySize(restaurant, seatingArea)) {
+            return sendValidationErrors(res, [{
+                field: 'numGuests',
+                message: `The party is larger than the restaurant can seat (${getMaxPartySize(restaurant, seatingArea)})`
+            }]);
+        }
+        
+        const slotValidation = validateReservationSlot(restaurant, { date, time, numGuests: guests, seatingArea });
+        if (slotValidation.isValid) {
+            return res.status(409).json({
+                success: false,
+                message: 'There are seats available for this slot - book it with POST /api/reservations'
+            });
+        }
+        if (slotValidation.reason !== 'full') {
+            return res.status(400).json({
+                success: false,
+                code: SLOT_ERROR_CODES[slotValidation.reason],
+                message: slotValidation.error
+            });
+        }
+        
+        const alreadyWaiting = waitlistRepository.findAll(entry =>
+            entry.status === 'waiting' &&
+            entry.userId === req.user.id &&
+            entry.restaurantId === restaurantId &&
+            entry.date === date &&
+            entry.time === time
+        );
+        if (alreadyWaiting.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are already on the waitlist for this slot'
+            });
+        }
+        
+        const now = new Date().toISOString();
+        const entry = waitlistRepository.create({
+            restaurantId,
+            userId: req.user.id,
+            date,
+            time,
+            numGuests: guests,
+            ...DEFAULT_RESERVATION_PREFERENCES,
+            ...preferences.value,
+            status: 'waiting',
+            reservationId: null,
+            createdAt: now,
+            updatedAt: now
+        });
         
         res.status(201).json({
             success: true,
-            message: 'Restaurant created successfully',
-            data: transformedRestaurant
+            message: 'Added to the waitlist',
+            data: transformWaitlistEntryToResponseFormat(entry)
         });
     } catch (error) {
-        console.error('Error creating restaurant:', error);
+        console.error('Error joining waitlist:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while creating restaurant'
+            message: 'Internal server error while joining waitlist'
         });
     }
 });
 
 /**
- * PUT /api/restaurants/:id
- * 
- * WHY THIS CHANGE: Allows updating existing restaurants (CRUD - Update operation).
+ * GET /api/waitlist
  * 
- * UPDATES: Restaurant by ID
- * RETURNS: Updated restaurant
- * STATUS: 200 if updated, 404 if not found, 400 if validation fails
+ * RETURNS: Array of waitlist entries the user may see (same rules as reservations:
+ * diners their own, owners also their restaurants', admins all), with positions
+ * QUERY PARAMS (all optional): restaurantId, date (YYYY-MM-DD), status
  */
-app.put('/api/restaurants/:id', (req, res) => {
+app.get('/api/waitlist', requireAuth, validateRequest({ query: WAITLIST_LIST_QUERY_SCHEMA }), (req, res) => {
     try {
-        const id = parseInt(req.params.id);
-        
-        if (isNaN(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid restaurant ID format'
-            });
-        }
-        
-        const restaurantIndex = restaurantsData.findIndex(r => 
-            (typeof r.id === 'string' ? parseInt(r.id) : r.id) === id
+        let filteredData = waitlistRepository.findAll(entry =>
+            canAccessReservation(req.user, entry)
         );
+        const { restaurantId, date, status } = req.query;
         
-        if (restaurantIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: `Restaurant with ID ${id} not found`
-            });
+        if (restaurantId) {
+            const restaurantIdNum = Number(restaurantId);
+            filteredData = filteredData.filter(entry => entry.restaurantId === restaurantIdNum);
         }
         
-        // Validate input data
-        const validation = validateRestaurant(req.body);
-        
-        if (!validation.isValid) {
-            return res.status(400).json({
-                success: false,
-                message: 'Validation failed',
-                errors: validation.errors
-            });
+        if (date) {
+            filteredData = filteredData.filter(entry => entry.date === date);
         }
         
-        // Update restaurant - handle both frontend and backend formats
-        const updateData = {
-            ...req.body,
-            id: id // Ensure ID cannot be changed
-        };
-        
-        // Convert frontend format to backend format if needed
-        if (req.body.priceRange && !req.body.price_range) {
-            updateData.price_range = req.body.priceRange;
+        if (status) {
+            filteredData = filteredData.filter(entry => entry.status === status);
         }
-        if (req.body.openingHours && !req.body.hours_of_operation) {
-            // Keep openingHours for transformation
-            updateData.openingHours = req.body.openingHours;
-        }
-        
-        restaurantsData[restaurantIndex] = {
-            ...restaurantsData[restaurantIndex],
-            ...updateData
-        };
-        
-        // Transform to frontend format for response
-        const transformedRestaurant = transformRestaurantToFrontendFormat(restaurantsData[restaurantIndex]);
         
         res.status(200).json({
             success: true,
-            message: 'Restaurant updated successfully',
-            data: transformedRestaurant
+            count: filteredData.length,
+            data: filteredData.map(transformWaitlistEntryToResponseFormat)
         });
     } catch (error) {
-        console.error('Error updating restaurant:', error);
+        console.error('Error fetching waitlist:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while updating restaurant'
+            message: 'Internal server error while fetching waitlist'
         });
     }
 });
 
 /**
- * DELETE /api/restaurants/:id
- * 
- * WHY THIS CHANGE: Allows deleting restaurants (CRUD - Delete operation).
+ * GET /api/waitlist/:id
  * 
- * DELETES: Restaurant by ID
- * RETURNS: Success message
- * STATUS: 200 if deleted, 404 if not found
+ * RETURNS: Single waitlist entry with its current position (null once it is no longer waiting)
+ * ACCESS: the diner, the restaurant's owner and admins
+ * STATUS: 200 if found, 404 if not found, 403 if not allowed
  */
-app.delete('/api/restaurants/:id', (req, res) => {
+app.get('/api/waitlist/:id', requireAuth, validateRequest(NO_INPUT), (req, res) => {
     try {
         const id = parseInt(req.params.id);
         
         if (isNaN(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid restaurant ID format'
+                message: 'Invalid waitlist entry ID format'
             });
         }
         
-        const restaurantIndex = restaurantsData.findIndex(r => 
-            (typeof r.id === 'string' ? parseInt(r.id) : r.id) === id
-        );
+        const entry = waitlistRepository.findById(id);
         
-        if (restaurantIndex === -1) {
+        if (!entry) {
             return res.status(404).json({
                 success: false,
-                message: `Restaurant with ID ${id} not found`
+                message: `Waitlist entry with ID ${id} not found`
             });
         }
         
-        restaurantsData.splice(restaurantIndex, 1);
+        if (!canAccessReservation(req.user, entry)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to access this waitlist entry'
+            });
+        }
         
         res.status(200).json({
             success: true,
-            message: `Restaurant with ID ${id} deleted successfully`
+            data: transformWaitlistEntryToResponseFormat(entry)
         });
     } catch (error) {
-        console.error('Error deleting restaurant:', error);
+        console.error('Error fetching waitlist entry:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while deleting restaurant'
+            message: 'Internal server error while fetching waitlist entry'
         });
     }
 });
 
 /**
- * POST /api/reservations
- * 
- * Creates a new reservation and updates the restaurant's current guest count.
+ * DELETE /api/waitlist/:id
  * 
- * REQUEST BODY:
- * {
- *   restaurantId: number,
- *   date: string (YYYY-MM-DD),
- *   time: string (HH:MM),
- *   numGuests: number
- * }
+ * Leaves the waitlist. The entry is kept with status 'left'.
  * 
- * RETURNS: Reservation confirmation
- * STATUS: 201 if created, 400 if validation fails, 404 if restaurant not found
+ * ACCESS: the diner, the restaurant's owner and admins
+ * STATUS: 200 if left, 400 if the entry is no longer waiting, 404 if not found, 403 if not allowed
  */
-app.post('/api/reservations', (req, res) => {
+app.delete('/api/waitlist/:id', requireAuth, validateRequest(NO_INPUT), (req, res) => {
     try {
-        const { restaurantId, date, time, numGuests } = req.body;
+        const id = parseInt(req.params.id);
         
-        // Validate required fields
-        if (!restaurantId || !date || !time || !numGuests) {
+        if (isNaN(id)) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: restaurantId, date, time, and numGuests are required'
+                message: 'Invalid waitlist entry ID format'
             });
         }
         
-        // Validate date format and check if not in past
-        const dateValidation = validateDate(date);
-        if (!dateValidation.isValid) {
-            return res.status(400).json({
+        const entry = waitlistRepository.findById(id);
+        
+        if (!entry) {
+            return res.status(404).json({
                 success: false,
-                message: dateValidation.error
+                message: `Waitlist entry with ID ${id} not found`
             });
         }
         
-        // Validate numGuests
-        const guests = parseInt(numGuests);
-        if (isNaN(guests) || guests <= 0) {
-            return res.status(400).json({
+        if (!canAccessReservation(req.user, entry)) {
+            return res.status(403).json({
                 success: false,
-                message: 'numGuests must be a positive number'
+                message: 'You do not have permission to access this waitlist entry'
             });
         }
         
-        // Find restaurant
-        const restaurantIdNum = parseInt(restaurantId);
-        if (isNaN(restaurantIdNum)) {
+        if (entry.status !== 'waiting') {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid restaurant ID format'
+                message: `Cannot leave a waitlist entry that is ${entry.status}`
             });
         }
         
-        const restaurantIndex = restaurantsData.findIndex(r => 
-            (typeof r.id === 'string' ? parseInt(r.id) : r.id) === restaurantIdNum
-        );
+        const updatedEntry = waitlistRepository.update(id, {
+            status: 'left',
+            updatedAt: new Date().toISOString()
+        });
         
-        if (restaurantIndex === -1) {
-            return res.status(404).json({
+        res.status(200).json({
+            success: true,
+            message: 'Left the waitlist',
+            data: transformWaitlistEntryToResponseFormat(updatedEntry)
+        });
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while leaving waitlist'
+        });
+    }
+});
+
+/**
+ * GET /api/notifications
+ * 
+ * Lists notifications newest first, to check what was delivered and what failed.
+ * 
+ * QUERY PARAMS:
+ * - status: 'pending', 'sent' or 'failed', optional
+ * - limit: number of notifications, optional (defaults to 20, max 100)
+ * 
+ * ACCESS: admins
+ * RETURNS: Notifications, including their attempts and errors
+ * STATUS: 200 on success, 400 if the query is invalid, 401/403 if not allowed
+ */
+app.get('/api/notifications', requireRole('admin'), validateRequest({ query: NOTIFICATION_LIST_QUERY_SCHEMA }), (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const limitNum = limit === undefined ? DEFAULT_PAGE_LIMIT : Number(limit);
+        
+        const notifications = notificationRepository
+            .findAll(notification => status === undefined || notification.status === status)
+            .sort((a, b) => b.id - a.id);
+        const page = notifications.slice(0, limitNum);
+        
+        res.status(200).json({
+            success: true,
+            count: page.length,
+            total: notifications.length,
+            data: page
+        });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error while fetching notifications'
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/:id/retry
+ * 
+ * Tries a failed notification again, with a fresh set of attempts. Earlier
+ * errors are kept.
+ * 
+ * ACCESS: admins
+ * RETURNS: The notification, pending again
+ * STATUS: 200 if queued, 400 if it has not failed, 401/403 if not allowed, 404 if not found
+ */
+app.post('/api/notifications/:id/retry', requireRole('admin'), validateRequest(NO_INPUT), (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (isNaN(id)) {
+            return res.status(400).json({
                 success: false,
-                message: `Restaurant with ID ${restaurantId} not found`
+                message: 'Invalid notification ID format'
             });
         }
         
-        const restaurant = restaurantsData[restaurantIndex];
+        const notification = notificationRepository.findById(id);
         
-        // Check if restaurant is open at the requested date and time
-        if (!isRestaurantOpen(restaurant, date, time)) {
-            return res.status(400).json({
+        if (!notification) {
+            return res.status(404).json({
                 success: false,
-                message: 'Restaurant is not open at the requested date and time'
+                message: `Notification with ID ${id} not found`
             });
         }
         
-        // Check capacity
-        const maxGuests = restaurant.maxGuests || 50;
-        const currGuests = restaurant.currGuests || 0;
-        const availableCapacity = maxGuests - currGuests;
-        
-        if (guests > availableCapacity) {
+        if (notification.status !== 'failed') {
             return res.status(400).json({
                 success: false,
-                message: `Not enough capacity. Available: ${availableCapacity}, Requested: ${guests}`
+                message: `Only failed notifications can be retried; this one is ${notification.status}`
             });
         }
         
-        // Update current guests count
-        restaurantsData[restaurantIndex].currGuests = (restaurant.currGuests || 0) + guests;
-        
-        // Transform restaurant data for response
-        const updatedRestaurant = transformRestaurantToFrontendFormat(restaurantsData[restaurantIndex]);
+        const now = new Date().toISOString();
+        const updatedNotification = notificationRepository.update(id, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now,
+            updatedAt: now
+        });
+        setImmediate(runNotificationWorker);
         
-        res.status(201).json({
+        res.status(200).json({
             success: true,
-            message: 'Reservation created successfully',
-            data: {
-                restaurantId: restaurantIdNum,
-                date,
-                time,
-                numGuests: guests,
-                restaurant: updatedRestaurant
-            }
+            message: 'Notification queued for delivery',
+            data: updatedNotification
         });
     } catch (error) {
-        console.error('Error creating reservation:', error);
+        console.error('Error retrying notification:', error);
         res.status(500).json({
             success: false,
-            message: 'Internal server error while creating reservation'
+            message: 'Internal server error while retrying notification'
         });
     }
 });
@@ -1228,12 +6845,39 @@ app.use((req, res) => {
         message: `Route ${req.method} ${req.path} not found`,
         availableEndpoints: [
             'GET /api/health',
+            'POST /api/auth/register',
+            'POST /api/auth/login',
+            'POST /api/auth/logout',
+            'GET /api/auth/me',
             'GET /api/restaurants',
+            'GET /api/suggest',
+            'GET /api/restaurants/export',
+            'POST /api/restaurants/import',
             'GET /api/restaurants/:id',
+            'GET /api/restaurants/:id/availability',
             'POST /api/restaurants',
             'PUT /api/restaurants/:id',
             'DELETE /api/restaurants/:id',
-            'POST /api/reservations'
+            'GET /api/restaurants/:id/reviews',
+            'POST /api/restaurants/:id/reviews',
+            'PUT /api/restaurants/:id/reviews/:reviewId/reply',
+            'PATCH /api/restaurants/:id/reviews/:reviewId',
+            'GET /api/restaurants/:id/special-hours',
+            'POST /api/restaurants/:id/special-hours',
+            'PUT /api/restaurants/:id/special-hours/:entryId',
+            'DELETE /api/restaurants/:id/special-hours/:entryId',
+            'GET /api/reservations',
+            'GET /api/reservations/:id',
+            'GET /api/reservations/:id/calendar.ics',
+            'POST /api/reservations',
+            'PATCH /api/reservations/:id',
+            'DELETE /api/reservations/:id',
+            'POST /api/waitlist',
+            'GET /api/waitlist',
+            'GET /api/waitlist/:id',
+            'DELETE /api/waitlist/:id',
+            'GET /api/notifications',
+            'POST /api/notifications/:id/retry'
         ]
     });
 });
@@ -1244,9 +6888,20 @@ app.use((req, res) => {
  * WHY THIS CHANGE: The original code had no error handling.
  * This middleware catches any unhandled errors and returns a proper error response.
  * 
+ * Body parser errors are the client's: a body that is not valid JSON is answered
+ * with INVALID_JSON, one over the size limit with PAYLOAD_TOO_LARGE.
+ * 
  * IMPORTANT: This must be placed AFTER all route definitions and 404 handler.
  */
 app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            success: false,
+            code: 'INVALID_JSON',
+            message: 'The request body is not valid JSON'
+        });
+    }
+    
     console.error('Unhandled error:', err);
     
     res.status(err.status || 500).json({
@@ -1268,47 +6923,88 @@ app.use((err, req, res, next) => {
  * - More informative startup messages
  * - Graceful shutdown handling (for production)
  */
-const server = app.listen(PORT, () => {
-    console.log('================================================');
-    console.log('🍽️  Dining Match Backend Server');
-    console.log('================================================');
-    console.log(`✅ Server is running on http://localhost:${PORT}`);
-    console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔗 Health Check: http://localhost:${PORT}/api/health`);
-    console.log(`📋 API Endpoints:`);
-    console.log(`   - GET    /api/health`);
-    console.log(`   - GET    /api/restaurants`);
-    console.log(`   - GET    /api/restaurants/:id`);
-    console.log(`   - POST   /api/restaurants`);
-    console.log(`   - PUT    /api/restaurants/:id`);
-    console.log(`   - DELETE /api/restaurants/:id`);
-    console.log(`   - POST   /api/reservations`);
-    console.log('================================================');
-});
-
-/**
- * Graceful Shutdown Handler
- * 
- * WHY THIS CHANGE: Allows the server to shut down gracefully in production.
- * Important for deployment platforms and preventing data loss.
- * 
- * Handles SIGTERM (termination signal) and SIGINT (Ctrl+C) for clean shutdown.
- */
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+function startServer() {
+    const server = app.listen(PORT, () => {
+        console.log('================================================');
+        console.log('🍽️  Dining Match Backend Server');
+        console.log('================================================');
+        console.log(`✅ Server is running on http://localhost:${PORT}`);
+        console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`🔗 Health Check: http://localhost:${PORT}/api/health`);
+        console.log(`📋 API Endpoints:`);
+        console.log(`   - GET    /api/health`);
+        console.log(`   - POST   /api/auth/register`);
+        console.log(`   - POST   /api/auth/login`);
+        console.log(`   - POST   /api/auth/logout`);
+        console.log(`   - GET    /api/auth/me`);
+        console.log(`   - GET    /api/restaurants`);
+        console.log(`   - GET    /api/suggest`);
+        console.log(`   - GET    /api/restaurants/export`);
+        console.log(`   - POST   /api/restaurants/import`);
+        console.log(`   - GET    /api/restaurants/:id`);
+        console.log(`   - GET    /api/restaurants/:id/availability`);
+        console.log(`   - POST   /api/restaurants`);
+        console.log(`   - PUT    /api/restaurants/:id`);
+        console.log(`   - DELETE /api/restaurants/:id`);
+        console.log(`   - GET    /api/restaurants/:id/reviews`);
+        console.log(`   - POST   /api/restaurants/:id/reviews`);
+        console.log(`   - PUT    /api/restaurants/:id/reviews/:reviewId/reply`);
+        console.log(`   - PATCH  /api/restaurants/:id/reviews/:reviewId`);
+        console.log(`   - GET    /api/restaurants/:id/special-hours`);
+        console.log(`   - POST   /api/restaurants/:id/special-hours`);
+        console.log(`   - PUT    /api/restaurants/:id/special-hours/:entryId`);
+        console.log(`   - DELETE /api/restaurants/:id/special-hours/:entryId`);
+        console.log(`   - GET    /api/reservations`);
+        console.log(`   - GET    /api/reservations/:id`);
+        console.log(`   - GET    /api/reservations/:id/calendar.ics`);
+        console.log(`   - POST   /api/reservations`);
+        console.log(`   - PATCH  /api/reservations/:id`);
+        console.log(`   - DELETE /api/reservations/:id`);
+        console.log(`   - POST   /api/waitlist`);
+        console.log(`   - GET    /api/waitlist`);
+        console.log(`   - GET    /api/waitlist/:id`);
+        console.log(`   - DELETE /api/waitlist/:id`);
+        console.log(`   - GET    /api/notifications`);
+        console.log(`   - POST   /api/notifications/:id/retry`);
+        console.log(`✉️  Notifications: email via ${CHANNEL_TRANSPORTS.email}, sms via ${CHANNEL_TRANSPORTS.sms}` +
+            (NOTIFY_WEBHOOK_URL ? `, webhook to ${NOTIFY_WEBHOOK_URL}` : ''));
+        console.log('================================================');
+    });
+    
+    /**
+     * Graceful Shutdown Handler
+     * 
+     * WHY THIS CHANGE: Allows the server to shut down gracefully in production.
+     * Important for deployment platforms and preventing data loss.
+     * 
+     * Handles SIGTERM (termination signal) and SIGINT (Ctrl+C) for clean shutdown.
+     */
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM signal received: closing HTTP server');
+        server.close(() => {
+            console.log('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('\nSIGINT signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('\nSIGINT signal received: closing HTTP server');
+        server.close(() => {
+            console.log('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
+}
+
+// Deliver notifications, retries and reminders in the background.
+// unref() lets the process exit without waiting for the next run, e.g. at the end of the tests
+setInterval(runNotificationWorker, NOTIFY_INTERVAL_SECONDS * 1000).unref();
+runNotificationWorker();
+
+// Started with `node server.js`; tests require the app and listen on a port of their own
+if (require.main === module) {
+    startServer();
+}
 
-// Export the app for testing purposes (if needed)
+// Export the app for testing purposes (see test/)
 module.exports = app;
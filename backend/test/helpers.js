@@ -0,0 +1,91 @@
+/**
+ * Test Helpers
+ *
+ * The tests run the app against the in-memory store (NODE_ENV=test), on a port
+ * chosen by the system, and talk to it over HTTP like the frontend does.
+ * Environment variables must be set before the app is required, so each test
+ * file sets its own and then calls startApp().
+ */
+const { once } = require('node:events');
+
+const ADMIN = { email: 'admin@tests.local', password: 'admin-password' };
+
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_EMAIL = ADMIN.email;
+process.env.ADMIN_PASSWORD = ADMIN.password;
+process.env.NOTIFY_INTERVAL_SECONDS ??= '1';
+process.env.NOTIFY_RETRY_BASE_SECONDS ??= '1';
+
+/**
+ * Helper Function: Start App
+ *
+ * @returns {Promise<Object>} - { request, login, close }
+ */
+async function startApp() {
+    const app = require('../server');
+    const server = app.listen(0);
+    await once(server, 'listening');
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * @param {string} method - HTTP method
+     * @param {string} path - e.g. /api/restaurants
+     * @param {Object} [options] - { token, body, csv }
+     * @returns {Promise<Object>} - { status, body }
+     */
+    async function request(method, path, { token, body, csv } = {}) {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (csv !== undefined) headers['Content-Type'] = 'text/csv';
+
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: csv ?? (body === undefined ? undefined : JSON.stringify(body))
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function login(email, password) {
+        const response = await request('POST', '/api/auth/login', { body: { email, password } });
+        return response.body.data.token;
+    }
+
+    // Registers a user (owners are created by the admin) and logs them in
+    let userCount = 0;
+    async function createUser(role = 'diner') {
+        userCount++;
+        const user = { name: `Test ${role} ${userCount}`, email: `${role}${userCount}@tests.local`, password: 'test-password' };
+        const adminToken = role === 'diner' ? undefined : await login(ADMIN.email, ADMIN.password);
+        const response = await request('POST', '/api/auth/register', { token: adminToken, body: { ...user, role } });
+        return { id: response.body.data.id, token: await login(user.email, user.password) };
+    }
+
+    function close() {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { request, login, createUser, close, admin: ADMIN };
+}
+
+// A restaurant in the frontend format, open every day
+function sampleRestaurant(fields = {}) {
+    return {
+        name: `Test Restaurant ${Math.random().toString(36).slice(2, 8)}`,
+        cuisine: 'Italian',
+        address: { street: 'Herzl', number: '1', city: 'Tel Aviv' },
+        openingHours: 'Daily 10:00-23:00',
+        ...fields
+    };
+}
+
+// A date some days from today, as YYYY-MM-DD
+function daysFromToday(days) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = { startApp, sampleRestaurant, daysFromToday };
@@ -0,0 +1,91 @@
+const { it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { once } = require('node:events');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startApp, sampleRestaurant, daysFromToday } = require('./helpers');
+
+// A local SMTP server that turns the first connection away ("421", as a busy
+// server would) and accepts every mail after that
+const receivedMails = [];
+let connectionCount = 0;
+const smtpServer = net.createServer(socket => {
+    connectionCount++;
+    if (connectionCount === 1) {
+        socket.end('421 Too busy, try again later\r\n');
+        return;
+    }
+
+    let buffer = '';
+    let mail = null;
+    socket.setEncoding('utf8');
+    socket.write('220 test SMTP server\r\n');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        const lines = buffer.split('\r\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (mail !== null) {
+                if (line === '.') {
+                    receivedMails.push(mail.join('\r\n'));
+                    mail = null;
+                    socket.write('250 Queued\r\n');
+                } else {
+                    mail.push(line);
+                }
+            } else if (line === 'DATA') {
+                mail = [];
+                socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            } else if (line === 'QUIT') {
+                socket.end('221 Bye\r\n');
+            } else {
+                socket.write('250 OK\r\n');
+            }
+        }
+    });
+});
+
+let api;
+
+before(async () => {
+    smtpServer.listen(0, '127.0.0.1');
+    await once(smtpServer, 'listening');
+    process.env.NOTIFY_EMAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtpServer.address().port);
+    api = await startApp();
+});
+
+after(async () => {
+    await api.close();
+    smtpServer.close();
+});
+
+it('retries an email the SMTP server turned away', async () => {
+    const owner = await api.createUser('owner');
+    const diner = await api.createUser();
+    const restaurant = await api.request('POST', '/api/restaurants', { token: owner.token, body: sampleRestaurant() });
+    const reservation = await api.request('POST', '/api/reservations', {
+        token: diner.token,
+        body: { restaurantId: Number(restaurant.body.data.id), date: daysFromToday(7), time: '19:00', numGuests: 2 }
+    });
+    assert.equal(reservation.status, 201);
+
+    // The worker runs every second, and retries a failed delivery after a second
+    const adminToken = await api.login(api.admin.email, api.admin.password);
+    let emails = [];
+    for (let waited = 0; waited < 10000; waited += 200) {
+        const response = await api.request('GET', '/api/notifications', { token: adminToken });
+        emails = response.body.data.filter(notification => notification.channel === 'email');
+        if (emails.length > 0 && emails.every(email => email.status === 'sent')) break;
+        await sleep(200);
+    }
+
+    assert.ok(emails.length > 0);
+    assert.deepEqual(emails.map(email => email.status), emails.map(() => 'sent'));
+    const retried = emails.filter(email => email.attempts === 2);
+    assert.equal(retried.length, 1);
+    assert.equal(retried[0].errors.length, 1);
+    assert.match(retried[0].errors[0].message, /421 Too busy/);
+    assert.equal(receivedMails.length, emails.length);
+});
@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, sampleRestaurant, daysFromToday } = require('./helpers');
+
+let api;
+let owner;
+let diner;
+
+before(async () => {
+    api = await startApp();
+    owner = await api.createUser('owner');
+    diner = await api.createUser();
+});
+
+after(() => api.close());
+
+// A restaurant with one table for 4, where a seating takes 90 minutes
+async function createSmallRestaurant(fields = {}) {
+    const response = await api.request('POST', '/api/restaurants', {
+        token: owner.token,
+        body: sampleRestaurant({ tables: [{ id: 'T1', seats: 4 }], seatingDuration: 90, ...fields })
+    });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    // Restaurants are returned in the frontend format, where ids are strings
+    return { ...response.body.data, id: Number(response.body.data.id) };
+}
+
+function reserve(token, restaurantId, date, time, numGuests = 4) {
+    return api.request('POST', '/api/reservations', { token, body: { restaurantId, date, time, numGuests } });
+}
+
+describe('capacity', () => {
+    it('rejects a seating that overlaps a booked one', async () => {
+        const restaurant = await createSmallRestaurant();
+        const date = daysFromToday(7);
+        assert.equal((await reserve(diner.token, restaurant.id, date, '19:00')).status, 201);
+
+        const overlapping = await reserve(diner.token, restaurant.id, date, '19:30');
+        assert.equal(overlapping.status, 400);
+        assert.equal(overlapping.body.code, 'SLOT_FULL');
+        assert.equal(overlapping.body.canJoinWaitlist, true);
+    });
+
+    it('accepts a seating that starts when the booked one ends', async () => {
+        const restaurant = await createSmallRestaurant();
+        const date = daysFromToday(7);
+        assert.equal((await reserve(diner.token, restaurant.id, date, '19:00')).status, 201);
+
+        assert.equal((await reserve(diner.token, restaurant.id, date, '20:30')).status, 201);
+        assert.equal((await reserve(diner.token, restaurant.id, date, '17:30')).status, 201);
+    });
+
+    it('no longer counts a cancelled reservation', async () => {
+        const restaurant = await createSmallRestaurant();
+        const date = daysFromToday(7);
+        const first = await reserve(diner.token, restaurant.id, date, '19:00');
+        await api.request('DELETE', `/api/reservations/${first.body.data.id}`, { token: diner.token });
+
+        assert.equal((await reserve(diner.token, restaurant.id, date, '19:30')).status, 201);
+    });
+});
+
+describe('waitlist', () => {
+    it('promotes the first waiting diner when a reservation is cancelled', async () => {
+        const restaurant = await createSmallRestaurant();
+        const date = daysFromToday(8);
+        const reservation = await reserve(diner.token, restaurant.id, date, '19:00');
+
+        const waiting = await api.createUser();
+        const entry = await api.request('POST', '/api/waitlist', {
+            token: waiting.token,
+            body: { restaurantId: restaurant.id, date, time: '19:00', numGuests: 2 }
+        });
+        assert.equal(entry.status, 201, JSON.stringify(entry.body));
+        assert.equal(entry.body.data.status, 'waiting');
+
+        await api.request('DELETE', `/api/reservations/${reservation.body.data.id}`, { token: diner.token });
+
+        const promoted = await api.request('GET', `/api/waitlist/${entry.body.data.id}`, { token: waiting.token });
+        assert.equal(promoted.body.data.status, 'promoted');
+        const promotedReservation = await api.request('GET', `/api/reservations/${promoted.body.data.reservationId}`, { token: waiting.token });
+        assert.equal(promotedReservation.body.data.status, 'confirmed');
+        assert.equal(promotedReservation.body.data.time, '19:00');
+    });
+});
+
+describe('past slots', () => {
+    // The first and the last timezone to reach a date: when it is just after midnight on
+    // Kiritimati (UTC+14), it is still the previous morning in Pago Pago (UTC-11)
+    const todayIn = timeZone => new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+
+    it('rejects a time that has passed in the restaurant\'s timezone', async () => {
+        const restaurant = await createSmallRestaurant({ timezone: 'Pacific/Kiritimati', openingHours: 'Daily 00:00-23:59' });
+        const response = await reserve(diner.token, restaurant.id, todayIn('Pacific/Kiritimati'), '00:00', 2);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'SLOT_PASSED');
+    });
+
+    it('accepts the same date where it has not begun yet', async () => {
+        const restaurant = await createSmallRestaurant({ timezone: 'Pacific/Pago_Pago', openingHours: 'Daily 00:00-23:59' });
+        const response = await reserve(diner.token, restaurant.id, todayIn('Pacific/Kiritimati'), '12:00', 2);
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+    });
+
+    it('rejects a date that has passed in the restaurant\'s timezone', async () => {
+        const restaurant = await createSmallRestaurant({ timezone: 'Pacific/Kiritimati' });
+        const yesterday = new Date(todayIn('Pacific/Kiritimati') + 'T00:00:00Z');
+        yesterday.setUTCDate(yesterday.getUTCDate() - 1);
+        const response = await reserve(diner.token, restaurant.id, yesterday.toISOString().slice(0, 10), '19:00', 2);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.errors[0].field, 'date');
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, sampleRestaurant } = require('./helpers');
+
+let api;
+let owner;
+
+before(async () => {
+    api = await startApp();
+    owner = await api.createUser('owner');
+});
+
+after(() => api.close());
+
+describe('opening hours text', () => {
+    // Creates a restaurant with the given hours text and returns its structured openingHours
+    async function readHours(text) {
+        const response = await api.request('POST', '/api/restaurants', {
+            token: owner.token,
+            body: sampleRestaurant({ openingHours: text })
+        });
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+        return response.body.data.openingHours;
+    }
+
+    const lunchAndDinner = [{ open: '12:00', close: '15:00' }, { open: '19:00', close: '23:00' }];
+
+    it('reads day ranges, several windows, 12-hour times and closed days', async () => {
+        const hours = await readHours('Sun-Thu 12:00-15:00 19:00-23:00; Fri 7pm-2am; Sat closed');
+        assert.deepEqual(hours.Sunday, lunchAndDinner);
+        assert.deepEqual(hours.Thursday, lunchAndDinner);
+        assert.deepEqual(hours.Friday, [{ open: '19:00', close: '02:00' }]);
+        assert.deepEqual(hours.Saturday, []);
+    });
+
+    it('reads Hebrew day names', async () => {
+        const hours = await readHours("א'-ה': 12:00-23:00, שישי: 12:00-15:00, שבת: סגור");
+        assert.deepEqual(hours.Sunday, [{ open: '12:00', close: '23:00' }]);
+        assert.deepEqual(hours.Thursday, [{ open: '12:00', close: '23:00' }]);
+        assert.deepEqual(hours.Friday, [{ open: '12:00', close: '15:00' }]);
+        assert.deepEqual(hours.Saturday, []);
+    });
+
+    it('reads day lists, ranges past the end of the week and entries without days', async () => {
+        const hours = await readHours('Mon, Wed: 12:00-15:00, Fri-Sun: 12:00-15:00, 19:00-23:00');
+        assert.deepEqual(hours.Monday, [{ open: '12:00', close: '15:00' }]);
+        assert.deepEqual(hours.Wednesday, [{ open: '12:00', close: '15:00' }]);
+        assert.deepEqual(hours.Sunday, lunchAndDinner);
+        // Days that are not mentioned are closed
+        assert.deepEqual(hours.Tuesday, []);
+    });
+
+    it('applies text without days to every day', async () => {
+        const hours = await readHours('08:00-22:00');
+        assert.deepEqual(hours.Monday, [{ open: '08:00', close: '22:00' }]);
+        assert.deepEqual(hours.Saturday, [{ open: '08:00', close: '22:00' }]);
+    });
+
+    it('rejects text it cannot read', async () => {
+        for (const text of ['Mon-Fri: noon till late', 'Funday: 12:00-23:00', 'Mon: 12:00-16:00, Mon: 15:00-23:00', 'Mon, Tue']) {
+            const response = await api.request('POST', '/api/restaurants', {
+                token: owner.token,
+                body: sampleRestaurant({ openingHours: text })
+            });
+            assert.equal(response.status, 400, text);
+            assert.equal(response.body.code, 'VALIDATION_FAILED');
+            assert.equal(response.body.errors[0].field, 'openingHours');
+        }
+    });
+});
+
+describe('import dry run', () => {
+    async function countRestaurants() {
+        const response = await api.request('GET', '/api/restaurants?limit=1');
+        assert.equal(typeof response.body.total, 'number');
+        return response.body.total;
+    }
+
+    it('reports the errors of each row and creates nothing', async () => {
+        const before = await countRestaurants();
+        const response = await api.request('POST', '/api/restaurants/import?dryRun=true', {
+            token: owner.token,
+            body: [
+                { name: 'Dry Run Bistro', cuisine: 'French', address: 'Dizengoff 50, Tel Aviv' },
+                { name: 'No Address', cuisine: 'Thai' },
+                { name: 'Extra Field', cuisine: 'Thai', address: 'Allenby 1, Tel Aviv', stars: 5 },
+                { name: 'Bad Hours', cuisine: 'Thai', address: 'Allenby 2, Tel Aviv', openingHours: 'sometimes' }
+            ]
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.dryRun, true);
+        assert.equal(response.body.data.created, 1);
+        assert.equal(response.body.data.failed, 3);
+        const [valid, noAddress, extraField, badHours] = response.body.data.rows;
+        assert.equal(valid.action, 'create');
+        assert.deepEqual(valid.errors, []);
+        assert.ok(noAddress.errors.some(error => error.field === 'address'));
+        assert.ok(extraField.errors.some(error => error.field === 'stars'));
+        assert.ok(badHours.errors.some(error => error.field === 'openingHours'));
+        assert.equal(await countRestaurants(), before);
+    });
+
+    it('reports CSV rows whose cells do not match the header', async () => {
+        const csv = [
+            'name,cuisine,address',
+            'Quoted Cafe,Cafe,"Rothschild 10, Tel Aviv"',
+            'Unquoted Cafe,Cafe,Rothschild 12, Tel Aviv'
+        ].join('\n');
+        const response = await api.request('POST', '/api/restaurants/import?dryRun=true', { token: owner.token, csv });
+
+        assert.equal(response.status, 200);
+        const [quoted, unquoted] = response.body.data.rows;
+        assert.deepEqual(quoted.errors, []);
+        assert.match(unquoted.errors[0].message, /4 cells but the header has 3 columns/);
+    });
+
+    it('reports another owner\'s id for owners', async () => {
+        const response = await api.request('POST', '/api/restaurants/import?dryRun=true', {
+            token: owner.token,
+            body: [{ name: 'Not Mine', cuisine: 'Cafe', address: 'Herzl 3, Tel Aviv', ownerId: Number(owner.id) + 100 }]
+        });
+        assert.deepEqual(response.body.data.rows[0].errors, [{ field: 'ownerId', message: 'ownerId can only be set by admins' }]);
+    });
+});